@@ -30,6 +30,51 @@ module.exports = {
       version: '1.21', // Minecraft version
     },
   
+    // Other servers bots can be logged in to by name, as in #login Miner1 miner creative
+    servers: {
+      // creative: { host: 'creative.example.com' }, // Port and version default to 25565 and the version above
+      // modded: { host: 'localhost', port: 25566, version: '1.20.1' },
+    },
+  
+    // Accounts bots log in with, by bot name
+    accounts: {
+      defaultAuth: 'offline', // Auth type of bots without a profile: 'offline' or 'microsoft'
+      profilesFolder: './data/auth', // Where Microsoft login tokens are cached
+      profiles: {
+        // MainMiner: { auth: 'microsoft', username: 'you@example.com' }, // Microsoft account, signed in with a device code
+        // TestBot: { auth: 'offline' }, // Offline account for servers with online-mode=false
+      },
+    },
+  
+    // Reconnecting after kicks and lost connections
+    reconnect: {
+      enabled: true,
+      initialDelay: 5000, // Milliseconds before the first attempt, doubling after each failed one
+      maxDelay: 300000, // Longest wait between attempts
+      jitter: 0.25, // Share of each wait that is random
+      maxAttempts: 10, // Attempts before giving up, 0 to keep trying
+      // stopOnKickReasons: ['banned', 'whitelist'], // Kick reasons that end retrying (overrides the defaults)
+      // bots: { Guard1: { maxAttempts: 0 } }, // Settings for single bots
+    },
+  
+    // Logging the bots back in after a restart
+    fleet: {
+      restore: true, // Set to false, or start with --fresh, to forget the saved bots
+      loginDelay: 5000, // Milliseconds between bots logging in
+    },
+  
+    // Bot logs, written to the console and to a file per bot
+    logging: {
+      level: 'info', // debug, info, warn or error
+      format: 'text', // Log file lines: 'text' or 'json'
+      console: true, // Whether to print logs to the console
+      file: true, // Whether to write logs to files
+      directory: './data/logs', // Where the log files are written
+      maxFileSize: 5242880, // Bytes a log file grows to before it is rotated
+      maxFiles: 5, // Files kept per bot, counting the current one
+      // bots: { Miner1: 'debug' }, // Levels for single bots, also changed with #loglevel
+    },
+  
     // Bot configuration
     bots: {
       // Default settings for all bots
@@ -37,6 +82,7 @@ module.exports = {
         viewDistance: 4, // View distance in chunks
         tickRate: 50, // Bot tick rate in milliseconds
       },
+    },
   
     // Type-specific settings
     botTypes: {
@@ -44,12 +90,33 @@ module.exports = {
         resourcePriorities: ['diamond', 'iron', 'gold', 'coal'], // Priority of resources to mine
         miningPatterns: ['strip', 'branch'], // Available mining patterns
         returnWhenInventoryFull: true, // Whether to return to base when inventory is full
+        // protectedBlocks: ['bedrock', 'chest'], // Blocks never broken by #minearea (overrides the defaults)
       },
       builder: {
         schematicsFolder: './builds', // Folder containing schematic files
         maxBuildHeight: 256, // Maximum build height
         autoCraftMissingItems: true, // Whether to craft missing items automatically
       },
+      farmer: {
+        behavior: {
+          seedReserve: 64, // Seeds of each type kept for replanting
+          harvestInterval: 60, // Seconds between harvest passes
+          tendInterval: 120, // Seconds between visits to the pens
+          treeFarmInterval: 300, // Seconds between tree farm passes
+          saplingReserve: 16, // Saplings of each type kept for replanting
+          returnThreshold: 0.8, // Inventory fullness that triggers a trip to storage
+        },
+        animals: {
+          targetPopulation: 8, // Animals bred up to in each pen
+          maxPopulation: 12, // Animals above this are culled
+        },
+        expansion: {
+          fence: 'oak_fence', // Fence put around new fields
+          fenceGate: 'oak_fence_gate', // Gate left in the fence
+          light: 'torch', // Light placed beside water and on fence posts
+          lightSpacing: 8, // Fence posts between lights
+        },
+      },
       protector: {
         protectionRadius: 50, // Radius in blocks to protect
         aggressionLevel: 'high', // low, medium, high
@@ -59,9 +126,20 @@ module.exports = {
   
 
   
+    // Equipment kits, added to or replacing the built-in miner, builder, farmer and protector kits
+    // kits: {
+    //   archer: { bow: 1, arrow: 128, cooked_beef: 16 }, // Item name or tool kind (sword, pickaxe...) and count
+    // },
+  
+    // Villager trades run by #trade when no trade is given
+    trading: {
+      trades: [
+        { input: 'paper', output: 'emerald' }, // Add limit: <count> to stop after that many trades
+      ],
+    },
+  
     // Safe zones where bots can retreat to
     safeZones: [
       {x: 0, y: 0, z: 0, radius: 20, name: 'Base'},
     ],
-  }; 
-}
\ No newline at end of file
+  }; 
\ No newline at end of file
@@ -8,6 +8,7 @@ const config = require('./config');
 const createCommandSystem = require('./src/commands');
 const createSharedDataSystem = require('./src/shared');
 const createDiscordIntegration = require('./src/discord');
+const { closeLoggers } = require('./src/shared/Logger');
 const path = require('path');
 const fs = require('fs-extra');
 
@@ -31,7 +32,8 @@ async function initSystem() {
     // Initialize command system
     console.log('Initializing command system...');
     const commandSystem = createCommandSystem({
-      prefix: config.system.commandPrefix
+      prefix: config.system.commandPrefix,
+      createBotDataInterface: sharedDataSystem.createBotDataInterface
     });
     
     // Initialize Discord integration
@@ -56,6 +58,28 @@ async function initSystem() {
       });
     };
     
+    // Log the saved fleet back in, unless asked to start fresh
+    const fresh = process.argv.includes('--fresh') || config.fleet?.restore === false;
+    commandSystem.botManager.restoreFleet({ fresh })
+      .then(restored => {
+        if (!fresh) {
+          console.log(`Restored ${restored} bots from the saved fleet`);
+        }
+      })
+      .catch(error => console.error('Failed to restore the fleet:', error));
+    
+    // Save the fleet and the shared data before exiting, so the bots come back on the next start
+    const shutdown = async () => {
+      console.log('Shutting down ItayosBot System...');
+      await commandSystem.botManager.shutdown();
+      await sharedDataSystem.dataStore.stop();
+      await closeLoggers();
+      process.exit(0);
+    };
+    
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+    
     console.log('ItayosBot System initialized successfully!');
     
     // Return the initialized system components
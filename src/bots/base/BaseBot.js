@@ -18,8 +18,30 @@ const totemPlugin = require('mineflayer-totem-auto');
 const Vec3 = require('vec3').Vec3;
 
 const mainConfig = require('../../../config');
+const { getWorldKey } = require('../../shared/serverConfig');
+const { getLogger } = require('../../shared/Logger');
 const EventEmitter = require('events');
 
+// Reconnect policy, overridden by `reconnect` in the config
+const DEFAULT_RECONNECT = {
+  enabled: true,
+  initialDelay: 5000,           // Milliseconds before the first attempt
+  maxDelay: 5 * 60 * 1000,      // Longest wait between attempts
+  multiplier: 2,                // Growth of the wait after each failed attempt
+  jitter: 0.25,                 // Share of each wait that is random, so bots don't all rejoin at once
+  maxAttempts: 10,              // Attempts before giving up, 0 to keep trying
+  stopOnKickReasons: ['banned', 'whitelist', 'white-listed', 'duplicate_login', 'logged in from another location']
+};
+
+// A bot connected this long has its reconnect attempts counted from zero again
+const RECONNECT_STABLE_TIME = 60000;
+
+// Fields holding the long-running jobs of the bot types and mixins, guard duty included
+const JOB_FIELDS = [
+  'miningJob', 'buildJob', 'farmingJob', 'smeltingJob', 'storageJob', 'tradingJob', 'fetchJob',
+  'guardingPlayer', 'patrolling', 'guardingPosition'
+];
+
 class BaseBot extends EventEmitter {
   /**
    * Create a new BaseBot instance
@@ -30,6 +52,8 @@ class BaseBot extends EventEmitter {
    * @param {string} options.server.host - Server hostname
    * @param {number} options.server.port - Server port
    * @param {string} options.server.version - Minecraft version
+   * @param {BotDataInterface} [options.dataInterface] - Interface to the shared data system
+   * @param {Object} [options.account] - Account profile to log in with (offline account named after the bot by default)
    */
   constructor(options) {
     super();
@@ -37,9 +61,16 @@ class BaseBot extends EventEmitter {
     this.username = options.username;
     this.type = options.type;
     this.server = options.server || mainConfig.server;
+    this.dataInterface = options.dataInterface || null;
+    this.account = options.account || { auth: 'offline', username: this.username };
     this.active = false;
     this.currentTask = null;
     
+    // Reconnect state
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.resumeState = null;          // Task to restore once reconnected
+    
     // Initialize logger
     this.log = this._setupLogger();
     
@@ -64,8 +95,13 @@ class BaseBot extends EventEmitter {
       this.bot = mineflayer.createBot({
         host: this.server.host,
         port: this.server.port,
-        username: this.username,
-        version: this.server.version
+        username: this.account.username,
+        auth: this.account.auth,
+        version: this.server.version,
+        ...(this.account.auth === 'microsoft' ? {
+          profilesFolder: this.account.profilesFolder,
+          onMsaCode: (data) => this._onAuthCode(data)
+        } : {})
       });
       
       // Wait for spawn event
@@ -79,18 +115,40 @@ class BaseBot extends EventEmitter {
           this.log.error(`Failed to spawn bot: ${error.message}`);
           reject(error);
         });
+        
+        this.bot.once('kicked', (reason) => {
+          this.lastKickReason = this._formatKickReason(reason);
+          reject(new Error(`Kicked while joining: ${this.lastKickReason}`));
+        });
+        
+        this.bot.once('end', (reason) => {
+          reject(new Error(`Disconnected while joining: ${reason}`));
+        });
       });
       
+      this._updateWorld();
+      
       // Set up plugins and event handlers
       this._setupPlugins();
       this._setupEventHandlers();
       
       this.active = true;
+      this.connectedAt = Date.now();
+      
+      // Pick up the bot's kit from the shared chests once it is free
+      this._scheduleKitRestock();
       this.emit('started', { username: this.username, type: this.type });
       
       return true;
     } catch (error) {
       this._handleError('Failed to start bot', error);
+      
+      // Don't leave a half-joined connection open
+      if (this.bot) {
+        this.bot.end();
+        this.bot = null;
+      }
+      
       return false;
     }
   }
@@ -146,6 +204,14 @@ class BaseBot extends EventEmitter {
     try {
       this.log.info(`Stopping bot ${this.username}`);
       
+      // A bot stopped while waiting to reconnect stays offline
+      if (this.reconnectTimer) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+      }
+      
+      this.resumeState = null;
+      
       if (this.bot) {
         this.bot.quit();
         this.bot = null;
@@ -163,6 +229,57 @@ class BaseBot extends EventEmitter {
     }
   }
   
+  /**
+   * Get the task the bot is working on, in a form that can be saved and restored later
+   * @returns {Object|null} - Assignment or null if the bot has no task to restore
+   */
+  getAssignment() {
+    // A bot waiting to reconnect still owes the task it had when it dropped
+    if (this.resumeState) {
+      return this.resumeState;
+    }
+    
+    try {
+      return this._getResumeState();
+    } catch (error) {
+      this.log.warn(`Could not read the current task: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Take up an assignment from getAssignment again
+   * @param {Object} assignment - Saved assignment
+   * @returns {Promise<boolean>} - Whether the assignment was restored
+   */
+  async resumeAssignment(assignment) {
+    try {
+      await this._resumeTask(assignment);
+      return true;
+    } catch (error) {
+      this._handleError('Failed to restore the last task', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Check whether the bot is working on a long-running job or guarding
+   * currentTask can't tell, as it is cleared after every move, dig and placement of a job
+   * @returns {boolean} - Whether the bot has a job
+   */
+  isBusy() {
+    return JOB_FIELDS.some(field => this[field]);
+  }
+  
+  /**
+   * Change how much the bot logs, until it is changed again or the system restarts
+   * @param {string} level - 'debug', 'info', 'warn' or 'error'
+   */
+  setLogLevel(level) {
+    this.log.setLevel(level);
+    this.log.info(`Log level set to ${level}`);
+  }
+  
   /**
    * Get current bot status
    * @returns {Object} - Status information
@@ -182,10 +299,16 @@ class BaseBot extends EventEmitter {
       type: this.type,
       active: this.active,
       status: this.currentTask ? 'busy' : 'idle',
+      logLevel: this.log.getLevel(),
+      server: this.server.name,
+      world: this.dataInterface ? this.dataInterface.getWorld() : null,
       health: this.bot.health,
       food: this.bot.food,
       position: this.bot.entity.position,
       inventory: this._getInventoryStatus(),
+      smelting: this._getSmeltingStatus(),
+      storage: this._getStorageStatus(),
+      trading: this._getTradingStatus(),
       currentTask: this.currentTask
     };
   }
@@ -231,6 +354,25 @@ class BaseBot extends EventEmitter {
     }
   }
   
+  /**
+   * Set up the bot's logger, which writes to the console and to data/logs/<botName>.log
+   * @private
+   * @returns {Logger} - Logger named after the bot
+   */
+  _setupLogger() {
+    return getLogger(this.username);
+  }
+  
+  /**
+   * Point the shared data at the world the bot is in, so records of other servers and dimensions aren't mixed in
+   * @private
+   */
+  _updateWorld() {
+    if (this.dataInterface) {
+      this.dataInterface.setWorld(getWorldKey(this.server, this.bot.game.dimension));
+    }
+  }
+  
   /**
    * Handle bot errors
    * @private
@@ -249,6 +391,177 @@ class BaseBot extends EventEmitter {
     });
   }
   
+  /**
+   * Pass on a Microsoft device code, which the owner has to enter before the bot can log in
+   * @private
+   * @param {Object} data - Device code data from the Microsoft login
+   */
+  _onAuthCode(data) {
+    this.log.warn(`Microsoft login needed for ${this.username}: go to ${data.verification_uri} and enter the code ${data.user_code}`);
+    
+    this.emit('authCode', {
+      username: this.username,
+      code: data.user_code,
+      url: data.verification_uri,
+      expiresIn: data.expires_in
+    });
+  }
+  
+  /**
+   * Turn a kick reason into readable text, handling JSON chat components
+   * @private
+   * @param {string|Object} reason - Kick reason
+   * @returns {string} - Readable reason
+   */
+  _formatKickReason(reason) {
+    return typeof reason === 'object' ? JSON.stringify(reason) : String(reason);
+  }
+  
+  /**
+   * Handle the connection to the server ending without the bot being stopped
+   * @private
+   * @param {string} reason - Disconnect reason
+   */
+  _onDisconnect(reason) {
+    const kickReason = this.lastKickReason;
+    this.lastKickReason = null;
+    
+    this._saveResumeState();
+    this.active = false;
+    this.bot = null;
+    this.currentTask = null;
+    
+    // Only a bot that keeps dropping straight after joining works through its attempts
+    if (Date.now() - (this.connectedAt || 0) >= RECONNECT_STABLE_TIME) {
+      this.reconnectAttempts = 0;
+    }
+    
+    const readableReason = kickReason || reason || 'connection lost';
+    this.log.warn(`Disconnected: ${readableReason}`);
+    this._scheduleReconnect(readableReason, Boolean(kickReason));
+  }
+  
+  /**
+   * Wait out the backoff, then try to reconnect, unless the reconnect policy says to stop
+   * @private
+   * @param {string} reason - Disconnect or kick reason
+   * @param {boolean} kicked - Whether the server kicked the bot
+   */
+  _scheduleReconnect(reason, kicked) {
+    const policy = this._getReconnectPolicy();
+    let stopReason = null;
+    
+    if (!policy.enabled) {
+      stopReason = 'reconnecting is turned off';
+    } else if (kicked && policy.stopOnKickReasons.some(pattern => reason.toLowerCase().includes(pattern.toLowerCase()))) {
+      stopReason = `kicked for ${reason}`;
+    } else if (policy.maxAttempts > 0 && this.reconnectAttempts >= policy.maxAttempts) {
+      stopReason = `gave up after ${this.reconnectAttempts} attempts`;
+    }
+    
+    if (stopReason) {
+      this.log.warn(`Not reconnecting: ${stopReason}`);
+      this.reconnectAttempts = 0;
+      this.resumeState = null;
+      this.emit('disconnected', { username: this.username, reason, stopReason });
+      return;
+    }
+    
+    const delay = this._getReconnectDelay(policy, this.reconnectAttempts);
+    this.reconnectAttempts++;
+    
+    const attempts = policy.maxAttempts > 0 ? `${this.reconnectAttempts}/${policy.maxAttempts}` : this.reconnectAttempts;
+    this.log.info(`Reconnecting in ${Math.round(delay / 1000)}s (attempt ${attempts})`);
+    this.emit('reconnecting', { username: this.username, reason, attempt: this.reconnectAttempts, delay });
+    
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this._reconnect().catch(error => this._handleError('Reconnect failed', error));
+    }, delay);
+  }
+  
+  /**
+   * Connect again and restore the task the bot had when it dropped
+   * @private
+   */
+  async _reconnect() {
+    const success = await this.start();
+    
+    if (!success) {
+      const kickReason = this.lastKickReason;
+      this.lastKickReason = null;
+      this._scheduleReconnect(kickReason || 'could not connect', Boolean(kickReason));
+      return;
+    }
+    
+    this.log.info(`Reconnected after ${this.reconnectAttempts} attempts`);
+    this.emit('reconnected', { username: this.username, attempts: this.reconnectAttempts });
+    
+    const state = this.resumeState;
+    this.resumeState = null;
+    
+    if (state) {
+      await this.resumeAssignment(state);
+    }
+  }
+  
+  /**
+   * Merge the reconnect policy from the defaults, the global config, the bot type and the bot itself
+   * @private
+   * @returns {Object} - Reconnect policy
+   */
+  _getReconnectPolicy() {
+    const globalPolicy = mainConfig.reconnect || {};
+    const typePolicy = (this.config && this.config.reconnect) || {};
+    const botPolicy = (globalPolicy.bots && globalPolicy.bots[this.username]) || {};
+    
+    return { ...DEFAULT_RECONNECT, ...globalPolicy, ...typePolicy, ...botPolicy };
+  }
+  
+  /**
+   * Work out the wait before a reconnect attempt: exponential backoff with jitter
+   * @private
+   * @param {Object} policy - Reconnect policy
+   * @param {number} attempt - Attempts made so far
+   * @returns {number} - Wait in milliseconds
+   */
+  _getReconnectDelay(policy, attempt) {
+    const delay = Math.min(policy.initialDelay * Math.pow(policy.multiplier, attempt), policy.maxDelay);
+    const jitter = delay * policy.jitter * (Math.random() * 2 - 1);
+    
+    return Math.max(0, Math.round(delay + jitter));
+  }
+  
+  /**
+   * Note the bot's task so it can be restored after reconnecting, keeping one already noted
+   * @private
+   */
+  _saveResumeState() {
+    if (!this.resumeState) {
+      this.resumeState = this.getAssignment();
+    }
+  }
+  
+  /**
+   * Describe the bot's current task so it can be restored after reconnecting
+   * Specialized bots override this with their guard targets, patrols and jobs
+   * @private
+   * @returns {Object|null} - Task state or null if there is nothing to restore
+   */
+  _getResumeState() {
+    return null;
+  }
+  
+  /**
+   * Restore a task described by _getResumeState
+   * @private
+   * @param {Object} state - Task state
+   * @returns {Promise<void>}
+   */
+  async _resumeTask(state) {
+    // Base bots have no tasks of their own to restore
+  }
+  
   /**
    * Set up mineflayer plugins
    * @private
@@ -331,6 +644,8 @@ class BaseBot extends EventEmitter {
   _setupEventHandlers() {
     if (!this.bot) return;
     
+    const bot = this.bot;
+    
     // Handle chat messages
     this.bot.on('chat', (username, message) => {
       if (username === this.bot.username) return;
@@ -356,12 +671,12 @@ class BaseBot extends EventEmitter {
     // Handle server connection events
     this.bot.on('kicked', (reason, loggedIn) => {
       try {
-        // Properly log the kicked reason as string, handling JSON objects
-        let readableReason = reason;
-        if (typeof reason === 'object') {
-          readableReason = JSON.stringify(reason);
-        }
+        const readableReason = this._formatKickReason(reason);
         this.log.warn(`Bot was kicked: ${readableReason}`);
+        
+        // Note the task before the bot's jobs fail for lack of a connection
+        this._saveResumeState();
+        this.lastKickReason = readableReason;
         this.active = false;
         this.emit('kicked', { reason: readableReason });
       } catch (error) {
@@ -369,6 +684,13 @@ class BaseBot extends EventEmitter {
       }
     });
     
+    this.bot.on('end', (reason) => {
+      // Ignore the end of a connection the bot has already let go of, as when stopped
+      if (this.bot !== bot) return;
+      
+      this._onDisconnect(reason);
+    });
+    
     this.bot.on('error', (error) => {
       this._handleError('Bot error', error);
     });
@@ -378,6 +700,13 @@ class BaseBot extends EventEmitter {
       this.emit('death', { position: this.bot.entity.position });
     });
     
+    // Top up the kit after respawning, as the old one was dropped
+    this.bot.on('spawn', () => {
+      // Respawns also follow portals, which move the bot to another dimension
+      this._updateWorld();
+      this._scheduleKitRestock();
+    });
+    
     // Handle health and hunger
     this.bot.on('health', () => {
       if (this.bot.health <= 5) {
@@ -391,6 +720,14 @@ class BaseBot extends EventEmitter {
       if (oldItem?.name !== newItem?.name) {
         this.log.debug(`Inventory update: ${oldItem?.name || 'empty'} -> ${newItem?.name || 'empty'}`);
       }
+      
+      this._checkKitLevels();
+    });
+    
+    this.bot.on('playerCollect', (collector, collected) => {
+      if (collector === this.bot.entity) {
+        this._onItemCollected(collected);
+      }
     });
     
     // Setup continuous looking with physicsTick
@@ -412,7 +749,7 @@ class BaseBot extends EventEmitter {
       }
     });
   }
-
+  
   /**
    * Look at player who sent a message
    * @private
@@ -431,7 +768,7 @@ class BaseBot extends EventEmitter {
       this.log.debug(`Could not look at player ${username}: ${error.message}`);
     }
   }
-
+  
   /**
    * Handle a command sent by a player
    * @private
@@ -471,7 +808,7 @@ class BaseBot extends EventEmitter {
       }
     }
   }
-
+  
   /**
    * Handle the look command
    * @private
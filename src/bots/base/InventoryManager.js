@@ -4,6 +4,281 @@
  * This mixin adds methods for managing inventory, storing items, and crafting.
  */
 
+const { Vec3 } = require('vec3');
+
+// Crafting tables further away than this are not worth walking to
+const CRAFTING_TABLE_RANGE = 32;
+
+// Recipe trees deeper than this are cut off
+const MAX_RECIPE_DEPTH = 8;
+
+// Recipes tried per plan before giving up on finding better ones
+const MAX_RECIPE_TRIALS = 2000;
+
+// Categories the inventory is sorted by, unless a bot type sets its own sortOrder
+const DEFAULT_SORT_ORDER = ['tools', 'weapons', 'armor', 'food', 'ores', 'blocks', 'other'];
+
+// Item name patterns for the categories that can't be looked up in minecraft-data
+const ITEM_CATEGORIES = {
+  tools: /_(pickaxe|axe|shovel|hoe)$|^(shears|fishing_rod|flint_and_steel|bucket|water_bucket|lava_bucket)$/,
+  weapons: /_sword$|^(bow|crossbow|trident|shield|arrow|spectral_arrow|tipped_arrow)$/,
+  armor: /_(helmet|chestplate|leggings|boots)$|^elytra$/,
+  ores: /_ore$|^raw_|_ingot$|_nugget$|^(coal|charcoal|diamond|emerald|lapis_lazuli|redstone|quartz|netherite_scrap)$/
+};
+
+// Tool materials from best to worst, for picking the tool that goes in a hotbar slot
+const TOOL_TIERS = ['netherite', 'diamond', 'iron', 'stone', 'golden', 'wooden'];
+
+// Items picked up before the inventory is sorted again, unless a bot type sets sortAfterPickup
+const DEFAULT_SORT_AFTER_PICKUP = 32;
+
+// Delay after the last big pickup before sorting, so a run of pickups is sorted once
+const PICKUP_SORT_DELAY = 2000;
+
+/**
+ * Expand items into the crafting steps that make them
+ * @param {Object} mcData - minecraft-data for the bot's version
+ * @param {Array<Object>} targets - Items wanted, in order, as { itemName, count }
+ * @param {Object} inventory - Item counts in the inventory
+ * @param {Function} lookupStorage - Returns how many of an item are in the shared chests
+ * @returns {Object} - Steps, items to withdraw from storage and items missing
+ */
+function planRecipeTree(mcData, targets, inventory, lookupStorage) {
+  const state = {
+    inventory: { ...inventory },
+    storage: {},
+    steps: [],
+    withdraw: {},
+    missing: {},
+    cycles: []
+  };
+  const context = { mcData, lookupStorage, trials: 0 };
+  
+  for (const { itemName, count } of targets) {
+    planItem(context, state, itemName, count, []);
+  }
+  
+  return { steps: state.steps, withdraw: state.withdraw, missing: state.missing };
+}
+
+/**
+ * Plan one item into a planning state, taking it from stock before crafting it
+ * @param {Object} context - Planning context
+ * @param {Object} state - Planning state, updated in place
+ * @param {string} itemName - Item name
+ * @param {number} count - Number of items needed
+ * @param {Array<string>} path - Items being crafted above this one
+ */
+function planItem(context, state, itemName, count, path) {
+  const fromInventory = Math.min(count, state.inventory[itemName] || 0);
+  state.inventory[itemName] = (state.inventory[itemName] || 0) - fromInventory;
+  
+  const fromStorage = Math.min(count - fromInventory, getStored(context, state, itemName));
+  state.storage[itemName] -= fromStorage;
+  
+  if (fromStorage > 0) {
+    state.withdraw[itemName] = (state.withdraw[itemName] || 0) + fromStorage;
+  }
+  
+  const needed = count - fromInventory - fromStorage;
+  
+  if (needed === 0) {
+    return;
+  }
+  
+  const item = context.mcData.itemsByName[itemName];
+  const recipes = (item && context.mcData.recipes[item.id]) || [];
+  
+  if (recipes.length === 0 || path.includes(itemName) || path.length >= MAX_RECIPE_DEPTH) {
+    // Recipes that loop back to an item being crafted, like ingot -> block -> ingot,
+    // are dropped all the way up to that item
+    if (path.includes(itemName)) {
+      state.cycles.push(itemName);
+    }
+    
+    state.missing[itemName] = (state.missing[itemName] || 0) + needed;
+    return;
+  }
+  
+  // Recipes whose ingredients are on hand are tried first
+  const onHand = recipe => Object.keys(getIngredients(context.mcData, recipe))
+    .filter(name => (state.inventory[name] || 0) > 0 || getStored(context, state, name) > 0).length;
+  const ordered = [...recipes].sort((a, b) => onHand(b) - onHand(a));
+  
+  let best = null;
+  const cycles = [];
+  
+  for (const recipe of ordered) {
+    if (context.trials++ >= MAX_RECIPE_TRIALS) {
+      break;
+    }
+    
+    const crafts = Math.ceil(needed / recipe.result.count);
+    const trial = {
+      inventory: { ...state.inventory },
+      storage: { ...state.storage },
+      steps: [],
+      withdraw: {},
+      missing: {},
+      cycles: []
+    };
+    
+    for (const [ingredient, perCraft] of Object.entries(getIngredients(context.mcData, recipe))) {
+      planItem(context, trial, ingredient, perCraft * crafts, [...path, itemName]);
+    }
+    
+    if (trial.cycles.length > 0) {
+      cycles.push(...trial.cycles);
+      continue;
+    }
+    
+    const missingCount = Object.values(trial.missing).reduce((sum, n) => sum + n, 0);
+    
+    if (!best || missingCount < best.missingCount) {
+      best = { recipe, crafts, trial, missingCount };
+    }
+    
+    if (missingCount === 0) {
+      break;
+    }
+  }
+  
+  if (!best) {
+    // An item partly in stock ends the loop, as the rest of it is simply missing; only an
+    // item with nothing in stock passes the loop up, so the recipes through it are dropped
+    if (fromInventory + fromStorage === 0) {
+      state.cycles.push(...cycles.filter(name => name !== itemName));
+    }
+    
+    state.missing[itemName] = (state.missing[itemName] || 0) + needed;
+    return;
+  }
+  
+  const { recipe, crafts, trial } = best;
+  state.inventory = trial.inventory;
+  state.storage = trial.storage;
+  state.steps.push(...trial.steps, {
+    itemName,
+    count: crafts * recipe.result.count,
+    crafts,
+    needsTable: needsCraftingTable(recipe)
+  });
+  
+  for (const [name, n] of Object.entries(trial.withdraw)) {
+    state.withdraw[name] = (state.withdraw[name] || 0) + n;
+  }
+  
+  for (const [name, n] of Object.entries(trial.missing)) {
+    state.missing[name] = (state.missing[name] || 0) + n;
+  }
+  
+  // Whatever the last craft makes beyond what is needed is left for later steps
+  state.inventory[itemName] = (state.inventory[itemName] || 0) + crafts * recipe.result.count - needed;
+}
+
+/**
+ * Count how many of an item are left in the shared chests, looking each item up once
+ * @param {Object} context - Planning context
+ * @param {Object} state - Planning state
+ * @param {string} itemName - Item name
+ * @returns {number} - Number of items left in storage
+ */
+function getStored(context, state, itemName) {
+  if (state.storage[itemName] === undefined) {
+    state.storage[itemName] = context.lookupStorage(itemName);
+  }
+  
+  return state.storage[itemName];
+}
+
+/**
+ * Count the ingredients of one craft of a recipe
+ * @param {Object} mcData - minecraft-data for the bot's version
+ * @param {Object} recipe - minecraft-data recipe
+ * @returns {Object} - Ingredient counts by item name
+ */
+function getIngredients(mcData, recipe) {
+  const entries = recipe.inShape ? recipe.inShape.flat() : (recipe.ingredients || []);
+  const ingredients = {};
+  
+  for (const entry of entries) {
+    const id = entry !== null && typeof entry === 'object' ? entry.id : entry;
+    
+    if (id === null || id === undefined || id < 0 || !mcData.items[id]) {
+      continue;
+    }
+    
+    const name = mcData.items[id].name;
+    ingredients[name] = (ingredients[name] || 0) + 1;
+  }
+  
+  return ingredients;
+}
+
+/**
+ * Check whether a recipe is too big for the inventory's 2x2 crafting grid
+ * @param {Object} recipe - minecraft-data recipe
+ * @returns {boolean} - Whether a crafting table is needed
+ */
+function needsCraftingTable(recipe) {
+  if (recipe.inShape) {
+    return recipe.inShape.length > 2 || recipe.inShape.some(row => row.length > 2);
+  }
+  
+  return (recipe.ingredients || []).length > 4;
+}
+
+/**
+ * Check whether two stacks are the same kind of item and can be merged
+ * @param {Item} a - First stack
+ * @param {Item} b - Second stack
+ * @returns {boolean} - Whether the stacks are the same kind
+ */
+function isSameKind(a, b) {
+  return a.type === b.type && a.metadata === b.metadata && JSON.stringify(a.nbt) === JSON.stringify(b.nbt);
+}
+
+/**
+ * Work out which sort category an item belongs to
+ * @param {Object} mcData - minecraft-data for the bot's version
+ * @param {string} itemName - Item name
+ * @returns {string} - Category name
+ */
+function getItemCategory(mcData, itemName) {
+  for (const [category, pattern] of Object.entries(ITEM_CATEGORIES)) {
+    if (pattern.test(itemName)) {
+      return category;
+    }
+  }
+  
+  if (mcData.foodsByName && mcData.foodsByName[itemName]) {
+    return 'food';
+  }
+  
+  return mcData.blocksByName[itemName] ? 'blocks' : 'other';
+}
+
+/**
+ * Check whether an item fits a hotbar slot setting, which is an item name
+ * or a kind of tool such as 'pickaxe'
+ * @param {string} itemName - Item name
+ * @param {string} entry - Hotbar slot setting
+ * @returns {boolean} - Whether the item fits
+ */
+function matchesHotbarEntry(itemName, entry) {
+  return itemName === entry || itemName.endsWith(`_${entry}`);
+}
+
+/**
+ * Rank a tool by its material, best first
+ * @param {string} itemName - Item name
+ * @returns {number} - Rank, lower is better
+ */
+function getToolTier(itemName) {
+  const tier = TOOL_TIERS.indexOf(itemName.split('_')[0]);
+  return tier === -1 ? TOOL_TIERS.length : tier;
+}
+
 /**
  * Inventory Management mixin for BaseBot
  * @mixin
@@ -117,10 +392,10 @@ const InventoryManager = {
   },
   
   /**
-   * Craft an item
+   * Craft an item, crafting its ingredients first and taking what is needed from storage
    * @param {Object} options - Craft options
    * @param {string} options.itemName - Item to craft
-   * @param {number} [options.count=1] - Number of items to craft
+   * @param {number} [options.count=1] - Number of items wanted
    * @returns {Promise<boolean>} - Whether crafting was successful
    */
   async craftItem({ itemName, count = 1 }) {
@@ -130,29 +405,49 @@ const InventoryManager = {
     
     try {
       const mcData = require('minecraft-data')(this.bot.version);
-      const item = mcData.itemsByName[itemName];
+      const plan = this.planCraft({ itemName, count });
       
-      if (!item) {
-        throw new Error(`Unknown item: ${itemName}`);
+      if (Object.keys(plan.missing).length > 0) {
+        this.log.warn(`Cannot craft ${count} ${itemName}, missing ${this._formatItemCounts(plan.missing)}`);
+        return false;
       }
       
-      const craftingTable = this.bot.findBlock({
-        matching: mcData.blocksByName.crafting_table.id,
-        maxDistance: 3
-      });
-      
-      // Find recipes for item
-      const recipes = this.bot.recipesFor(item.id, null, craftingTable ? 1 : null, craftingTable);
-      
-      if (recipes.length === 0) {
-        this.log.warn(`No recipe found for ${itemName}`);
-        return false;
+      for (const [name, needed] of Object.entries(plan.withdraw)) {
+        if (await this._fetchFromStorage(name, needed) < needed) {
+          throw new Error(`Could not fetch ${needed} ${name} from storage`);
+        }
       }
       
-      this.currentTask = `Crafting ${count} ${itemName}`;
-      this.log.info(this.currentTask);
+      let craftingTable = null;
       
-      await this.bot.craft(recipes[0], count, craftingTable);
+      for (const step of plan.steps) {
+        this.currentTask = `Crafting ${step.count} ${step.itemName}`;
+        this.log.info(this.currentTask);
+        
+        if (step.needsTable) {
+          craftingTable = craftingTable || await this._getCraftingTable();
+          
+          if (!craftingTable) {
+            throw new Error('No crafting table to craft on');
+          }
+          
+          if (this.bot.entity.position.distanceTo(craftingTable.position) > 3) {
+            await this.goTo(craftingTable.position, 2);
+          }
+        }
+        
+        // One craft at a time, so each uses whichever recipe the inventory allows
+        for (let i = 0; i < step.crafts; i++) {
+          const table = step.needsTable ? craftingTable : null;
+          const recipe = this.bot.recipesFor(mcData.itemsByName[step.itemName].id, null, 1, table)[0];
+          
+          if (!recipe) {
+            throw new Error(`Ran out of ingredients for ${step.itemName}`);
+          }
+          
+          await this.bot.craft(recipe, 1, table);
+        }
+      }
       
       this.currentTask = null;
       return true;
@@ -163,6 +458,52 @@ const InventoryManager = {
     }
   },
   
+  /**
+   * Work out how to craft an item from the inventory and the shared chests
+   *
+   * The item is expanded into a recipe tree, preferring recipes whose
+   * ingredients are on hand, down to items that are there or can't be crafted.
+   * @param {Object} options - Plan options
+   * @param {string} options.itemName - Item to craft
+   * @param {number} [options.count=1] - Number of items wanted
+   * @param {boolean} [options.useStorage=true] - Whether items in the shared chests count
+   * @returns {Object} - Craft steps in order, items to withdraw from storage and items still missing
+   */
+  planCraft({ itemName, count = 1, useStorage = true }) {
+    if (!this.bot) {
+      throw new Error('Bot is not active');
+    }
+    
+    const mcData = require('minecraft-data')(this.bot.version);
+    
+    if (!mcData.itemsByName[itemName]) {
+      throw new Error(`Unknown item: ${itemName}`);
+    }
+    
+    const inventory = {};
+    for (const item of this.bot.inventory.items()) {
+      inventory[item.name] = (inventory[item.name] || 0) + item.count;
+    }
+    
+    const lookupStorage = name => useStorage && this.dataInterface
+      ? this.dataInterface.findChestsWithItem(name).reduce((sum, chest) => sum + chest.count, 0)
+      : 0;
+    
+    const plan = planRecipeTree(mcData, [{ itemName, count }], inventory, lookupStorage);
+    
+    // Bring a crafting table along if the tree needs one and there is none nearby
+    const craftingTable = this.bot.findBlock({
+      matching: mcData.blocksByName.crafting_table.id,
+      maxDistance: CRAFTING_TABLE_RANGE
+    });
+    
+    if (plan.steps.some(step => step.needsTable) && !craftingTable) {
+      return planRecipeTree(mcData, [{ itemName: 'crafting_table', count: 1 }, { itemName, count }], inventory, lookupStorage);
+    }
+    
+    return plan;
+  },
+  
   /**
    * Open a container at the specified position
    * @param {Object} position - Container position
@@ -218,7 +559,8 @@ const InventoryManager = {
     }
     
     try {
-      const items = this.findInventoryItems({ itemName });
+      // bot.inventory only catches up with the window once it closes
+      const items = container.items().filter(item => item.name === itemName);
       
       if (items.length === 0) {
         this.log.warn(`No ${itemName} found in inventory`);
@@ -231,14 +573,15 @@ const InventoryManager = {
       this.currentTask = `Depositing ${depositCount} ${itemName}`;
       this.log.info(this.currentTask);
       
+      // Move from the player inventory part of the window into the container slots
       await this.bot.transfer({ 
         window: container, 
         itemType: item.type, 
         metadata: item.metadata, 
-        sourceStart: this.bot.inventory.slots.indexOf(item),
-        sourceEnd: this.bot.inventory.slots.length,
+        sourceStart: container.inventoryStart,
+        sourceEnd: container.inventoryEnd,
         destStart: 0,
-        destEnd: container.slots.length,
+        destEnd: container.inventoryStart,
         count: depositCount
       });
       
@@ -272,8 +615,8 @@ const InventoryManager = {
         throw new Error(`Unknown item: ${itemName}`);
       }
       
-      const containerItems = container.slots
-        .filter(item => item && item.type === itemType);
+      const containerItems = container.containerItems()
+        .filter(item => item.type === itemType);
       
       if (containerItems.length === 0) {
         this.log.warn(`No ${itemName} found in container`);
@@ -286,14 +629,15 @@ const InventoryManager = {
       this.currentTask = `Withdrawing ${withdrawCount} ${itemName}`;
       this.log.info(this.currentTask);
       
-      await this.bot.withdraw({ 
+      // Move from the container slots into the player inventory part of the window
+      await this.bot.transfer({ 
         window: container, 
         itemType: item.type, 
         metadata: item.metadata, 
         sourceStart: 0,
-        sourceEnd: container.slots.length,
-        destStart: this.bot.inventory.slots.indexOf(null) || 0,
-        destEnd: this.bot.inventory.slots.length,
+        sourceEnd: container.inventoryStart,
+        destStart: container.inventoryStart,
+        destEnd: container.inventoryEnd,
         count: withdrawCount
       });
       
@@ -306,6 +650,128 @@ const InventoryManager = {
     }
   },
   
+  /**
+   * Store all of an item in a shared chest, keeping like items together
+   * @param {Object} options - Store options
+   * @param {string} options.itemName - Item name to store
+   * @param {number} [options.keep=0] - Number of the item to keep in the inventory
+   * @returns {Promise<number>} - Number of items stored
+   */
+  async storeItem({ itemName, keep = 0 }) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    if (!this.dataInterface) {
+      throw new Error('Shared data system is not available');
+    }
+    
+    try {
+      if (this._countInventoryItem(itemName) <= keep) {
+        this.log.warn(`No ${itemName} to store beyond the ${keep} kept`);
+        return 0;
+      }
+      
+      const chests = this._findStorageChests(itemName);
+      
+      if (chests.length === 0) {
+        throw new Error(`No chest with free space to store ${itemName}`);
+      }
+      
+      let stored = 0;
+      
+      // Move on to the next chest if one fills up
+      for (const chest of chests) {
+        this.currentTask = `Storing ${itemName} in ${chest.name}`;
+        this.log.info(this.currentTask);
+        
+        stored += await this._depositToChest({
+          position: chest.position,
+          itemNames: [itemName],
+          name: chest.name,
+          keep: { [itemName]: keep }
+        });
+        
+        if (this._countInventoryItem(itemName) <= keep) {
+          break;
+        }
+      }
+      
+      this.currentTask = null;
+      return stored;
+    } catch (error) {
+      this._handleError(`Failed to store ${itemName}`, error);
+      this.currentTask = null;
+      return 0;
+    }
+  },
+  
+  /**
+   * Fetch items from the shared chests and hand them to a player, a bot or a chest
+   *
+   * The work runs in the background, with the withdrawal, the trip and the
+   * hand-over each recorded as a task under the fetch task.
+   * @param {Object} options - Fetch options
+   * @param {string} options.itemName - Item to fetch
+   * @param {number} options.count - Number of items to fetch
+   * @param {Object} options.recipient - Who gets the items
+   * @param {string} options.recipient.type - 'player', 'bot' or 'chest'
+   * @param {string} options.recipient.name - Player, bot or chest name
+   * @param {string} [options.recipient.username] - In-game username of a player or bot
+   * @param {Object} [options.recipient.position] - Chest position, or where a player or bot was last seen
+   * @returns {Promise<string|null>} - Fetch task ID, or null if the fetch could not start
+   */
+  async fetchItems({ itemName, count, recipient }) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    try {
+      if (!this.dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      if (this.fetchJob) {
+        throw new Error(`Already fetching ${this.fetchJob.itemName}`);
+      }
+      
+      const taskId = `fetch-${this.username}-${Date.now()}`;
+      
+      this.dataInterface.startTask({
+        taskId,
+        description: `Fetch ${count} ${itemName} for ${recipient.name}`,
+        data: {
+          type: 'fetch',
+          itemName,
+          count,
+          recipient
+        }
+      });
+      
+      this.fetchJob = { taskId, itemName, count, recipient };
+      this.log.info(`Fetching ${count} ${itemName} for ${recipient.name}`);
+      
+      // Run the fetch in the background so the command can return immediately
+      const job = this.fetchJob;
+      this._runFetch(job)
+        .catch(error => {
+          this._handleError('Fetch failed', error);
+          this.dataInterface.failTask({ taskId, reason: error.message });
+        })
+        .finally(() => {
+          if (this.fetchJob === job) {
+            this.fetchJob = null;
+            this.currentTask = null;
+          }
+        });
+      
+      return taskId;
+    } catch (error) {
+      this.log.error(`Failed to start fetch: ${error.message}`);
+      return null;
+    }
+  },
+  
   /**
    * Check if inventory is nearly full
    * @param {number} [threshold=0.9] - Fullness threshold (0-1)
@@ -321,7 +787,8 @@ const InventoryManager = {
   },
   
   /**
-   * Sort inventory by organizing similar items together
+   * Sort the inventory: merge partial stacks, put tools and weapons in the hotbar
+   * slots set for the bot type and order everything else by category
    * @returns {Promise<boolean>} - Whether sorting was successful
    */
   async sortInventory() {
@@ -329,33 +796,665 @@ const InventoryManager = {
       throw new Error('Bot is not active');
     }
     
+    if (this.bot.currentWindow) {
+      this.log.warn('Cannot sort the inventory while a container is open');
+      return false;
+    }
+    
+    if (this.sortingInventory) {
+      return false;
+    }
+    
+    this.sortingInventory = true;
+    const heldItem = this.bot.heldItem;
+    
     try {
-      this.currentTask = 'Sorting inventory';
-      this.log.info(this.currentTask);
+      this.log.info('Sorting inventory');
       
-      // Group similar items
-      const items = this.bot.inventory.items();
-      const groupedItems = {};
+      const merged = await this._mergeStacks();
+      const moved = await this._arrangeSlots(this._planInventoryLayout());
       
-      for (const item of items) {
-        if (!groupedItems[item.name]) {
-          groupedItems[item.name] = [];
+      // Keep holding the same item if sorting moved it to another hotbar slot
+      if (heldItem && this.bot.heldItem?.name !== heldItem.name) {
+        const hotbarStart = this.bot.inventory.hotbarStart;
+        const item = this.bot.inventory.items().find(item => item.name === heldItem.name && item.slot >= hotbarStart);
+        
+        if (item) {
+          this.bot.setQuickBarSlot(item.slot - hotbarStart);
         }
-        groupedItems[item.name].push(item);
       }
       
-      // This is a simplified approach to inventory sorting
-      // A real implementation would be more complex and involve
-      // actually moving items between specific slots
-      this.log.info('Inventory items grouped by type');
-      
-      this.currentTask = null;
+      this.log.info(`Sorted inventory: merged ${merged} stacks and moved ${moved}`);
       return true;
     } catch (error) {
       this._handleError('Failed to sort inventory', error);
-      this.currentTask = null;
       return false;
+    } finally {
+      this.sortingInventory = false;
+    }
+  },
+  
+  /**
+   * Walk to a chest, deposit items and report the new contents to the shared data
+   * @private
+   * @param {Object} options - Deposit options
+   * @param {Object} options.position - Chest position
+   * @param {Array<string>} options.itemNames - Names of the items to deposit
+   * @param {string} [options.name] - Chest name to report
+   * @param {Object} [options.keep] - Number of each item to keep in the inventory
+   * @returns {Promise<number>} - Number of items deposited
+   */
+  async _depositToChest({ position, itemNames, name, keep = {} }) {
+    const reached = await this.goTo(position, 2);
+    
+    if (!reached) {
+      throw new Error(`Could not reach chest at ${position.x}, ${position.y}, ${position.z}`);
+    }
+    
+    const container = await this.openContainer(position);
+    const changes = {};
+    let deposited = 0;
+    
+    try {
+      for (const itemName of itemNames) {
+        const keepCount = keep[itemName] || 0;
+        
+        // Counted in the window, as bot.inventory is stale while it is open
+        let held = this._countWindowItems(container.items(), itemName);
+        
+        // depositItems moves one stack at a time
+        while (held > keepCount) {
+          const stack = container.items().find(item => item.name === itemName);
+          const count = Math.min(stack.count, held - keepCount);
+          const stored = this._countWindowItems(container.containerItems(), itemName);
+          
+          if (!await this.depositItems({ container, itemName, count })) {
+            break;
+          }
+          
+          // A full chest takes fewer than asked, or none
+          const arrived = this._countWindowItems(container.containerItems(), itemName) - stored;
+          
+          if (arrived <= 0) {
+            break;
+          }
+          
+          changes[itemName] = (changes[itemName] || 0) + arrived;
+          deposited += arrived;
+          held = this._countWindowItems(container.items(), itemName);
+        }
+      }
+      
+      if (this.dataInterface) {
+        this.dataInterface.reportChestContents({
+          position,
+          items: container.containerItems().map(item => ({ name: item.name, count: item.count })),
+          name,
+          size: container.inventoryStart
+        });
+      }
+    } finally {
+      container.close();
+    }
+    
+    // Stored items become shared resources
+    if (this.dataInterface) {
+      for (const [item, count] of Object.entries(changes)) {
+        this.dataInterface.reportInventoryChange({ item, count });
+      }
+    }
+    
+    return deposited;
+  },
+  
+  /**
+   * Count an item among the slots of a window section
+   * @private
+   * @param {Array<Item>} items - Items of a window section, such as container.items()
+   * @param {string} itemName - Item name
+   * @returns {number} - Number of the item
+   */
+  _countWindowItems(items, itemName) {
+    return items
+      .filter(item => item.name === itemName)
+      .reduce((sum, item) => sum + item.count, 0);
+  },
+  
+  /**
+   * Walk to a chest and withdraw up to a number of an item
+   * @private
+   * @param {Object} options - Withdraw options
+   * @param {Object} options.position - Chest position
+   * @param {string} options.itemName - Item name to withdraw
+   * @param {number} options.count - Number of items wanted
+   * @param {string} [options.name] - Chest name to report
+   * @returns {Promise<number>} - Number of items withdrawn
+   */
+  async _withdrawFromChest({ position, itemName, count, name }) {
+    const reached = await this.goTo(position, 2);
+    
+    if (!reached) {
+      throw new Error(`Could not reach chest at ${position.x}, ${position.y}, ${position.z}`);
+    }
+    
+    const container = await this.openContainer(position);
+    let withdrawn = 0;
+    
+    try {
+      // withdrawItems moves one stack at a time
+      while (withdrawn < count) {
+        const stack = container.containerItems().find(item => item.name === itemName);
+        
+        if (!stack) {
+          break;
+        }
+        
+        const amount = Math.min(count - withdrawn, stack.count);
+        
+        if (!await this.withdrawItems({ container, itemName, count: amount })) {
+          break;
+        }
+        
+        withdrawn += amount;
+      }
+      
+      if (this.dataInterface) {
+        this.dataInterface.reportChestContents({
+          position,
+          items: container.containerItems().map(item => ({ name: item.name, count: item.count })),
+          name,
+          size: container.inventoryStart
+        });
+      }
+    } finally {
+      container.close();
+    }
+    
+    // Withdrawn items are no longer shared resources
+    if (this.dataInterface && withdrawn > 0) {
+      this.dataInterface.reportInventoryChange({ item: itemName, count: -withdrawn });
+    }
+    
+    return withdrawn;
+  },
+  
+  /**
+   * Find a crafting table nearby, or place one from the inventory
+   * @private
+   * @returns {Promise<Block|null>} - Crafting table block or null if there is none
+   */
+  async _getCraftingTable() {
+    const mcData = require('minecraft-data')(this.bot.version);
+    const craftingTable = this.bot.findBlock({
+      matching: mcData.blocksByName.crafting_table.id,
+      maxDistance: CRAFTING_TABLE_RANGE
+    });
+    
+    if (craftingTable || this._countInventoryItem('crafting_table') === 0) {
+      return craftingTable;
+    }
+    
+    // Any free spot beside the bot with solid ground under it will do
+    const feet = this.bot.entity.position.floored();
+    const offsets = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [-1, 1], [1, -1], [-1, -1]];
+    
+    for (const [dx, dz] of offsets) {
+      const spot = feet.offset(dx, 0, dz);
+      const ground = this.bot.blockAt(spot.offset(0, -1, 0));
+      
+      if (this.bot.blockAt(spot)?.name !== 'air' || !ground || ground.boundingBox !== 'block') {
+        continue;
+      }
+      
+      if (await this.placeBlock({ position: ground.position, blockName: 'crafting_table' })) {
+        return this.bot.blockAt(spot);
+      }
+    }
+    
+    this.log.warn('No room to place a crafting table');
+    return null;
+  },
+  
+  /**
+   * Carry out a fetch: withdraw the items, take them to the recipient and hand them over
+   * @private
+   * @param {Object} job - Fetch job
+   */
+  async _runFetch(job) {
+    const { taskId, itemName, recipient } = job;
+    const before = this._countInventoryItem(itemName);
+    
+    const withdrawn = await this._runFetchStep(job, 'withdraw', `Withdraw ${job.count} ${itemName} from storage`, async () => {
+      const count = await this._fetchFromStorage(itemName, job.count);
+      
+      if (count === 0) {
+        throw new Error(`No ${itemName} could be withdrawn`);
+      }
+      
+      return count;
+    });
+    
+    await this._runFetchStep(job, 'deliver', `Take ${withdrawn} ${itemName} to ${recipient.name}`, async () => {
+      this.currentTask = `Taking ${itemName} to ${recipient.name}`;
+      
+      if (!await this.goTo(this._getRecipientPosition(recipient), 2)) {
+        throw new Error(`Could not reach ${recipient.name}`);
+      }
+      
+      // Someone who has moved on since is usually in sight from where they were
+      const entity = this._getRecipientEntity(recipient);
+      
+      if (entity && !await this.goTo(entity.position, 2)) {
+        throw new Error(`Could not reach ${recipient.name}`);
+      }
+    });
+    
+    const delivered = await this._runFetchStep(job, 'handover', `Hand ${withdrawn} ${itemName} to ${recipient.name}`, async () => {
+      // Counted before a chest window opens, as bot.inventory is stale while it is open
+      const held = this._countInventoryItem(itemName);
+      const count = Math.min(withdrawn, held - before);
+      
+      if (recipient.type === 'chest') {
+        return await this._depositToChest({
+          position: recipient.position,
+          itemNames: [itemName],
+          name: recipient.name,
+          keep: { [itemName]: held - count }
+        });
+      }
+      
+      // Players and bots pick up what is dropped at their feet
+      const entity = this._getRecipientEntity(recipient);
+      if (entity) {
+        await this.lookAt(entity.position.offset(0, 1, 0));
+      }
+      
+      if (!await this.tossItems({ itemName, count })) {
+        throw new Error(`Could not drop ${itemName}`);
+      }
+      
+      return count;
+    });
+    
+    this.dataInterface.completeTask({ taskId, results: { withdrawn, delivered } });
+    this.log.info(`Delivered ${delivered} ${itemName} to ${recipient.name}`);
+  },
+  
+  /**
+   * Run one step of a fetch, recording it as a task of its own
+   * @private
+   * @param {Object} job - Fetch job
+   * @param {string} step - Step name
+   * @param {string} description - Task description
+   * @param {Function} action - Does the step and returns its result
+   * @returns {Promise<*>} - Result of the step
+   */
+  async _runFetchStep(job, step, description, action) {
+    const taskId = `${job.taskId}-${step}`;
+    
+    this.dataInterface.startTask({
+      taskId,
+      description,
+      data: { type: 'fetch-step', parent: job.taskId, step }
+    });
+    this.dataInterface.updateTask({ taskId: job.taskId, data: { step } });
+    
+    try {
+      const result = await action();
+      this.dataInterface.completeTask({ taskId, results: { result } });
+      return result;
+    } catch (error) {
+      this.dataInterface.failTask({ taskId, reason: error.message });
+      throw error;
+    }
+  },
+  
+  /**
+   * Find the entity of a fetch recipient, if it is in sight
+   * @private
+   * @param {Object} recipient - Player or bot getting the items
+   * @returns {Object|null} - Recipient entity
+   */
+  _getRecipientEntity(recipient) {
+    if (recipient.type === 'chest') {
+      return null;
+    }
+    
+    // Other bots are players to mineflayer too, under their in-game username
+    const player = this.bot.players[recipient.username || recipient.name];
+    
+    return player && player.entity ? player.entity : null;
+  },
+  
+  /**
+   * Find where a fetch recipient is
+   * @private
+   * @param {Object} recipient - Player, bot or chest getting the items
+   * @returns {Object} - Position to walk to, where the recipient was last seen if it is out of sight
+   */
+  _getRecipientPosition(recipient) {
+    if (recipient.type === 'chest') {
+      return recipient.position;
+    }
+    
+    const entity = this._getRecipientEntity(recipient);
+    
+    if (entity) {
+      return entity.position;
+    }
+    
+    if (!recipient.position) {
+      throw new Error(`Don't know where ${recipient.name} is`);
+    }
+    
+    return recipient.position;
+  },
+  
+  /**
+   * Withdraw an item from the shared chests that hold it, nearest first
+   * @private
+   * @param {string} itemName - Item name
+   * @param {number} count - Number of items wanted
+   * @returns {Promise<number>} - Number of items withdrawn
+   */
+  async _fetchFromStorage(itemName, count) {
+    const botPosition = this.bot.entity.position;
+    const chests = this.dataInterface.findChestsWithItem(itemName)
+      .sort((a, b) => botPosition.distanceTo(new Vec3(a.position.x, a.position.y, a.position.z)) -
+        botPosition.distanceTo(new Vec3(b.position.x, b.position.y, b.position.z)));
+    
+    let withdrawn = 0;
+    
+    for (const chest of chests) {
+      if (withdrawn >= count || this.bot.inventory.emptySlotCount() === 0) {
+        break;
+      }
+      
+      try {
+        this.currentTask = `Fetching ${itemName}`;
+        withdrawn += await this._withdrawFromChest({
+          position: chest.position,
+          itemName,
+          count: Math.min(count - withdrawn, chest.count),
+          name: chest.name
+        });
+      } catch (error) {
+        this.log.warn(`Could not withdraw ${itemName} from chest: ${error.message}`);
+      }
     }
+    
+    return withdrawn;
+  },
+  
+  /**
+   * Format item counts for messages
+   * @private
+   * @param {Object} items - Item counts by item name
+   * @returns {string} - Formatted list
+   */
+  _formatItemCounts(items) {
+    return Object.entries(items).map(([name, count]) => `${count} ${name}`).join(', ');
+  },
+  
+  /**
+   * Count a picked up item and sort the inventory once enough have come in
+   * @private
+   * @param {Entity} entity - Collected item entity
+   */
+  _onItemCollected(entity) {
+    const item = entity.getDroppedItem && entity.getDroppedItem();
+    const settings = (this.config && this.config.inventory) || {};
+    const threshold = settings.sortAfterPickup ?? DEFAULT_SORT_AFTER_PICKUP;
+    
+    if (!item || threshold <= 0) {
+      return;
+    }
+    
+    this.pickedUpSinceSort = (this.pickedUpSinceSort || 0) + item.count;
+    
+    if (this.pickedUpSinceSort < threshold) {
+      return;
+    }
+    
+    clearTimeout(this.pickupSortTimer);
+    this.pickupSortTimer = setTimeout(() => this._sortAfterPickup(), PICKUP_SORT_DELAY);
+  },
+  
+  /**
+   * Sort the inventory after a big pickup, waiting until the bot isn't digging or in a container
+   * @private
+   */
+  async _sortAfterPickup() {
+    if (!this.bot || !this.active) {
+      return;
+    }
+    
+    if (this.bot.targetDigBlock || this.bot.currentWindow) {
+      this.pickupSortTimer = setTimeout(() => this._sortAfterPickup(), PICKUP_SORT_DELAY);
+      return;
+    }
+    
+    this.pickedUpSinceSort = 0;
+    await this.sortInventory();
+  },
+  
+  /**
+   * Merge partial stacks of the same item into the earliest of them
+   * @private
+   * @returns {Promise<number>} - Number of stacks merged
+   */
+  async _mergeStacks() {
+    const { slots, inventoryStart, inventoryEnd } = this.bot.inventory;
+    let merged = 0;
+    
+    for (let target = inventoryStart; target < inventoryEnd; target++) {
+      for (let source = inventoryEnd - 1; source > target; source--) {
+        const into = slots[target];
+        const from = slots[source];
+        
+        if (!into || into.count >= into.stackSize) {
+          break;
+        }
+        
+        if (!from || from.count >= from.stackSize || !isSameKind(into, from)) {
+          continue;
+        }
+        
+        // Anything that doesn't fit goes back to the source slot
+        await this.bot.moveSlotItem(source, target);
+        merged++;
+      }
+    }
+    
+    return merged;
+  },
+  
+  /**
+   * Work out where every stack in the inventory should go
+   * @private
+   * @returns {Array<Object>} - Moves as { slot, target }, hotbar slots first
+   */
+  _planInventoryLayout() {
+    const mcData = require('minecraft-data')(this.bot.version);
+    const { slots, inventoryStart, inventoryEnd, hotbarStart } = this.bot.inventory;
+    const settings = (this.config && this.config.inventory) || {};
+    const hotbar = settings.hotbar || [];
+    const order = settings.sortOrder || DEFAULT_SORT_ORDER;
+    
+    const items = slots.slice(inventoryStart, inventoryEnd).filter(Boolean);
+    const layout = [];
+    const freeHotbarSlots = [];
+    
+    // The best matching tool for each configured hotbar slot
+    for (let i = 0; i < inventoryEnd - hotbarStart; i++) {
+      const entry = hotbar[i];
+      const matches = entry ? items.filter(item => matchesHotbarEntry(item.name, entry)) : [];
+      
+      if (matches.length === 0) {
+        freeHotbarSlots.push(hotbarStart + i);
+        continue;
+      }
+      
+      matches.sort((a, b) => getToolTier(a.name) - getToolTier(b.name) || b.count - a.count);
+      items.splice(items.indexOf(matches[0]), 1);
+      layout.push({ slot: matches[0].slot, target: hotbarStart + i });
+    }
+    
+    // Everything else by category, then name, filling the main inventory before the hotbar
+    const rank = item => {
+      const index = order.indexOf(getItemCategory(mcData, item.name));
+      return index === -1 ? order.length : index;
+    };
+    
+    items.sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name) || b.count - a.count);
+    
+    const targets = [];
+    for (let slot = inventoryStart; slot < hotbarStart; slot++) {
+      targets.push(slot);
+    }
+    targets.push(...freeHotbarSlots);
+    
+    items.forEach((item, index) => layout.push({ slot: item.slot, target: targets[index] }));
+    
+    return layout;
+  },
+  
+  /**
+   * Move stacks into their planned slots, swapping with whatever is there
+   * @private
+   * @param {Array<Object>} layout - Moves as { slot, target }
+   * @returns {Promise<number>} - Number of stacks moved
+   */
+  async _arrangeSlots(layout) {
+    const slots = this.bot.inventory.slots;
+    
+    // Track where each planned stack is as swaps move them around
+    const positions = new Map(layout.map(({ slot }) => [slot, slot]));
+    const occupants = new Map(layout.map(({ slot }) => [slot, slot]));
+    let moved = 0;
+    
+    for (const { slot, target } of layout) {
+      const current = positions.get(slot);
+      
+      if (current === target) {
+        continue;
+      }
+      
+      // Stacks of the same item are interchangeable, and the game won't swap them anyway
+      if (!slots[target] || !isSameKind(slots[current], slots[target])) {
+        await this.bot.moveSlotItem(current, target);
+        moved++;
+      }
+      
+      const displaced = occupants.get(target);
+      positions.set(slot, target);
+      occupants.set(target, slot);
+      
+      if (displaced !== undefined) {
+        positions.set(displaced, current);
+        occupants.set(current, displaced);
+      } else {
+        occupants.delete(current);
+      }
+    }
+    
+    return moved;
+  },
+  
+  /**
+   * Pick chests to store an item in, preferring chests that already hold it
+   * @private
+   * @param {string} itemName - Item name
+   * @returns {Array<Object>} - Candidate chests, best first
+   */
+  _findStorageChests(itemName) {
+    const botPosition = this.bot.entity.position;
+    const distance = chest => botPosition.distanceTo(new Vec3(chest.position.x, chest.position.y, chest.position.z));
+    const key = position => `${position.x},${position.y},${position.z}`;
+    
+    const holding = new Set(this.dataInterface.findChestsWithItem(itemName).map(chest => key(chest.position)));
+    const withSpace = this.dataInterface.findChestsWithSpace()
+      .sort((a, b) => distance(a) - distance(b));
+    
+    const chests = [
+      ...withSpace.filter(chest => holding.has(key(chest.position))),
+      ...withSpace.filter(chest => !holding.has(key(chest.position)))
+    ];
+    
+    // Fall back to the main storage chest if nothing is indexed yet
+    if (chests.length === 0) {
+      const storage = this.dataInterface.getPosition('main', 'storage');
+      if (storage) {
+        chests.push({ position: storage, name: 'storage' });
+      }
+    }
+    
+    return chests;
+  },
+  
+  /**
+   * Count how many of an item are in the inventory
+   * @private
+   * @param {string} itemName - Item name
+   * @returns {number} - Total count across all stacks
+   */
+  _countInventoryItem(itemName) {
+    return this.findInventoryItems({ itemName })
+      .reduce((sum, item) => sum + item.count, 0);
+  },
+  
+  /**
+   * Work out which sort category an item belongs to
+   * @private
+   * @param {string} itemName - Item name
+   * @returns {string} - Category name
+   */
+  _getItemCategory(itemName) {
+    return getItemCategory(require('minecraft-data')(this.bot.version), itemName);
+  },
+  
+  /**
+   * Check whether an item fits an item name or a kind of tool such as 'pickaxe'
+   * @private
+   * @param {string} itemName - Item name
+   * @param {string} entry - Item name or tool kind
+   * @returns {boolean} - Whether the item fits
+   */
+  _matchesItemEntry(itemName, entry) {
+    return matchesHotbarEntry(itemName, entry);
+  },
+  
+  /**
+   * Rank a tool by its material, best first
+   * @private
+   * @param {string} itemName - Item name
+   * @returns {number} - Rank, lower is better
+   */
+  _getToolTier(itemName) {
+    return getToolTier(itemName);
+  },
+  
+  /**
+   * Get a summary of inventory usage
+   * @private
+   * @returns {Object} - Used and total slots, fullness percentage and item counts
+   */
+  _getInventoryStatus() {
+    const inventory = this.bot.inventory;
+    const slots = inventory.slots.slice(inventory.inventoryStart, inventory.inventoryEnd);
+    const used = slots.filter(slot => slot !== null).length;
+    
+    const items = {};
+    for (const item of inventory.items()) {
+      items[item.name] = (items[item.name] || 0) + item.count;
+    }
+    
+    return {
+      used,
+      total: slots.length,
+      full: slots.length > 0 ? Math.round((used / slots.length) * 100) : 0,
+      items
+    };
   }
 };
 
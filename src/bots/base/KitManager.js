@@ -0,0 +1,204 @@
+/**
+ * KitManager.js - Extends BaseBot with equipment kits
+ *
+ * This mixin keeps a bot stocked with the items of its kit, topping them up
+ * from the shared chests when it spawns, respawns or runs low.
+ */
+
+const botConfig = require('../../shared/botConfig');
+
+// An item is running low once a bot carries this share of its kit count or less
+const KIT_LOW_FRACTION = 0.25;
+
+// Time to wait before checking again whether the bot is free to restock
+const KIT_RETRY_DELAY = 10000;
+
+// Restocks started by running low are at least this far apart, so empty chests aren't visited over and over
+const KIT_RESTOCK_COOLDOWN = 60000;
+
+/**
+ * Kit Management mixin for BaseBot
+ * @mixin
+ */
+const KitManager = {
+  /**
+   * Make a kit the bot's kit and top it up from the shared chests now
+   * @param {string} kitName - Kit name
+   * @returns {Promise<Object|null>} - Counts still missing by item or tool kind, or null if the kit could not be applied
+   */
+  async applyKit(kitName) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    try {
+      const kit = botConfig.getKit(kitName);
+      
+      if (!kit) {
+        throw new Error(`Unknown kit: ${kitName}`);
+      }
+      
+      if (!this.dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      this.kitName = kitName;
+      return await this._restockKit(kit);
+    } catch (error) {
+      this.log.error(`Failed to apply kit ${kitName}: ${error.message}`);
+      return null;
+    }
+  },
+  
+  /**
+   * Get the kit the bot keeps itself stocked with
+   * @returns {Object|null} - Kit name and item counts or null if the bot has no kit
+   */
+  getKit() {
+    const kitName = this.kitName || (this.config && this.config.inventory && this.config.inventory.kit);
+    const kit = kitName ? botConfig.getKit(kitName) : null;
+    
+    return kit ? { name: kitName, items: kit } : null;
+  },
+  
+  /**
+   * Restock the kit once the bot is free, as after spawning
+   * @private
+   */
+  _scheduleKitRestock() {
+    if (this.kitRestockTimer || !this.getKit()) {
+      return;
+    }
+    
+    this.kitRestockTimer = setTimeout(() => {
+      this._restockKitWhenIdle().catch(error => this._handleError('Kit restock failed', error));
+    }, KIT_RETRY_DELAY);
+  },
+  
+  /**
+   * Restock the kit if anything in it is running low
+   * @private
+   */
+  _checkKitLevels() {
+    if (this.kitRestockTimer || this.restockingKit || Date.now() - (this.lastKitRestock || 0) < KIT_RESTOCK_COOLDOWN) {
+      return;
+    }
+    
+    const kit = this.getKit();
+    
+    if (kit && Object.entries(kit.items).some(([entry, count]) => this._countKitEntry(entry) <= count * KIT_LOW_FRACTION)) {
+      this._scheduleKitRestock();
+    }
+  },
+  
+  /**
+   * Restock the kit, waiting until the bot has no job so it doesn't walk away from one
+   * @private
+   */
+  async _restockKitWhenIdle() {
+    this.kitRestockTimer = null;
+    
+    if (!this.bot || !this.active || !this.dataInterface) {
+      return;
+    }
+    
+    if (this.isBusy()) {
+      this._scheduleKitRestock();
+      return;
+    }
+    
+    const kit = this.getKit();
+    
+    if (kit) {
+      await this._restockKit(kit.items);
+    }
+  },
+  
+  /**
+   * Withdraw what the bot lacks of a kit from the shared chests
+   * @private
+   * @param {Object} kit - Item counts by item name or tool kind
+   * @returns {Promise<Object>} - Counts still missing by item name or tool kind
+   */
+  async _restockKit(kit) {
+    if (this.restockingKit) {
+      return {};
+    }
+    
+    this.restockingKit = true;
+    this.lastKitRestock = Date.now();
+    const missing = {};
+    
+    try {
+      for (const [entry, count] of Object.entries(kit)) {
+        // A disconnect on the way to the chests ends the restock
+        if (!this.bot || !this.active) {
+          break;
+        }
+        
+        let needed = count - this._countKitEntry(entry);
+        
+        for (const itemName of this._findStoredKitItems(entry)) {
+          if (needed <= 0 || !this.bot || !this.active) {
+            break;
+          }
+          
+          needed -= await this._fetchFromStorage(itemName, needed);
+        }
+        
+        if (needed > 0) {
+          missing[entry] = needed;
+        }
+      }
+    } finally {
+      this.restockingKit = false;
+      this.currentTask = null;
+    }
+    
+    if (!this.bot || !this.active) {
+      return missing;
+    }
+    
+    if (Object.keys(missing).length > 0) {
+      this.log.warn(`Kit not complete, missing ${Object.entries(missing).map(([entry, count]) => `${count} ${entry}`).join(', ')}`);
+    } else {
+      this.log.info('Kit restocked');
+    }
+    
+    return missing;
+  },
+  
+  /**
+   * Count the items the bot carries for a kit entry, including armor and the off-hand
+   * @private
+   * @param {string} entry - Item name or tool kind
+   * @returns {number} - Number of matching items
+   */
+  _countKitEntry(entry) {
+    return this.bot.inventory.slots
+      .filter(item => item && this._matchesItemEntry(item.name, entry))
+      .reduce((sum, item) => sum + item.count, 0);
+  },
+  
+  /**
+   * List the stored items that fit a kit entry, best first
+   * @private
+   * @param {string} entry - Item name or tool kind
+   * @returns {Array<string>} - Item names
+   */
+  _findStoredKitItems(entry) {
+    const names = new Set();
+    
+    for (const chest of this.dataInterface.getChests()) {
+      for (const item of chest.items) {
+        if (this._matchesItemEntry(item.name, entry)) {
+          names.add(item.name);
+        }
+      }
+    }
+    
+    return [...names].sort((a, b) => this._getToolTier(a) - this._getToolTier(b));
+  }
+};
+
+module.exports = KitManager;
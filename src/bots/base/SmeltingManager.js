@@ -0,0 +1,444 @@
+/**
+ * SmeltingManager.js - Extends BaseBot with smelting capabilities
+ *
+ * This mixin adds methods for finding furnaces, loading them with items and
+ * fuel, and collecting what they smelt. Furnace contents are shared through
+ * the data store the same way chest contents are.
+ */
+
+const { Vec3 } = require('vec3');
+
+// Furnace blocks bots know how to use
+const FURNACE_TYPES = ['furnace', 'blast_furnace', 'smoker'];
+
+// Smeltable items by category: blast furnaces only take ores, smokers only take food
+const SMELTABLE = {
+  ore: [
+    'raw_iron', 'raw_gold', 'raw_copper', 'iron_ore', 'deepslate_iron_ore', 'gold_ore',
+    'deepslate_gold_ore', 'nether_gold_ore', 'copper_ore', 'deepslate_copper_ore',
+    'coal_ore', 'deepslate_coal_ore', 'diamond_ore', 'deepslate_diamond_ore',
+    'emerald_ore', 'deepslate_emerald_ore', 'lapis_ore', 'deepslate_lapis_ore',
+    'redstone_ore', 'deepslate_redstone_ore', 'nether_quartz_ore', 'ancient_debris'
+  ],
+  food: [
+    'beef', 'porkchop', 'chicken', 'mutton', 'rabbit', 'cod', 'salmon', 'potato', 'kelp'
+  ],
+  other: [
+    'sand', 'red_sand', 'cobblestone', 'stone', 'cobbled_deepslate', 'stone_bricks',
+    'sandstone', 'red_sandstone', 'quartz_block', 'clay_ball', 'clay', 'netherrack',
+    'cactus', 'wet_sponge', 'chorus_fruit', 'sea_pickle', 'basalt', 'nether_bricks'
+  ]
+};
+
+// Furnace types to use for each category, best first
+const FURNACES_FOR = {
+  ore: ['blast_furnace', 'furnace'],
+  food: ['smoker', 'furnace'],
+  other: ['furnace']
+};
+
+// Items a furnace smelts per fuel item, best fuel first
+const FUELS = {
+  coal_block: 80,
+  coal: 8,
+  charcoal: 8,
+  blaze_rod: 12,
+  dried_kelp_block: 20
+};
+
+// Most stacks hold 64 items, including the furnace slots
+const FURNACE_SLOT_SIZE = 64;
+
+// Ticks to wait between rounds of the furnaces
+const SMELTING_POLL_TICKS = 200;
+
+// A job that collects nothing for this long has run out of fuel or been emptied by someone else
+const SMELTING_STALL_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Smelting Management mixin for BaseBot
+ * @mixin
+ */
+const SmeltingManager = {
+  /**
+   * Record every furnace, blast furnace and smoker near the bot in the shared data
+   * @param {number} [radius=32] - Search radius
+   * @returns {number} - Number of furnaces found that weren't known yet
+   */
+  findFurnaces(radius = 32) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    if (!this.dataInterface) {
+      throw new Error('Shared data system is not available');
+    }
+    
+    const mcData = require('minecraft-data')(this.bot.version);
+    const known = new Set(this.dataInterface.getFurnaces().map(furnace => this._furnaceKey(furnace.position)));
+    
+    const positions = this.bot.findBlocks({
+      matching: FURNACE_TYPES.map(type => mcData.blocksByName[type]?.id).filter(id => id !== undefined),
+      maxDistance: radius,
+      count: 256
+    });
+    
+    let found = 0;
+    
+    for (const position of positions) {
+      if (known.has(this._furnaceKey(position))) {
+        continue;
+      }
+      
+      // Contents are filled in the first time a bot opens it
+      this.dataInterface.reportFurnaceContents({
+        position: { x: position.x, y: position.y, z: position.z },
+        type: this.bot.blockAt(position).name,
+        input: null,
+        fuel: null,
+        output: null
+      });
+      
+      found++;
+    }
+    
+    this.log.info(`Found ${positions.length} furnaces within ${radius} blocks, ${found} of them new`);
+    return found;
+  },
+  
+  /**
+   * Check whether an item can be smelted and which furnaces take it
+   * @param {string} itemName - Item name
+   * @returns {Array<string>|null} - Furnace types that can smelt it, best first, or null
+   */
+  getFurnaceTypesFor(itemName) {
+    // Logs and wood all burn down to charcoal
+    if (itemName.endsWith('_log') || itemName.endsWith('_wood')) {
+      return FURNACES_FOR.other;
+    }
+    
+    const category = Object.keys(SMELTABLE).find(key => SMELTABLE[key].includes(itemName));
+    return category ? FURNACES_FOR[category] : null;
+  },
+  
+  /**
+   * Start smelting items, keeping the known furnaces busy until they are all done
+   * @param {Object} options - Smelting options
+   * @param {string} options.itemName - Item to smelt
+   * @param {number} options.count - Number of items to smelt
+   * @returns {Promise<boolean>} - Whether smelting was started
+   */
+  async startSmelting({ itemName, count }) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    try {
+      if (!this.dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      const types = this.getFurnaceTypesFor(itemName);
+      
+      if (!types) {
+        throw new Error(`${itemName} can't be smelted`);
+      }
+      
+      const furnaces = this.dataInterface.getFurnaces().filter(furnace => types.includes(furnace.type));
+      
+      if (furnaces.length === 0) {
+        throw new Error(`No known ${types.join(' or ')} to smelt ${itemName} in`);
+      }
+      
+      // Cancel any running job before starting a new one
+      this.stopSmelting();
+      
+      this.smeltingJob = {
+        itemName,
+        count,
+        types,
+        loaded: 0,
+        collected: {},
+        startTime: Date.now(),
+        lastProgress: Date.now()
+      };
+      
+      this.log.info(`Started smelting ${count} ${itemName} in ${furnaces.length} furnaces`);
+      
+      // Run the job in the background so the command can return immediately
+      this._smeltingLoop().catch(error => {
+        this._handleError('Smelting failed', error);
+        this.smeltingJob = null;
+        this.currentTask = null;
+      });
+      
+      return true;
+    } catch (error) {
+      this.log.error(`Failed to start smelting: ${error.message}`);
+      return false;
+    }
+  },
+  
+  /**
+   * Stop the current smelting job, leaving whatever is in the furnaces to finish
+   * @returns {boolean} - Whether a job was stopped
+   */
+  stopSmelting() {
+    if (!this.smeltingJob) {
+      return false;
+    }
+    
+    this.log.info(`Stopped smelting ${this.smeltingJob.itemName}`);
+    this.smeltingJob = null;
+    this.currentTask = null;
+    
+    return true;
+  },
+  
+  /**
+   * Smelting loop - tops the furnaces up, collects their output and stores it
+   * @private
+   */
+  async _smeltingLoop() {
+    const job = this.smeltingJob;
+    
+    while (this.smeltingJob === job && this.active && this.bot) {
+      const remaining = job.count - job.loaded;
+      
+      if (remaining > 0 && this._countInventoryItem(job.itemName) < remaining) {
+        await this._fetchFromStorage(job.itemName, remaining - this._countInventoryItem(job.itemName));
+        if (this.smeltingJob !== job) return;
+      }
+      
+      if (!this._findFuel()) {
+        for (const fuel of Object.keys(FUELS)) {
+          if (await this._fetchFromStorage(fuel, FURNACE_SLOT_SIZE) > 0) break;
+        }
+        
+        if (this.smeltingJob !== job) return;
+      }
+      
+      // Nothing more will be loaded once the items run out
+      if (remaining > 0 && this._countInventoryItem(job.itemName) === 0) {
+        this.log.warn(`Ran out of ${job.itemName} after loading ${job.loaded}`);
+        job.count = job.loaded;
+      }
+      
+      const furnaces = this._getJobFurnaces(job);
+      const before = this._getSmeltingProgress(job);
+      
+      for (const furnace of furnaces) {
+        this.currentTask = `Smelting ${job.itemName} in ${furnace.type} at ${furnace.position.x}, ${furnace.position.y}, ${furnace.position.z}`;
+        
+        try {
+          await this._serviceFurnace(furnace, job);
+        } catch (error) {
+          this.log.warn(`Could not use ${furnace.type} at ${furnace.position.x}, ${furnace.position.y}, ${furnace.position.z}: ${error.message}`);
+        }
+        
+        if (this.smeltingJob !== job) return;
+      }
+      
+      // Take the results to storage as they come out
+      for (const output of Object.keys(job.collected)) {
+        if (this._countInventoryItem(output) > 0) {
+          await this.storeItem({ itemName: output });
+          if (this.smeltingJob !== job) return;
+        }
+      }
+      
+      const busy = this._getJobFurnaces(job)
+        .some(furnace => furnace.input?.name === job.itemName || furnace.output);
+      
+      if (job.loaded >= job.count && !busy) {
+        const results = Object.entries(job.collected).map(([name, count]) => `${count} ${name}`).join(', ');
+        this.log.info(`Finished smelting ${job.itemName}: ${results || 'nothing collected'}`);
+        this.emit('smeltingComplete', { itemName: job.itemName, count: job.loaded, collected: job.collected });
+        
+        this.smeltingJob = null;
+        this.currentTask = null;
+        return;
+      }
+      
+      if (this._getSmeltingProgress(job) > before) {
+        job.lastProgress = Date.now();
+      } else if (Date.now() - job.lastProgress > SMELTING_STALL_TIMEOUT) {
+        this.log.warn(`Smelting ${job.itemName} has stalled, giving up`);
+        this.smeltingJob = null;
+        this.currentTask = null;
+        return;
+      }
+      
+      this.currentTask = `Waiting for ${job.itemName} to smelt`;
+      await this.bot.waitForTicks(SMELTING_POLL_TICKS);
+    }
+  },
+  
+  /**
+   * Visit a furnace: take its output, then add items and enough fuel to smelt them
+   * @private
+   * @param {Object} record - Furnace record from the shared data
+   * @param {Object} job - Smelting job
+   */
+  async _serviceFurnace(record, job) {
+    const position = new Vec3(record.position.x, record.position.y, record.position.z);
+    
+    if (!await this.goTo(position, 2)) {
+      throw new Error('could not reach it');
+    }
+    
+    const block = this.bot.blockAt(position);
+    
+    // Furnaces that were broken are forgotten
+    if (!block || !FURNACE_TYPES.includes(block.name)) {
+      this.dataInterface.removeFurnace(record.position);
+      return;
+    }
+    
+    const furnace = await this.bot.openFurnace(block);
+    
+    try {
+      const output = furnace.outputItem();
+      
+      if (output) {
+        await furnace.takeOutput();
+        job.collected[output.name] = (job.collected[output.name] || 0) + output.count;
+      }
+      
+      // Only load furnaces that are empty or already working on the same item
+      const input = furnace.inputItem();
+      const remaining = job.count - job.loaded;
+      
+      if (remaining > 0 && (!input || input.name === job.itemName)) {
+        const item = this.findInventoryItems({ itemName: job.itemName })[0];
+        const space = FURNACE_SLOT_SIZE - (input ? input.count : 0);
+        const count = item ? Math.min(remaining, space, this._countInventoryItem(job.itemName)) : 0;
+        
+        if (count > 0) {
+          await furnace.putInput(item.type, null, count);
+          job.loaded += count;
+        }
+      }
+      
+      await this._refuelFurnace(furnace, block.name);
+      
+      this._reportFurnace(record.position, block.name, furnace);
+    } finally {
+      furnace.close();
+    }
+  },
+  
+  /**
+   * Add enough fuel to a furnace to smelt what is in it
+   * @private
+   * @param {Furnace} furnace - Open furnace window
+   * @param {string} type - Furnace block type
+   */
+  async _refuelFurnace(furnace, type) {
+    const input = furnace.inputItem();
+    
+    if (!input) {
+      return;
+    }
+    
+    const fuelName = furnace.fuelItem()?.name || this._findFuel();
+    
+    if (!fuelName || !FUELS[fuelName]) {
+      this.log.warn('No fuel to keep the furnaces burning');
+      return;
+    }
+    
+    // Blast furnaces and smokers burn through fuel twice as fast
+    const perFuel = type === 'furnace' ? FUELS[fuelName] : FUELS[fuelName] / 2;
+    const needed = Math.ceil(input.count / perFuel) - (furnace.fuelItem()?.count || 0);
+    const count = Math.min(needed, this._countInventoryItem(fuelName), FURNACE_SLOT_SIZE - (furnace.fuelItem()?.count || 0));
+    
+    if (count > 0) {
+      const fuel = this.findInventoryItems({ itemName: fuelName })[0];
+      await furnace.putFuel(fuel.type, null, count);
+    }
+  },
+  
+  /**
+   * Share what is in a furnace
+   * @private
+   * @param {Object} position - Furnace position
+   * @param {string} type - Furnace block type
+   * @param {Furnace} furnace - Open furnace window
+   */
+  _reportFurnace(position, type, furnace) {
+    const slot = item => item ? { name: item.name, count: item.count } : null;
+    
+    this.dataInterface.reportFurnaceContents({
+      position,
+      type,
+      input: slot(furnace.inputItem()),
+      fuel: slot(furnace.fuelItem()),
+      output: slot(furnace.outputItem())
+    });
+  },
+  
+  /**
+   * Get the known furnaces that can smelt a job's item, best type first, then nearest
+   * @private
+   * @param {Object} job - Smelting job
+   * @returns {Array<Object>} - Furnace records
+   */
+  _getJobFurnaces(job) {
+    const botPosition = this.bot.entity.position;
+    const distance = furnace => botPosition.distanceTo(new Vec3(furnace.position.x, furnace.position.y, furnace.position.z));
+    
+    return this.dataInterface.getFurnaces()
+      .filter(furnace => job.types.includes(furnace.type))
+      .sort((a, b) => job.types.indexOf(a.type) - job.types.indexOf(b.type) || distance(a) - distance(b));
+  },
+  
+  /**
+   * Count the items a job has loaded and collected so far
+   * @private
+   * @param {Object} job - Smelting job
+   * @returns {number} - Items moved in and out of the furnaces
+   */
+  _getSmeltingProgress(job) {
+    return job.loaded + Object.values(job.collected).reduce((sum, count) => sum + count, 0);
+  },
+  
+  /**
+   * Find the best fuel in the inventory
+   * @private
+   * @returns {string|null} - Fuel item name or null if there is none
+   */
+  _findFuel() {
+    return Object.keys(FUELS).find(fuel => this._countInventoryItem(fuel) > 0) || null;
+  },
+  
+  /**
+   * Build the key furnaces are stored under
+   * @private
+   * @param {Object} position - Furnace position
+   * @returns {string} - Position key
+   */
+  _furnaceKey(position) {
+    return `${position.x},${position.y},${position.z}`;
+  },
+  
+  /**
+   * Get a summary of the current smelting job
+   * @private
+   * @returns {Object|null} - Smelting progress or null if not smelting
+   */
+  _getSmeltingStatus() {
+    if (!this.smeltingJob) {
+      return null;
+    }
+    
+    return {
+      itemName: this.smeltingJob.itemName,
+      count: this.smeltingJob.count,
+      loaded: this.smeltingJob.loaded,
+      collected: this.smeltingJob.collected
+    };
+  }
+};
+
+module.exports = SmeltingManager;
@@ -0,0 +1,312 @@
+/**
+ * StorageManager.js - Extends BaseBot with a chest sorting system
+ *
+ * This mixin lets a bot run a wall of chests: it empties the input chest into
+ * the chests set aside for each item or category, falls back to the overflow
+ * chests, and reports every chest it touches to the shared data.
+ */
+
+// Ticks to wait before looking in an empty input chest again
+const STORAGE_POLL_TICKS = 200;
+
+// Items no chest had room for are left in the input chest this long before they are tried again
+const STORAGE_FULL_RETRY = 5 * 60 * 1000;
+
+// Most items stack to 64, so a full chest may still take a few more of an item it holds
+const STACK_SIZE = 64;
+
+/**
+ * Storage Management mixin for BaseBot
+ * @mixin
+ */
+const StorageManager = {
+  /**
+   * Start emptying the input chest into the sorted and overflow chests, watching it for new items
+   * @returns {Promise<boolean>} - Whether sorting was started
+   */
+  async startStorageSorting() {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    try {
+      if (!this.dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      if (this.dataInterface.getStorageChests('input').length === 0) {
+        throw new Error('No input chest set');
+      }
+      
+      if (this.dataInterface.getStorageChests().every(chest => chest.role === 'input')) {
+        throw new Error('No sorted or overflow chests set');
+      }
+      
+      // Cancel any running job before starting a new one
+      this.stopStorageSorting();
+      
+      this.storageJob = {
+        sorted: {},
+        full: new Map(),
+        unsorted: new Set(),
+        startTime: Date.now()
+      };
+      
+      this.log.info('Started sorting the input chest');
+      
+      // Run the job in the background so the command can return immediately
+      this._storageSortingLoop().catch(error => {
+        this._handleError('Storage sorting failed', error);
+        this.storageJob = null;
+        this.currentTask = null;
+      });
+      
+      return true;
+    } catch (error) {
+      this.log.error(`Failed to start storage sorting: ${error.message}`);
+      return false;
+    }
+  },
+  
+  /**
+   * Stop sorting the input chest
+   * @returns {boolean} - Whether a job was stopped
+   */
+  stopStorageSorting() {
+    if (!this.storageJob) {
+      return false;
+    }
+    
+    this.log.info('Stopped sorting the input chest');
+    this.storageJob = null;
+    this.currentTask = null;
+    
+    return true;
+  },
+  
+  /**
+   * Storage sorting loop - takes what it can from the input chest and puts it away
+   * @private
+   */
+  async _storageSortingLoop() {
+    const job = this.storageJob;
+    
+    while (this.storageJob === job && this.active && this.bot) {
+      const input = this.dataInterface.getStorageChests('input')[0];
+      
+      if (!input) {
+        this.log.warn('The input chest was removed, stopping storage sorting');
+        this.storageJob = null;
+        this.currentTask = null;
+        return;
+      }
+      
+      this.currentTask = 'Emptying the input chest';
+      const taken = await this._takeFromInputChest(input, job);
+      if (this.storageJob !== job) return;
+      
+      const leftover = {};
+      
+      for (const [itemName, count] of Object.entries(taken)) {
+        const remaining = await this._storeSortedItem(itemName, count, job);
+        if (this.storageJob !== job) return;
+        
+        job.sorted[itemName] = (job.sorted[itemName] || 0) + count - remaining;
+        
+        if (remaining > 0) {
+          leftover[itemName] = remaining;
+        }
+      }
+      
+      // What didn't fit anywhere goes back to wait for room
+      if (Object.keys(leftover).length > 0) {
+        this.log.warn(`No room for ${Object.entries(leftover).map(([name, count]) => `${count} ${name}`).join(', ')}`);
+        
+        const keep = {};
+        for (const [itemName, count] of Object.entries(leftover)) {
+          keep[itemName] = this._countInventoryItem(itemName) - count;
+          job.full.set(itemName, Date.now());
+        }
+        
+        await this._depositToChest({
+          position: input.position,
+          itemNames: Object.keys(leftover),
+          name: this._getKnownChestName(input.position),
+          keep
+        });
+        if (this.storageJob !== job) return;
+      }
+      
+      if (Object.keys(taken).length === 0) {
+        this.currentTask = 'Waiting for items in the input chest';
+        await this.bot.waitForTicks(STORAGE_POLL_TICKS);
+      }
+    }
+  },
+  
+  /**
+   * Withdraw the stacks in the input chest that have somewhere to go
+   * @private
+   * @param {Object} input - Input chest
+   * @param {Object} job - Storage sorting job
+   * @returns {Promise<Object>} - Counts taken by item name
+   */
+  async _takeFromInputChest(input, job) {
+    if (!await this.goTo(input.position, 2)) {
+      throw new Error('Could not reach the input chest');
+    }
+    
+    const container = await this.openContainer(input.position);
+    const taken = {};
+    
+    try {
+      for (const stack of container.containerItems()) {
+        if (container.emptySlotCount() === 0) {
+          break;
+        }
+        
+        if (Date.now() - (job.full.get(stack.name) || 0) < STORAGE_FULL_RETRY) {
+          continue;
+        }
+        
+        if (this._getStorageDestinations(stack.name).length === 0) {
+          if (!job.unsorted.has(stack.name)) {
+            this.log.warn(`No sorted or overflow chest takes ${stack.name}, leaving it in the input chest`);
+            job.unsorted.add(stack.name);
+          }
+          
+          continue;
+        }
+        
+        const held = this._countWindowItems(container.items(), stack.name);
+        
+        if (!await this.withdrawItems({ container, itemName: stack.name, count: stack.count })) {
+          break;
+        }
+        
+        // A nearly full inventory takes only part of the stack
+        const arrived = this._countWindowItems(container.items(), stack.name) - held;
+        
+        if (arrived > 0) {
+          taken[stack.name] = (taken[stack.name] || 0) + arrived;
+        }
+      }
+      
+      this.dataInterface.reportChestContents({
+        position: input.position,
+        items: container.containerItems().map(item => ({ name: item.name, count: item.count })),
+        name: this._getKnownChestName(input.position),
+        size: container.inventoryStart
+      });
+    } finally {
+      container.close();
+    }
+    
+    // Items in the bot's hands are no longer shared resources
+    for (const [item, count] of Object.entries(taken)) {
+      this.dataInterface.reportInventoryChange({ item, count: -count });
+    }
+    
+    return taken;
+  },
+  
+  /**
+   * Put items taken from the input chest into their sorted chests, then the overflow chests
+   * @private
+   * @param {string} itemName - Item name
+   * @param {number} count - Number of items to put away
+   * @param {Object} job - Storage sorting job
+   * @returns {Promise<number>} - Number of items left over
+   */
+  async _storeSortedItem(itemName, count, job) {
+    let remaining = count;
+    
+    for (const chest of this._getStorageDestinations(itemName)) {
+      if (remaining <= 0 || this.storageJob !== job) {
+        break;
+      }
+      
+      this.currentTask = `Storing ${itemName} in ${chest.role} chest`;
+      
+      try {
+        // Only the items taken from the input chest are stored, not the bot's own
+        remaining -= await this._depositToChest({
+          position: chest.position,
+          itemNames: [itemName],
+          name: this._getKnownChestName(chest.position),
+          keep: { [itemName]: this._countInventoryItem(itemName) - remaining }
+        });
+      } catch (error) {
+        this.log.warn(`Could not store ${itemName} at ${chest.position.x}, ${chest.position.y}, ${chest.position.z}: ${error.message}`);
+      }
+    }
+    
+    return Math.max(remaining, 0);
+  },
+  
+  /**
+   * List the chests an item can go in: chests for that item, then for its
+   * category, then overflow chests, leaving out chests known to be full
+   * @private
+   * @param {string} itemName - Item name
+   * @returns {Array<Object>} - Storage chests, best first
+   */
+  _getStorageDestinations(itemName) {
+    const category = this._getItemCategory(itemName);
+    const contents = new Map(this.dataInterface.getChests()
+      .map(chest => [this._storageChestKey(chest.position), chest]));
+    
+    const hasRoom = chest => {
+      const known = contents.get(this._storageChestKey(chest.position));
+      return !known || known.items.length < (known.size || 27) ||
+        known.items.some(item => item.name === itemName && item.count < STACK_SIZE);
+    };
+    
+    const chests = this.dataInterface.getStorageChests().filter(hasRoom);
+    const forItem = chests.filter(chest => chest.role === 'sorted' && chest.accepts.includes(itemName));
+    const forCategory = chests.filter(chest => chest.role === 'sorted' &&
+      !chest.accepts.includes(itemName) && chest.accepts.includes(category));
+    
+    return [...forItem, ...forCategory, ...chests.filter(chest => chest.role === 'overflow')];
+  },
+  
+  /**
+   * Look up the name a chest was recorded under, so reporting its contents keeps it
+   * @private
+   * @param {Object} position - Chest position
+   * @returns {string|undefined} - Chest name or undefined if it isn't known
+   */
+  _getKnownChestName(position) {
+    const key = this._storageChestKey(position);
+    const chest = this.dataInterface.getChests().find(chest => this._storageChestKey(chest.position) === key);
+    return chest ? chest.name : undefined;
+  },
+  
+  /**
+   * Build the key chests are stored under
+   * @private
+   * @param {Object} position - Chest position
+   * @returns {string} - Position key
+   */
+  _storageChestKey(position) {
+    return `${position.x},${position.y},${position.z}`;
+  },
+  
+  /**
+   * Get a summary of the current storage sorting job
+   * @private
+   * @returns {Object|null} - Items sorted so far or null if not sorting
+   */
+  _getStorageStatus() {
+    if (!this.storageJob) {
+      return null;
+    }
+    
+    return {
+      sorted: this.storageJob.sorted,
+      startTime: this.storageJob.startTime
+    };
+  }
+};
+
+module.exports = StorageManager;
@@ -0,0 +1,357 @@
+/**
+ * TradingManager.js - Extends BaseBot with villager trading
+ *
+ * This mixin adds methods for recording what villagers offer and running
+ * trades with them. Villagers and their offers are shared through the data
+ * store so any bot can trade with a villager another bot found.
+ */
+
+const { Vec3 } = require('vec3');
+const mainConfig = require('../../../config');
+
+// Villagers wander, so a bot gets this close to where one was last seen before giving up on it
+const VILLAGER_SEARCH_RANGE = 4;
+
+/**
+ * Trading Management mixin for BaseBot
+ * @mixin
+ */
+const TradingManager = {
+  /**
+   * Visit the villagers near the bot and record their offers in the shared data
+   * @param {number} [radius=32] - Search radius
+   * @returns {Promise<number>} - Number of villagers recorded
+   */
+  async findVillagers(radius = 32) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    if (!this.dataInterface) {
+      throw new Error('Shared data system is not available');
+    }
+    
+    const villagers = this.findEntities({ type: 'mob', maxDistance: radius })
+      .filter(entity => entity.name === 'villager');
+    let recorded = 0;
+    
+    for (const entity of villagers) {
+      this.currentTask = `Checking the trades of the villager at ${Math.floor(entity.position.x)}, ${Math.floor(entity.position.y)}, ${Math.floor(entity.position.z)}`;
+      
+      try {
+        await this._withVillager(entity, () => {});
+        recorded++;
+      } catch (error) {
+        this.log.warn(`Could not trade with villager: ${error.message}`);
+      }
+    }
+    
+    this.currentTask = null;
+    this.log.info(`Recorded the offers of ${recorded} of ${villagers.length} villagers within ${radius} blocks`);
+    
+    return recorded;
+  },
+  
+  /**
+   * Start running trades with the known villagers until the items or the offers run out
+   * @param {Array<Object>} [trades] - Trades as { input, output, limit }, the configured trades if left out
+   * @returns {Promise<boolean>} - Whether trading was started
+   */
+  async startTrading(trades) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    try {
+      if (!this.dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      trades = trades || (mainConfig.trading && mainConfig.trading.trades) || [];
+      
+      if (trades.length === 0) {
+        throw new Error('No trades configured');
+      }
+      
+      if (trades.every(trade => this._findOffers(trade).length === 0)) {
+        throw new Error('No known villager has the offers, find villagers first');
+      }
+      
+      // Cancel any running job before starting a new one
+      this.stopTrading();
+      
+      this.tradingJob = {
+        trades,
+        done: {},
+        received: {},
+        startTime: Date.now()
+      };
+      
+      this.log.info(`Started trading: ${trades.map(trade => `${trade.input} for ${trade.output}`).join(', ')}`);
+      
+      // Run the job in the background so the command can return immediately
+      this._tradingLoop().catch(error => {
+        this._handleError('Trading failed', error);
+        this.tradingJob = null;
+        this.currentTask = null;
+      });
+      
+      return true;
+    } catch (error) {
+      this.log.error(`Failed to start trading: ${error.message}`);
+      return false;
+    }
+  },
+  
+  /**
+   * Stop the current trading job
+   * @returns {boolean} - Whether a job was stopped
+   */
+  stopTrading() {
+    if (!this.tradingJob) {
+      return false;
+    }
+    
+    this.log.info('Stopped trading');
+    this.tradingJob = null;
+    this.currentTask = null;
+    
+    return true;
+  },
+  
+  /**
+   * Trading loop - works through the trades, then stores what it got
+   * @private
+   */
+  async _tradingLoop() {
+    const job = this.tradingJob;
+    
+    for (const trade of job.trades) {
+      await this._runTrade(trade, job);
+      if (this.tradingJob !== job) return;
+    }
+    
+    for (const output of Object.keys(job.received)) {
+      if (this._countInventoryItem(output) > 0) {
+        await this.storeItem({ itemName: output });
+        if (this.tradingJob !== job) return;
+      }
+    }
+    
+    const results = Object.entries(job.received).map(([name, count]) => `${count} ${name}`).join(', ');
+    this.log.info(`Finished trading: ${results || 'nothing traded'}`);
+    this.emit('tradingComplete', { done: job.done, received: job.received });
+    
+    this.tradingJob = null;
+    this.currentTask = null;
+  },
+  
+  /**
+   * Run one trade with every villager offering it, cheapest first
+   * @private
+   * @param {Object} trade - Trade as { input, output, limit }
+   * @param {Object} job - Trading job
+   */
+  async _runTrade(trade, job) {
+    const key = `${trade.input}>${trade.output}`;
+    
+    for (const { villager, offer } of this._findOffers(trade)) {
+      const limit = trade.limit ? trade.limit - (job.done[key] || 0) : Infinity;
+      const times = Math.min(limit, offer.maxUses - offer.uses);
+      
+      if (limit <= 0) {
+        return;
+      }
+      
+      // Bring enough of the inputs for every use left on the offer
+      const inputs = [offer.input, offer.secondInput].filter(Boolean);
+      
+      for (const input of inputs) {
+        const needed = input.count * times - this._countInventoryItem(input.name);
+        
+        if (needed > 0) {
+          await this._fetchFromStorage(input.name, needed);
+          if (this.tradingJob !== job) return;
+        }
+      }
+      
+      if (inputs.some(input => this._countInventoryItem(input.name) < input.count)) {
+        this.log.info(`Out of ${inputs.map(input => input.name).join(' and ')} for ${trade.output}`);
+        return;
+      }
+      
+      this.currentTask = `Trading ${trade.input} for ${trade.output}`;
+      
+      try {
+        const entity = await this._findVillagerEntity(villager);
+        if (this.tradingJob !== job) return;
+        
+        if (!entity) {
+          this.log.warn(`The villager last seen at ${villager.position.x}, ${villager.position.y}, ${villager.position.z} is gone`);
+          this.dataInterface.removeVillager(villager.uuid);
+          continue;
+        }
+        
+        const traded = await this._withVillager(entity, async (window, offers) => {
+          const index = offers.findIndex(candidate => this._offerMatches(candidate, trade) &&
+            !candidate.disabled && candidate.uses < candidate.maxUses);
+          
+          if (index === -1) {
+            return 0;
+          }
+          
+          const current = offers[index];
+          const affordable = Math.min(...[current.input, current.secondInput].filter(Boolean)
+            .map(input => Math.floor(this._countInventoryItem(input.name) / input.count)));
+          const count = Math.min(limit, current.maxUses - current.uses, affordable);
+          
+          if (count > 0) {
+            await this.bot.trade(window, index, count);
+            job.received[current.output.name] = (job.received[current.output.name] || 0) + current.output.count * count;
+          }
+          
+          return count;
+        });
+        
+        job.done[key] = (job.done[key] || 0) + traded;
+      } catch (error) {
+        this.log.warn(`Could not trade ${trade.input} for ${trade.output}: ${error.message}`);
+      }
+      
+      if (this.tradingJob !== job) return;
+    }
+  },
+  
+  /**
+   * Walk to a villager, open its trade window, record its offers and run an action on it
+   * @private
+   * @param {Entity} entity - Villager entity
+   * @param {Function} action - Called with the open window and the offers, returns a result
+   * @returns {Promise<*>} - Result of the action
+   */
+  async _withVillager(entity, action) {
+    if (!await this.goTo(entity.position, 2)) {
+      throw new Error('could not reach the villager');
+    }
+    
+    const window = await this.bot.openVillager(entity);
+    
+    try {
+      const result = await action(window, this._readOffers(window));
+      
+      // Record the offers again, as trading uses them up
+      this._reportVillager(entity, this._readOffers(window));
+      
+      return result;
+    } finally {
+      window.close();
+    }
+  },
+  
+  /**
+   * Turn the trades of an open villager window into plain offers
+   * @private
+   * @param {Villager} window - Open villager window
+   * @returns {Array<Object>} - Offers in trade window order
+   */
+  _readOffers(window) {
+    const stack = (item, count) => item ? { name: item.name, count: count || item.count } : null;
+    
+    return (window.trades || []).map(trade => ({
+      // The real price includes discounts and demand, the base price is what the item stack says
+      input: stack(trade.inputItem1, trade.realPrice),
+      secondInput: trade.hasItem2 ? stack(trade.inputItem2) : null,
+      output: stack(trade.outputItem),
+      uses: trade.nbTradeUses,
+      maxUses: trade.maximumNbTradeUses,
+      disabled: Boolean(trade.tradeDisabled)
+    }));
+  },
+  
+  /**
+   * Share a villager's position and offers
+   * @private
+   * @param {Entity} entity - Villager entity
+   * @param {Array<Object>} offers - Offers in trade window order
+   */
+  _reportVillager(entity, offers) {
+    // Villager data is metadata shaped like { villagerType, villagerProfession, level }
+    const villagerData = (entity.metadata || []).find(entry => entry && entry.villagerProfession !== undefined);
+    
+    this.dataInterface.reportVillager({
+      uuid: entity.uuid,
+      position: {
+        x: Math.floor(entity.position.x),
+        y: Math.floor(entity.position.y),
+        z: Math.floor(entity.position.z)
+      },
+      profession: villagerData ? villagerData.villagerProfession : undefined,
+      level: villagerData ? villagerData.level : undefined,
+      offers
+    });
+  },
+  
+  /**
+   * List the known offers for a trade, cheapest first, then nearest
+   * @private
+   * @param {Object} trade - Trade as { input, output }
+   * @returns {Array<Object>} - Offers with their villagers
+   */
+  _findOffers(trade) {
+    const botPosition = this.bot.entity.position;
+    const distance = villager => botPosition.distanceTo(new Vec3(villager.position.x, villager.position.y, villager.position.z));
+    const price = offer => offer.input.count / offer.output.count;
+    
+    return this.dataInterface.getVillagers()
+      .flatMap(villager => villager.offers
+        .filter(offer => this._offerMatches(offer, trade) && !offer.disabled && offer.uses < offer.maxUses)
+        .map(offer => ({ villager, offer })))
+      .sort((a, b) => price(a.offer) - price(b.offer) || distance(a.villager) - distance(b.villager));
+  },
+  
+  /**
+   * Check whether an offer is a trade
+   * @private
+   * @param {Object} offer - Villager offer
+   * @param {Object} trade - Trade as { input, output }
+   * @returns {boolean} - Whether the offer takes the input and gives the output
+   */
+  _offerMatches(offer, trade) {
+    return offer.input && offer.output && offer.input.name === trade.input && offer.output.name === trade.output;
+  },
+  
+  /**
+   * Find a recorded villager, walking to where it was last seen if it isn't in view
+   * @private
+   * @param {Object} villager - Villager record
+   * @returns {Promise<Entity|null>} - Villager entity or null if it can't be found
+   */
+  async _findVillagerEntity(villager) {
+    const find = () => Object.values(this.bot.entities).find(entity => entity.uuid === villager.uuid) || null;
+    
+    if (!find()) {
+      await this.goTo(villager.position, VILLAGER_SEARCH_RANGE);
+    }
+    
+    return find();
+  },
+  
+  /**
+   * Get a summary of the current trading job
+   * @private
+   * @returns {Object|null} - Trading progress or null if not trading
+   */
+  _getTradingStatus() {
+    if (!this.tradingJob) {
+      return null;
+    }
+    
+    return {
+      trades: this.tradingJob.trades,
+      done: this.tradingJob.done,
+      received: this.tradingJob.received
+    };
+  }
+};
+
+module.exports = TradingManager;
@@ -5,6 +5,7 @@
  */
 
 const { Vec3 } = require('vec3');
+const { goals } = require('mineflayer-pathfinder');
 
 /**
  * World Interaction mixin for BaseBot
@@ -95,9 +96,13 @@ const WorldInteraction = {
    * @param {Object} target.position - Block position adjacent to where to place
    * @param {string} target.blockName - Name of block to place
    * @param {Object} [target.faceVector] - Optional face vector
+   * @param {string} [target.itemName] - Item to place, if named differently from the block
+   * @param {number} [target.yaw] - Direction to face while placing (sets stair/door facing)
+   * @param {number} [target.pitch=0] - Pitch to look at while placing
+   * @param {string} [target.half] - Half of the face to click: 'top' or 'bottom' (slabs, stairs)
    * @returns {Promise<boolean>} - Whether the placement was successful
    */
-  async placeBlock({ position, blockName, faceVector }) {
+  async placeBlock({ position, blockName, faceVector, itemName, yaw, pitch = 0, half }) {
     if (!this.bot || !this.active) {
       throw new Error('Bot is not active');
     }
@@ -111,9 +116,10 @@ const WorldInteraction = {
       }
       
       // Find the item in inventory
-      const item = this.bot.inventory.items().find(item => item.name === blockName);
+      const placeItem = itemName || blockName;
+      const item = this.bot.inventory.items().find(item => item.name === placeItem);
       if (!item) {
-        this.log.warn(`No ${blockName} in inventory`);
+        this.log.warn(`No ${placeItem} in inventory`);
         return false;
       }
       
@@ -136,7 +142,19 @@ const WorldInteraction = {
       this.log.info(this.currentTask);
       
       // Place the block
-      await this.bot.placeBlock(refBlock, face);
+      if (yaw !== undefined || half) {
+        // The placed state depends on where the bot looks and which half of the face it clicks
+        if (yaw !== undefined) {
+          await this.bot.look(yaw, pitch, true);
+        }
+        
+        await this._placeWithOptions(refBlock, face, {
+          half,
+          forceLook: yaw !== undefined ? 'ignore' : true
+        });
+      } else {
+        await this.bot.placeBlock(refBlock, face);
+      }
       
       this.currentTask = null;
       return true;
@@ -147,6 +165,27 @@ const WorldInteraction = {
     }
   },
   
+  /**
+   * Place a block with control over where the bot looks and which half of the face it clicks
+   * mineflayer's public placeBlock always looks at the middle of the face, which decides the facing
+   * and half of stairs and slabs by itself, so this goes through the options variant it is built on.
+   * This is the only place mineflayer's private placement API is used.
+   * @private
+   * @param {Block} referenceBlock - Block to place against
+   * @param {Vec3} face - Face of the reference block to click
+   * @param {Object} options - Placement options
+   * @param {string} [options.half] - Half of the face to click: 'top' or 'bottom'
+   * @param {boolean|string} [options.forceLook] - 'ignore' to keep the current look direction
+   * @returns {Promise<void>} - Resolves once the server has placed the block
+   */
+  async _placeWithOptions(referenceBlock, face, { half, forceLook }) {
+    await this.bot._placeBlockWithOptions(referenceBlock, face, {
+      half,
+      forceLook,
+      swingArm: 'right'
+    });
+  },
+  
   /**
    * Collect nearest item drop within a range
    * @param {number} [range=16] - Collection range
@@ -178,7 +217,7 @@ const WorldInteraction = {
         this.log.info(this.currentTask);
         
         // Move to the item
-        const goal = new this.bot.pathfinder.goals.GoalNear(item.position.x, item.position.y, item.position.z, 1);
+        const goal = new goals.GoalNear(item.position.x, item.position.y, item.position.z, 1);
         await this.bot.pathfinder.goto(goal);
       }
       
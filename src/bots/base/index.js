@@ -9,6 +9,10 @@ const BaseBot = require('./BaseBot');
 const WorldInteraction = require('./WorldInteraction');
 const InventoryManager = require('./InventoryManager');
 const CombatManager = require('./CombatManager');
+const SmeltingManager = require('./SmeltingManager');
+const StorageManager = require('./StorageManager');
+const KitManager = require('./KitManager');
+const TradingManager = require('./TradingManager');
 
 // Utility function to apply mixins
 function applyMixins(baseClass, mixins) {
@@ -26,7 +30,11 @@ function applyMixins(baseClass, mixins) {
 const EnhancedBaseBot = applyMixins(BaseBot, [
   WorldInteraction,
   InventoryManager,
-  CombatManager
+  CombatManager,
+  SmeltingManager,
+  StorageManager,
+  KitManager,
+  TradingManager
 ]);
 
 module.exports = EnhancedBaseBot; 
\ No newline at end of file
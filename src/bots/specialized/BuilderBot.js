@@ -0,0 +1,1223 @@
+/**
+ * BuilderBot - Specialized bot for constructing structures from schematics
+ *
+ * This bot type loads Sponge (.schem) and vanilla structure (.nbt) files
+ * from the schematics folder and places them block by block, bottom-up,
+ * with supporting blocks placed before the blocks attached to them.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const BaseBot = require('../base');
+const botConfig = require('../../shared/botConfig');
+const mainConfig = require('../../../config');
+const { Vec3 } = require('vec3');
+const { goals } = require('mineflayer-pathfinder');
+const {
+  resolveSchematicPath,
+  loadSchematic,
+  saveSchematic,
+  getItemForBlock,
+  isWallMounted,
+  formatBlockState,
+  planPlacementOrder,
+  getBillOfMaterials,
+  blockStateMatches
+} = require('./schematics');
+
+// Ticks to wait between placements for each build speed
+const BUILD_SPEED_TICKS = {
+  slow: 10,
+  normal: 4,
+  fast: 0
+};
+
+// Face vectors by block state direction
+const FACE_VECTORS = {
+  up: new Vec3(0, 1, 0),
+  down: new Vec3(0, -1, 0),
+  north: new Vec3(0, 0, -1),
+  south: new Vec3(0, 0, 1),
+  east: new Vec3(1, 0, 0),
+  west: new Vec3(-1, 0, 0)
+};
+
+// Ticks to wait for the server to turn a slab into a double slab
+const SLAB_CONFIRM_TICKS = 20;
+
+// Largest region #capture will read, in blocks
+const MAX_CAPTURE_VOLUME = 1000000;
+
+const SIDE_FACES = [FACE_VECTORS.north, FACE_VECTORS.south, FACE_VECTORS.east, FACE_VECTORS.west];
+
+// Blocks that face the way the player looks; most other blocks face the player
+const PLAYER_DIRECTION_SUFFIXES = ['_stairs', '_door', '_fence_gate', '_bed'];
+
+class BuilderBot extends BaseBot {
+  /**
+   * Create a new BuilderBot
+   * @param {Object} options - Bot configuration
+   */
+  constructor(options) {
+    super({
+      ...options,
+      type: 'builder'
+    });
+    
+    // Load builder-specific configuration
+    this.config = botConfig.loadBotConfig('builder');
+    
+    // Building state
+    this.buildJob = null;            // Current build job (blueprint, origin, progress)
+    this.schematicsFolder = path.resolve(this.config.schematicsFolder || './builds');
+    this.maxBuildHeight = this.config.maxBuildHeight || 256;
+    this.placeDelay = BUILD_SPEED_TICKS[this.config.behavior.buildSpeed] ?? BUILD_SPEED_TICKS.normal;
+    this.autoCraftMissingItems = this.config.autoCraftMissingItems === true;
+    
+    // Bind methods
+    this._buildLoop = this._buildLoop.bind(this);
+    
+    // Add command handling
+    this.handleCommand = this.handleCommand.bind(this);
+  }
+  
+  /**
+   * Load a blueprint from the schematics folder
+   * @param {string} fileName - Schematic file name, with or without extension
+   * @returns {Promise<Object>} - Blueprint with size and blocks
+   */
+  async loadBlueprint(fileName) {
+    const filePath = await resolveSchematicPath(this.schematicsFolder, fileName);
+    const blueprint = await loadSchematic(filePath);
+    
+    this.log.info(`Loaded ${blueprint.name}: ${blueprint.size.x}x${blueprint.size.y}x${blueprint.size.z}, ${blueprint.blocks.length} blocks`);
+    
+    return blueprint;
+  }
+  
+  /**
+   * Start building a schematic
+   * @param {Object} options - Build options
+   * @param {string} options.fileName - Schematic file name
+   * @param {Object} [options.origin] - World position of the blueprint origin (defaults to the bot's position)
+   * @returns {Promise<boolean>} - Whether the build was started
+   */
+  async build({ fileName, origin }) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    try {
+      const blueprint = await this.loadBlueprint(fileName);
+      const start = origin
+        ? new Vec3(origin.x, origin.y, origin.z).floored()
+        : this.bot.entity.position.floored();
+      
+      if (start.y + blueprint.size.y > this.maxBuildHeight) {
+        throw new Error(`${blueprint.name} would reach above the maximum build height of ${this.maxBuildHeight}`);
+      }
+      
+      this._startBuildJob({
+        type: 'build',
+        name: blueprint.name,
+        fileName,
+        origin: start,
+        blocks: planPlacementOrder(blueprint.blocks)
+      });
+      
+      return true;
+    } catch (error) {
+      this.log.error(`Failed to start build: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Compare the world against a blueprint, optionally repairing every mismatch
+   * @param {Object} options - Verify options
+   * @param {string} options.fileName - Schematic file name
+   * @param {Object} options.origin - World position of the blueprint origin
+   * @param {boolean} [options.repair=false] - Whether to start fixing the mismatches
+   * @returns {Promise<Object|null>} - Verification report or null on failure
+   */
+  async verify({ fileName, origin, repair = false }) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    try {
+      const blueprint = await this.loadBlueprint(fileName);
+      const start = new Vec3(origin.x, origin.y, origin.z).floored();
+      
+      this.currentTask = `Verifying ${blueprint.name}`;
+      const { report, repairBlocks, extraPositions } = this._compareWithWorld(blueprint, start);
+      this.currentTask = null;
+      
+      this.log.info(`Verified ${blueprint.name}: ${report.matching}/${report.checked} blocks match`);
+      
+      if (repair && (repairBlocks.length > 0 || extraPositions.length > 0)) {
+        this._startBuildJob({
+          type: 'repair',
+          name: blueprint.name,
+          fileName,
+          origin: start,
+          blocks: planPlacementOrder(repairBlocks),
+          // Extra blocks are cleared from the top down
+          clear: extraPositions.sort((a, b) => b.y - a.y)
+        });
+        
+        report.repairing = true;
+      }
+      
+      return report;
+    } catch (error) {
+      this.log.error(`Failed to verify build: ${error.message}`);
+      this.currentTask = null;
+      return null;
+    }
+  }
+  
+  /**
+   * Capture a region of the world into a schematic in the schematics folder
+   * @param {Object} options - Capture options
+   * @param {string} options.name - Schematic name
+   * @param {Object} options.corner1 - First corner of the region
+   * @param {Object} options.corner2 - Opposite corner of the region
+   * @returns {Promise<Object|null>} - File name, size and block count, or null on failure
+   */
+  async capture({ name, corner1, corner2 }) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    try {
+      if (!name || path.basename(name) !== name) {
+        throw new Error(`Invalid schematic name: ${name}`);
+      }
+      
+      const fileName = path.extname(name).toLowerCase() === '.schem' ? name : `${name}.schem`;
+      const filePath = path.join(this.schematicsFolder, fileName);
+      
+      if (await fs.pathExists(filePath)) {
+        throw new Error(`Schematic ${fileName} already exists`);
+      }
+      
+      const min = new Vec3(
+        Math.min(corner1.x, corner2.x),
+        Math.min(corner1.y, corner2.y),
+        Math.min(corner1.z, corner2.z)
+      );
+      const size = {
+        x: Math.abs(corner1.x - corner2.x) + 1,
+        y: Math.abs(corner1.y - corner2.y) + 1,
+        z: Math.abs(corner1.z - corner2.z) + 1
+      };
+      
+      if (size.x * size.y * size.z > MAX_CAPTURE_VOLUME) {
+        throw new Error(`Region is too large to capture (max ${MAX_CAPTURE_VOLUME} blocks)`);
+      }
+      
+      this.currentTask = `Capturing ${fileName}`;
+      this.log.info(`Capturing ${size.x}x${size.y}x${size.z} region at ${min.x}, ${min.y}, ${min.z}`);
+      
+      const blocks = [];
+      
+      // Column by column, so each unloaded chunk only needs one walk
+      for (let x = 0; x < size.x; x++) {
+        for (let z = 0; z < size.z; z++) {
+          for (let y = 0; y < size.y; y++) {
+            const position = min.offset(x, y, z);
+            const block = await this._readBlock(position);
+            
+            if (!block) {
+              throw new Error(`Could not load the chunk at ${position.x}, ${position.z}`);
+            }
+            
+            if (this._isAir(block)) continue;
+            
+            blocks.push({
+              x,
+              y,
+              z,
+              name: block.name,
+              properties: Object.fromEntries(
+                Object.entries(block.getProperties()).map(([key, value]) => [key, String(value)])
+              )
+            });
+          }
+        }
+      }
+      
+      const mcData = require('minecraft-data')(this.bot.version);
+      await saveSchematic(filePath, { name: path.basename(fileName, '.schem'), size, blocks }, {
+        dataVersion: mcData.version.dataVersion
+      });
+      
+      this.currentTask = null;
+      this.log.info(`Saved ${blocks.length} blocks to ${filePath}`);
+      
+      return { fileName, size, blocks: blocks.length };
+    } catch (error) {
+      this.log.error(`Failed to capture region: ${error.message}`);
+      this.currentTask = null;
+      return null;
+    }
+  }
+  
+  /**
+   * Start a build or repair job in the background
+   * @private
+   * @param {Object} job - Job type, name, origin, blocks to place and positions to clear
+   * @param {Object} [job.progress] - Block index and counts of a resumed build
+   */
+  _startBuildJob({ type, name, fileName, origin, blocks, clear = [], progress = {} }) {
+    // Cancel any running build before starting a new one
+    this.stopBuilding();
+    
+    this.buildJob = {
+      type,
+      name,
+      fileName,
+      origin,
+      blocks,
+      clear,
+      index: 0,
+      clearIndex: 0,
+      placed: 0,
+      cleared: 0,
+      skipped: 0,
+      failed: 0,
+      missing: {},
+      startTime: Date.now(),
+      ...progress
+    };
+    
+    this.currentTask = `${type === 'repair' ? 'Repairing' : 'Building'} ${name}`;
+    this.log.info(`Started ${type} of ${name} at ${origin.x}, ${origin.y}, ${origin.z}`);
+    
+    // Run the job in the background so the command can return immediately
+    this._buildLoop().catch(error => {
+      this._handleError('Build failed', error);
+      this.buildJob = null;
+      this.currentTask = null;
+    });
+  }
+  
+  /**
+   * Stop the current build
+   * @returns {boolean} - Whether a build was stopped
+   */
+  stopBuilding() {
+    if (!this.buildJob) {
+      return false;
+    }
+    
+    this.log.info(`Stopped building ${this.buildJob.name}`);
+    
+    this.buildJob = null;
+    this.currentTask = null;
+    
+    // Stop any pathfinding
+    if (this.bot && this.bot.pathfinder) {
+      try {
+        this.bot.pathfinder.setGoal(null);
+      } catch (error) {
+        this.log.debug(`Error stopping pathfinder: ${error.message}`);
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Describe the build so it can be restored after reconnecting
+   * @private
+   * @returns {Object|null} - Build state or null if the bot isn't building
+   */
+  _getResumeState() {
+    const job = this.buildJob;
+    
+    if (!job) {
+      return null;
+    }
+    
+    // The block lists are planned again from the schematic on resume
+    return {
+      type: job.type,
+      fileName: job.fileName,
+      origin: { x: job.origin.x, y: job.origin.y, z: job.origin.z },
+      index: job.index,
+      placed: job.placed,
+      skipped: job.skipped,
+      failed: job.failed
+    };
+  }
+  
+  /**
+   * Carry on with a build the bot had before it disconnected or restarted, from the block it was on
+   * @private
+   * @param {Object} state - Build state from _getResumeState
+   */
+  async _resumeTask(state) {
+    const { type, fileName, index, placed, skipped, failed } = state;
+    const origin = new Vec3(state.origin.x, state.origin.y, state.origin.z);
+    
+    // What is left to repair is found again by comparing with the world
+    if (type === 'repair') {
+      this.log.info(`Resuming repair of ${fileName}`);
+      await this.verify({ fileName, origin, repair: true });
+      return;
+    }
+    
+    const blueprint = await this.loadBlueprint(fileName);
+    this.log.info(`Resuming build of ${blueprint.name} at block ${index + 1}`);
+    
+    // The placement order is the same for the same schematic, so the saved index still applies
+    this._startBuildJob({
+      type,
+      name: blueprint.name,
+      fileName,
+      origin,
+      blocks: planPlacementOrder(blueprint.blocks),
+      progress: { index, placed, skipped, failed }
+    });
+  }
+  
+  /**
+   * Stop the bot, abandoning any build
+   * @returns {boolean} - Whether stop was successful
+   */
+  stop() {
+    this.buildJob = null;
+    return super.stop();
+  }
+  
+  /**
+   * Get current bot status including build progress
+   * @returns {Object} - Status information
+   */
+  getStatus() {
+    const status = super.getStatus();
+    
+    if (this.buildJob) {
+      status.buildJob = {
+        type: this.buildJob.type,
+        name: this.buildJob.name,
+        origin: this.buildJob.origin,
+        progress: this.buildJob.index,
+        total: this.buildJob.blocks.length,
+        placed: this.buildJob.placed,
+        cleared: this.buildJob.cleared,
+        skipped: this.buildJob.skipped,
+        failed: this.buildJob.failed,
+        missing: { ...this.buildJob.missing }
+      };
+    }
+    
+    return status;
+  }
+  
+  /**
+   * Build loop - places each blueprint block in planned order
+   * @private
+   */
+  async _buildLoop() {
+    const job = this.buildJob;
+    
+    // Gather what the blueprint needs before placing anything
+    if (this.config.behavior.checkMaterials) {
+      this.currentTask = `Gathering materials for ${job.name}`;
+      await this._sourceMaterials(job);
+      if (this.buildJob !== job) return;
+    }
+    
+    // Remove blocks that don't belong before placing the missing ones
+    while (job.clearIndex < job.clear.length) {
+      if (this.buildJob !== job || !this.active || !this.bot) return;
+      
+      const position = job.clear[job.clearIndex];
+      this.currentTask = `Clearing ${job.name} (${job.clearIndex + 1}/${job.clear.length})`;
+      
+      const cleared = await this._clearExtraBlock(position);
+      if (this.buildJob !== job) return;
+      
+      job[cleared ? 'cleared' : 'failed']++;
+      job.clearIndex++;
+    }
+    
+    while (job.index < job.blocks.length) {
+      if (this.buildJob !== job || !this.active || !this.bot) return;
+      
+      const target = job.blocks[job.index];
+      this.currentTask = `${job.type === 'repair' ? 'Repairing' : 'Building'} ${job.name} (${job.index + 1}/${job.blocks.length})`;
+      
+      const result = await this._buildBlock(target, job);
+      if (this.buildJob !== job) return;
+      
+      if (result === 'missing') {
+        const itemName = getItemForBlock(target.name);
+        job.missing[itemName] = (job.missing[itemName] || 0) + 1;
+      } else {
+        job[result]++;
+      }
+      
+      job.index++;
+      
+      if (result === 'placed' && this.placeDelay > 0) {
+        await this.bot.waitForTicks(this.placeDelay);
+      }
+    }
+    
+    this.log.info(`Finished ${job.type} of ${job.name}: ${job.placed} placed, ${job.cleared} cleared, ${job.skipped} already in place, ${job.failed} failed`);
+    
+    if (job.type === 'repair') {
+      this.chat(`Finished repairing ${job.name}: ${job.placed} placed, ${job.cleared} cleared, ${job.failed} failed.`);
+    } else {
+      this.chat(`Finished building ${job.name}: ${job.placed} placed, ${job.failed} failed.`);
+    }
+    
+    if (Object.keys(job.missing).length > 0) {
+      this.chat(`Missing materials: ${this._formatMaterials(job.missing)}`);
+    }
+    
+    this.emit('buildComplete', {
+      username: this.username,
+      type: job.type,
+      name: job.name,
+      placed: job.placed,
+      cleared: job.cleared,
+      failed: job.failed,
+      missing: job.missing
+    });
+    
+    this.buildJob = null;
+    this.currentTask = null;
+  }
+  
+  /**
+   * Diff the world against a blueprint, block by block
+   *
+   * Missing blocks are blueprint blocks where the world has air or liquid,
+   * wrong blocks have a different type or state, and extra blocks are solid
+   * blocks where the blueprint has air. Counts are kept per block type.
+   * @private
+   * @param {Object} blueprint - Blueprint
+   * @param {Vec3} origin - World position of the blueprint origin
+   * @returns {Object} - Report, blueprint blocks to re-place and positions to clear
+   */
+  _compareWithWorld(blueprint, origin) {
+    const expected = new Map(blueprint.blocks.map(block => [`${block.x},${block.y},${block.z}`, block]));
+    const report = {
+      name: blueprint.name,
+      origin: { x: origin.x, y: origin.y, z: origin.z },
+      checked: 0,
+      matching: 0,
+      unloaded: 0,
+      missing: {},
+      extra: {},
+      wrong: {},
+      mismatches: []
+    };
+    const repairBlocks = [];
+    const extraPositions = [];
+    
+    for (let y = 0; y < blueprint.size.y; y++) {
+      for (let x = 0; x < blueprint.size.x; x++) {
+        for (let z = 0; z < blueprint.size.z; z++) {
+          const position = origin.offset(x, y, z);
+          const target = expected.get(`${x},${y},${z}`);
+          const actual = this.bot.blockAt(position);
+          
+          if (!actual) {
+            report.unloaded++;
+            continue;
+          }
+          
+          report.checked++;
+          
+          let kind = null;
+          if (target && this._matchesBlueprint(actual, target)) {
+            report.matching++;
+          } else if (target) {
+            kind = this._isAir(actual) || this._isLiquid(actual) ? 'missing' : 'wrong';
+            report[kind][target.name] = (report[kind][target.name] || 0) + 1;
+            repairBlocks.push(target);
+          } else if (!this._isAir(actual) && !this._isLiquid(actual)) {
+            kind = 'extra';
+            report.extra[actual.name] = (report.extra[actual.name] || 0) + 1;
+            extraPositions.push(position);
+          } else {
+            report.matching++;
+          }
+          
+          if (kind) {
+            report.mismatches.push({
+              kind,
+              position: { x: position.x, y: position.y, z: position.z },
+              expected: target ? formatBlockState(target.name, target.properties) : 'minecraft:air',
+              actual: formatBlockState(actual.name, actual.getProperties())
+            });
+          }
+        }
+      }
+    }
+    
+    return { report, repairBlocks, extraPositions };
+  }
+  
+  /**
+   * Dig out a block that is not part of the blueprint
+   * @private
+   * @param {Vec3} position - Block position
+   * @returns {Promise<boolean>} - Whether the position is now clear
+   */
+  async _clearExtraBlock(position) {
+    const block = this.bot.blockAt(position);
+    
+    if (block && (this._isAir(block) || this._isLiquid(block))) {
+      return true;
+    }
+    
+    if (this.bot.entity.position.distanceTo(position.offset(0.5, 0.5, 0.5)) > 4) {
+      if (!await this.goTo(position, 3)) {
+        return false;
+      }
+    }
+    
+    return await this.digBlock(position);
+  }
+  
+  /**
+   * Read a block, walking closer first if its chunk isn't loaded
+   * @private
+   * @param {Vec3} position - Block position
+   * @returns {Promise<Block|null>} - The block or null if it still isn't loaded
+   */
+  async _readBlock(position) {
+    const block = this.bot.blockAt(position);
+    
+    if (block) {
+      return block;
+    }
+    
+    this.currentTask = `Walking closer to load ${position.x}, ${position.z}`;
+    this.log.info(this.currentTask);
+    
+    try {
+      await this.bot.pathfinder.goto(new goals.GoalNearXZ(position.x, position.z, 16));
+      await this.bot.waitForChunksToLoad();
+    } catch (error) {
+      this.log.warn(`Could not get closer to ${position.x}, ${position.z}: ${error.message}`);
+    }
+    
+    return this.bot.blockAt(position);
+  }
+  
+  /**
+   * Work out which materials the build still needs beyond the inventory
+   * @param {Object} job - Build job
+   * @returns {Object} - Missing item counts by item name
+   */
+  getMissingMaterials(job) {
+    // Blocks already in place need no materials
+    const remaining = job.blocks.filter(target => {
+      const block = this.bot.blockAt(job.origin.offset(target.x, target.y, target.z));
+      return !block || !this._matchesBlueprint(block, target);
+    });
+    
+    const missing = {};
+    
+    for (const [itemName, count] of Object.entries(getBillOfMaterials(remaining))) {
+      const shortfall = count - this._countInventoryItem(itemName);
+      if (shortfall > 0) {
+        missing[itemName] = shortfall;
+      }
+    }
+    
+    return missing;
+  }
+  
+  /**
+   * Make up a material shortfall: withdraw from shared chests, craft what can
+   * be crafted, and post gather tasks for the rest
+   * @private
+   * @param {Object} job - Build job
+   */
+  async _sourceMaterials(job) {
+    let missing = this.getMissingMaterials(job);
+    
+    if (Object.keys(missing).length === 0) {
+      this.log.info(`All materials for ${job.name} are in the inventory`);
+      return;
+    }
+    
+    this.log.info(`Materials needed for ${job.name}: ${this._formatMaterials(missing)}`);
+    
+    // Take what is stored in the shared chests
+    if (this.dataInterface) {
+      for (const [itemName, count] of Object.entries(missing)) {
+        const withdrawn = await this._fetchFromStorage(itemName, count);
+        if (this.buildJob !== job) return;
+        
+        if (withdrawn > 0) {
+          this.log.info(`Withdrew ${withdrawn} ${itemName} from storage`);
+        }
+      }
+      
+      missing = this.getMissingMaterials(job);
+    }
+    
+    // Craft what can be crafted, ingredients and all
+    if (this.autoCraftMissingItems) {
+      for (const [itemName, count] of Object.entries(missing)) {
+        await this._craftMaterial(itemName, count);
+        if (this.buildJob !== job) return;
+      }
+      
+      missing = this.getMissingMaterials(job);
+    }
+    
+    if (Object.keys(missing).length === 0) {
+      this.log.info(`Gathered all materials for ${job.name}`);
+      return;
+    }
+    
+    // Ask other bots for the rest
+    if (this.config.behavior.requestMissingMaterials && this.dataInterface) {
+      for (const [itemName, count] of Object.entries(missing)) {
+        this._requestMaterial(job, itemName, count);
+      }
+      
+      this.chat(`Missing materials for ${job.name}: ${this._formatMaterials(missing)}. Posted gather requests.`);
+    } else {
+      this.chat(`Missing materials for ${job.name}: ${this._formatMaterials(missing)}.`);
+    }
+  }
+  
+  /**
+   * Craft an item, along with its ingredients, from the inventory and the shared chests
+   * @private
+   * @param {string} itemName - Item name
+   * @param {number} count - Number of items wanted
+   * @returns {Promise<number>} - Number of items crafted
+   */
+  async _craftMaterial(itemName, count) {
+    const before = this._countInventoryItem(itemName);
+    
+    if (!await this.craftItem({ itemName, count })) {
+      return 0;
+    }
+    
+    const crafted = this._countInventoryItem(itemName) - before;
+    
+    if (crafted > 0) {
+      this.log.info(`Crafted ${crafted} ${itemName}`);
+    }
+    
+    return crafted;
+  }
+  
+  /**
+   * Post a gather task for a missing material
+   * @private
+   * @param {Object} job - Build job
+   * @param {string} itemName - Item name
+   * @param {number} count - Number of items needed
+   */
+  _requestMaterial(job, itemName, count) {
+    const taskId = `materials-${this.username}-${itemName}`;
+    const existing = this.dataInterface.getTask(taskId);
+    
+    // Keep a claimed request with its bot, just bring the count up to date
+    if (existing && (existing.status === 'available' || existing.status === 'in_progress')) {
+      this.dataInterface.updateTask({ taskId, data: { count, build: job.name } });
+      return;
+    }
+    
+    this.dataInterface.startTask({
+      taskId,
+      description: `Gather ${count} ${itemName} for ${job.name}`,
+      status: 'available',
+      data: {
+        type: 'gather',
+        itemName,
+        count,
+        requestedBy: this.username,
+        build: job.name
+      }
+    });
+    
+    this.log.info(`Posted request for ${count} ${itemName}`);
+  }
+  
+  /**
+   * Format item counts for chat
+   * @private
+   * @param {Object} materials - Item counts by item name
+   * @returns {string} - Formatted list
+   */
+  _formatMaterials(materials) {
+    return Object.entries(materials).map(([name, count]) => `${count} ${name}`).join(', ');
+  }
+  
+  /**
+   * Place a single blueprint block in the world
+   * @private
+   * @param {Object} target - Blueprint block
+   * @param {Object} job - Build job
+   * @returns {Promise<string>} - 'placed', 'skipped', 'failed' or 'missing'
+   */
+  async _buildBlock(target, job) {
+    const position = job.origin.offset(target.x, target.y, target.z);
+    
+    // Blocks that are already right are left alone, so a build can be re-run
+    const existing = this.bot.blockAt(position);
+    if (existing && this._matchesBlueprint(existing, target)) {
+      return 'skipped';
+    }
+    
+    const itemName = getItemForBlock(target.name);
+    if (!this.bot.inventory.items().some(item => item.name === itemName)) {
+      return 'missing';
+    }
+    
+    if (!await this._moveToPlace(position)) {
+      return 'failed';
+    }
+    
+    // Clear whatever is in the way (liquids are replaced by placing)
+    const current = this.bot.blockAt(position);
+    if (!current) {
+      return 'failed';
+    }
+    
+    if (this._matchesBlueprint(current, target)) {
+      return 'skipped';
+    }
+    
+    if (!this._isAir(current) && !this._isLiquid(current)) {
+      if (!await this.digBlock(position)) {
+        return 'failed';
+      }
+    }
+    
+    const placement = this._getPlacement(target, position);
+    if (!placement) {
+      this.log.warn(`Nothing to place ${target.name} against at ${position.x}, ${position.y}, ${position.z}`);
+      return 'failed';
+    }
+    
+    const placed = await this.placeBlock({
+      position: placement.reference,
+      blockName: target.name,
+      itemName,
+      faceVector: placement.face,
+      yaw: placement.yaw,
+      pitch: placement.pitch,
+      half: placement.half
+    });
+    
+    if (!placed) {
+      return 'failed';
+    }
+    
+    // A double slab is a second slab placed into the first
+    if (target.properties.type === 'double' && !await this._placeSecondSlab(position, itemName)) {
+      return 'failed';
+    }
+    
+    return 'placed';
+  }
+  
+  /**
+   * Turn the slab at a position into a double slab by clicking its open face with another slab
+   * placeBlock can't be used, as it waits for the block across the clicked face to change, and the
+   * second half goes into the slab's own block; the slab's state is checked instead.
+   * @private
+   * @param {Vec3} position - Position of the slab
+   * @param {string} itemName - Slab item
+   * @returns {Promise<boolean>} - Whether the slab is now a double slab
+   */
+  async _placeSecondSlab(position, itemName) {
+    const slab = this.bot.blockAt(position);
+    const item = this.bot.inventory.items().find(item => item.name === itemName);
+    
+    if (!slab || !item) {
+      return false;
+    }
+    
+    try {
+      await this.bot.equip(item, 'hand');
+      
+      const face = slab.getProperties().type === 'top' ? FACE_VECTORS.down : FACE_VECTORS.up;
+      await this.bot.activateBlock(slab, face, new Vec3(0.5, 0.5, 0.5));
+      
+      for (let tick = 0; tick < SLAB_CONFIRM_TICKS; tick++) {
+        await this.bot.waitForTicks(1);
+        
+        const block = this.bot.blockAt(position);
+        if (block && block.getProperties().type === 'double') {
+          return true;
+        }
+      }
+      
+      this.log.warn(`Slab at ${position.x}, ${position.y}, ${position.z} did not become a double slab`);
+      return false;
+    } catch (error) {
+      this.log.warn(`Failed to place second slab at ${position.x}, ${position.y}, ${position.z}: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Move to a spot where a block can be placed at a position
+   * @private
+   * @param {Vec3} position - Position to place at
+   * @returns {Promise<boolean>} - Whether the bot is in position
+   */
+  async _moveToPlace(position) {
+    const feet = this.bot.entity.position.floored();
+    const standingInside = feet.equals(position) || feet.offset(0, 1, 0).equals(position);
+    
+    if (!standingInside && this.bot.entity.position.distanceTo(position.offset(0.5, 0.5, 0.5)) <= 4) {
+      return true;
+    }
+    
+    try {
+      this.currentTask = `Moving to build at ${position.x}, ${position.y}, ${position.z}`;
+      await this.bot.pathfinder.goto(new goals.GoalPlaceBlock(position, this.bot.world, { range: 4 }));
+      return true;
+    } catch (error) {
+      this.log.warn(`Cannot reach ${position.x}, ${position.y}, ${position.z}: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Work out how to place a block so it ends up in the blueprint state
+   *
+   * Wall-mounted blocks take their facing from the clicked face, logs their
+   * axis, slabs and stairs their half from the clicked half, and most other
+   * directional blocks from the direction the bot looks while placing.
+   * @private
+   * @param {Object} target - Blueprint block
+   * @param {Vec3} position - World position of the block
+   * @returns {Object|null} - Reference block position, face, look and half, or null
+   */
+  _getPlacement(target, position) {
+    const name = target.name;
+    const properties = target.properties || {};
+    const facing = FACE_VECTORS[properties.facing];
+    
+    let faces = [FACE_VECTORS.up, ...SIDE_FACES, FACE_VECTORS.down];
+    let look = null;
+    let half;
+    
+    if (isWallMounted(name)) {
+      faces = facing ? [facing] : SIDE_FACES;
+    } else if (properties.face) {
+      // Buttons and levers
+      if (properties.face === 'floor') {
+        faces = [FACE_VECTORS.up];
+        look = facing;
+      } else if (properties.face === 'ceiling') {
+        faces = [FACE_VECTORS.down];
+        look = facing;
+      } else {
+        faces = [facing];
+      }
+    } else if (properties.hanging === 'true') {
+      faces = [FACE_VECTORS.down];
+    } else if (properties.axis) {
+      const axisFaces = {
+        x: [FACE_VECTORS.east, FACE_VECTORS.west],
+        y: [FACE_VECTORS.up, FACE_VECTORS.down],
+        z: [FACE_VECTORS.south, FACE_VECTORS.north]
+      };
+      faces = axisFaces[properties.axis] || faces;
+    } else if (name.endsWith('_trapdoor')) {
+      faces = properties.half === 'top' ? [FACE_VECTORS.down] : [FACE_VECTORS.up];
+      look = facing && facing.scaled(-1);
+    } else {
+      if (properties.type === 'top' || properties.half === 'top') {
+        faces = [FACE_VECTORS.down, ...SIDE_FACES];
+        half = 'top';
+      } else if (properties.type === 'bottom' || properties.type === 'double' || properties.half === 'bottom') {
+        half = 'bottom';
+      }
+      
+      if (facing) {
+        const playerDirection = PLAYER_DIRECTION_SUFFIXES.some(suffix => name.endsWith(suffix));
+        look = playerDirection ? facing : facing.scaled(-1);
+      }
+    }
+    
+    const face = faces.find(face => {
+      const reference = this.bot.blockAt(position.minus(face));
+      return reference && reference.boundingBox === 'block';
+    });
+    
+    if (!face) {
+      return null;
+    }
+    
+    const placement = { reference: position.minus(face), face, half };
+    
+    if (properties.rotation !== undefined) {
+      // Signs, banners and heads: rotation 0 faces south, in 16 steps
+      placement.yaw = -parseInt(properties.rotation) * Math.PI / 8;
+    } else if (look && look.y !== 0) {
+      placement.yaw = this.bot.entity.yaw;
+      placement.pitch = look.y > 0 ? Math.PI / 2 : -Math.PI / 2;
+    } else if (look) {
+      placement.yaw = Math.atan2(-look.x, -look.z);
+    }
+    
+    return placement;
+  }
+  
+  /**
+   * Check if a world block matches a blueprint block
+   * @private
+   * @param {Block} block - World block
+   * @param {Object} target - Blueprint block
+   * @returns {boolean} - Whether the block is already as the blueprint wants
+   */
+  _matchesBlueprint(block, target) {
+    return blockStateMatches({ name: block.name, properties: block.getProperties() }, target);
+  }
+  
+  /**
+   * Check if a block is air
+   * @private
+   * @param {Block} block - Block to check
+   * @returns {boolean} - Whether the block is air
+   */
+  _isAir(block) {
+    return ['air', 'cave_air', 'void_air'].includes(block.name);
+  }
+  
+  /**
+   * Check if a block is a liquid
+   * @private
+   * @param {Block} block - Block to check
+   * @returns {boolean} - Whether the block is water or lava
+   */
+  _isLiquid(block) {
+    return block.name === 'water' || block.name === 'lava';
+  }
+  
+  /**
+   * Handle builder-specific commands
+   * @param {string} username - Username of the player who sent the command
+   * @param {string} command - The command (without prefix)
+   * @param {Array<string>} args - Command arguments
+   */
+  handleCommand(username, command, args) {
+    this.log.info(`BuilderBot received command: ${command} ${args.join(' ')}`);
+    
+    switch (command) {
+      case 'build':
+        this._handleBuildCommand(username, args);
+        break;
+      case 'verify':
+        this._handleVerifyCommand(username, args);
+        break;
+      case 'capture':
+        this._handleCaptureCommand(username, args);
+        break;
+      case 'stopbuilding':
+        this._handleStopBuildingCommand(username);
+        break;
+      case 'help':
+        this._displayBuilderHelp(username);
+        break;
+      default:
+        this.chat(`I don't understand that command. Try ${mainConfig.system.commandPrefix}help`);
+        break;
+    }
+  }
+  
+  /**
+   * Handle the build command
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   * @param {Array<string>} args - Command arguments
+   */
+  async _handleBuildCommand(username, args) {
+    try {
+      if (args.length < 1) {
+        this.chat('Usage: build <fileName> [x y z]');
+        return;
+      }
+      
+      const fileName = args[0];
+      let origin;
+      
+      if (args.length >= 4) {
+        const [x, y, z] = args.slice(1, 4).map(arg => parseInt(arg));
+        
+        if ([x, y, z].some(isNaN)) {
+          this.chat('Invalid coordinates. Usage: build <fileName> [x y z]');
+          return;
+        }
+        
+        origin = { x, y, z };
+      }
+      
+      if (await this.build({ fileName, origin })) {
+        this.chat(`Building ${fileName}.`);
+      } else {
+        this.chat(`Could not start building ${fileName}.`);
+      }
+    } catch (error) {
+      this.log.error(`Error handling build command: ${error.message}`);
+      this.chat(`Could not execute build command: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle the verify command
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   * @param {Array<string>} args - Command arguments
+   */
+  async _handleVerifyCommand(username, args) {
+    try {
+      if (args.length < 4) {
+        this.chat('Usage: verify <fileName> <x> <y> <z> [repair]');
+        return;
+      }
+      
+      const fileName = args[0];
+      const [x, y, z] = args.slice(1, 4).map(arg => parseInt(arg));
+      const repair = args[4] === 'repair';
+      
+      if ([x, y, z].some(isNaN)) {
+        this.chat('Invalid coordinates. Usage: verify <fileName> <x> <y> <z> [repair]');
+        return;
+      }
+      
+      const report = await this.verify({ fileName, origin: { x, y, z }, repair });
+      
+      if (!report) {
+        this.chat(`Could not verify ${fileName}.`);
+        return;
+      }
+      
+      const messages = [
+        `${report.name}: ${report.matching}/${report.checked} blocks match` +
+          (report.unloaded > 0 ? `, ${report.unloaded} not loaded` : '')
+      ];
+      
+      for (const kind of ['missing', 'wrong', 'extra']) {
+        if (Object.keys(report[kind]).length > 0) {
+          messages.push(`${kind}: ${this._formatMaterials(report[kind])}`);
+        }
+      }
+      
+      if (report.repairing) {
+        messages.push('Repairing the differences.');
+      }
+      
+      // Send messages with slight delay to avoid chat rate limiting
+      let i = 0;
+      const sendNextMessage = () => {
+        if (i < messages.length) {
+          this.chat(messages[i]);
+          i++;
+          setTimeout(sendNextMessage, 500);
+        }
+      };
+      
+      sendNextMessage();
+    } catch (error) {
+      this.log.error(`Error handling verify command: ${error.message}`);
+      this.chat(`Could not execute verify command: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle the capture command
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   * @param {Array<string>} args - Command arguments
+   */
+  async _handleCaptureCommand(username, args) {
+    try {
+      if (args.length < 7) {
+        this.chat('Usage: capture <name> <x1> <y1> <z1> <x2> <y2> <z2>');
+        return;
+      }
+      
+      const name = args[0];
+      const [x1, y1, z1, x2, y2, z2] = args.slice(1, 7).map(arg => parseInt(arg));
+      
+      if ([x1, y1, z1, x2, y2, z2].some(isNaN)) {
+        this.chat('Invalid coordinates. Usage: capture <name> <x1> <y1> <z1> <x2> <y2> <z2>');
+        return;
+      }
+      
+      this.chat(`Capturing ${name}...`);
+      
+      const result = await this.capture({
+        name,
+        corner1: { x: x1, y: y1, z: z1 },
+        corner2: { x: x2, y: y2, z: z2 }
+      });
+      
+      if (result) {
+        this.chat(`Saved ${result.fileName} (${result.size.x}x${result.size.y}x${result.size.z}, ${result.blocks} blocks).`);
+      } else {
+        this.chat(`Could not capture ${name}.`);
+      }
+    } catch (error) {
+      this.log.error(`Error handling capture command: ${error.message}`);
+      this.chat(`Could not execute capture command: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle the stopbuilding command
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   */
+  _handleStopBuildingCommand(username) {
+    if (this.stopBuilding()) {
+      this.chat('Stopped building.');
+    } else {
+      this.chat('I am not building anything.');
+    }
+  }
+  
+  /**
+   * Display help for builder commands
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   */
+  _displayBuilderHelp(username) {
+    const prefix = mainConfig.system.commandPrefix;
+    const helpMessages = [
+      `${prefix}build <fileName> [x y z] - Build a schematic from the builds folder`,
+      `${prefix}verify <fileName> <x> <y> <z> [repair] - Compare a build with its schematic`,
+      `${prefix}capture <name> <x1> <y1> <z1> <x2> <y2> <z2> - Save a region as a schematic`,
+      `${prefix}stopbuilding - Stop the current build`
+    ];
+    
+    this.chat(`=== BuilderBot Commands ===`);
+    
+    // Send messages with slight delay to avoid chat rate limiting
+    let i = 0;
+    const sendNextMessage = () => {
+      if (i < helpMessages.length) {
+        this.chat(helpMessages[i]);
+        i++;
+        setTimeout(sendNextMessage, 500);
+      }
+    };
+    
+    sendNextMessage();
+  }
+}
+
+module.exports = BuilderBot;
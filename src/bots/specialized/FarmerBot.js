@@ -0,0 +1,1884 @@
+/**
+ * FarmerBot - Specialized bot for farming
+ *
+ * This bot type works the fields recorded in the shared data: it harvests
+ * fully grown crops, replants them from the seeds it collected and takes
+ * the surplus to storage, then waits for the crops to grow back. It also
+ * tends animal pens, breeding, shearing and culling to keep each pen at
+ * its target population, and works tree farms, felling grown trees and
+ * planting their saplings back.
+ */
+
+const BaseBot = require('../base');
+const botConfig = require('../../shared/botConfig');
+const mainConfig = require('../../../config');
+const { Vec3 } = require('vec3');
+const { goals } = require('mineflayer-pathfinder');
+
+// Harvestable crops: the item they are planted from, their final age and the block they grow on
+const CROPS = {
+  wheat: { seed: 'wheat_seeds', maxAge: 7, soil: 'farmland' },
+  carrots: { seed: 'carrot', maxAge: 7, soil: 'farmland' },
+  potatoes: { seed: 'potato', maxAge: 7, soil: 'farmland' },
+  beetroots: { seed: 'beetroot_seeds', maxAge: 3, soil: 'farmland' },
+  nether_wart: { seed: 'nether_wart', maxAge: 3, soil: 'soul_sand' }
+};
+
+// Items crops drop when harvested
+const PRODUCE = [
+  'wheat', 'wheat_seeds', 'carrot', 'potato', 'poisonous_potato',
+  'beetroot', 'beetroot_seeds', 'nether_wart'
+];
+
+// Region categories fields, pens and tree farms are stored under
+const FIELD_CATEGORY = 'field';
+const PEN_CATEGORY = 'pen';
+const TREE_FARM_CATEGORY = 'treefarm';
+
+// Animals that can be kept in pens and the food they breed with
+const ANIMALS = {
+  cow: { food: ['wheat'] },
+  sheep: { food: ['wheat'] },
+  pig: { food: ['carrot', 'potato', 'beetroot'] },
+  chicken: { food: ['wheat_seeds', 'beetroot_seeds', 'melon_seeds', 'pumpkin_seeds'] }
+};
+
+const WOOL_COLORS = [
+  'white', 'orange', 'magenta', 'light_blue', 'yellow', 'lime', 'pink', 'gray',
+  'light_gray', 'cyan', 'purple', 'blue', 'brown', 'green', 'red', 'black'
+];
+
+// Items picked up in pens
+const ANIMAL_PRODUCE = [
+  'beef', 'leather', 'mutton', 'porkchop', 'chicken', 'feather', 'egg',
+  ...WOOL_COLORS.map(color => `${color}_wool`)
+];
+
+// Animals can breed again five minutes after being fed
+const BREED_COOLDOWN = 5 * 60 * 1000;
+
+// Sheared sheep need to eat grass before they can be sheared again
+const SHEAR_COOLDOWN = 5 * 60 * 1000;
+
+// Hits given up on when culling an animal that won't die
+const MAX_CULL_HITS = 20;
+
+// Blocks a hoe turns into farmland
+const TILLABLE = ['dirt', 'grass_block', 'dirt_path'];
+
+const HOES = ['netherite_hoe', 'diamond_hoe', 'iron_hoe', 'golden_hoe', 'stone_hoe', 'wooden_hoe'];
+
+// Farmland within four blocks of water stays hydrated, so one source waters a 9x9 square
+const WATER_SPACING = 9;
+
+// Trees by wood type; dark oak only grows from four saplings in a square
+const TREES = {
+  oak: { needsFour: false },
+  spruce: { needsFour: false },
+  birch: { needsFour: false },
+  jungle: { needsFour: false },
+  acacia: { needsFour: false },
+  dark_oak: { needsFour: true },
+  cherry: { needsFour: false }
+};
+
+// Blocks saplings can be planted on
+const SAPLING_SOIL = ['dirt', 'grass_block', 'podzol', 'coarse_dirt', 'rooted_dirt', 'mycelium', 'moss_block', 'mud'];
+
+// Items picked up in tree farms
+const LUMBER = [
+  ...Object.keys(TREES).map(wood => `${wood}_log`),
+  ...Object.keys(TREES).map(wood => `${wood}_sapling`),
+  'stick', 'apple'
+];
+
+// Limits on following a tree's logs, so a felling never wanders into nearby builds
+const MAX_TREE_LOGS = 256;
+const MAX_BRANCH_REACH = 6;
+
+class FarmerBot extends BaseBot {
+  /**
+   * Create a new FarmerBot
+   * @param {Object} options - Bot configuration
+   */
+  constructor(options) {
+    super({
+      ...options,
+      type: 'farmer'
+    });
+    
+    // Load farmer-specific configuration
+    this.config = botConfig.loadBotConfig('farmer');
+    
+    // Farming state
+    this.farmingJob = null;          // Current farming job (fields or pens, progress)
+    this.seedReserve = this.config.behavior.seedReserve;
+    this.harvestInterval = this.config.behavior.harvestInterval;
+    this.tendInterval = this.config.behavior.tendInterval;
+    this.treeFarmInterval = this.config.behavior.treeFarmInterval;
+    this.saplingReserve = this.config.behavior.saplingReserve;
+    this.returnThreshold = this.config.behavior.returnThreshold;
+    
+    // When each animal was last fed or sheared, by entity id
+    this.lastFed = new Map();
+    this.lastSheared = new Map();
+    
+    // Bind methods
+    this._farmingLoop = this._farmingLoop.bind(this);
+    this._expansionLoop = this._expansionLoop.bind(this);
+    
+    // Add command handling
+    this.handleCommand = this.handleCommand.bind(this);
+  }
+  
+  /**
+   * Start farming a field, harvesting and replanting it until stopped
+   * @param {Object} options - Farming options
+   * @param {string} options.fieldName - Name of a recorded field
+   * @returns {Promise<boolean>} - Whether farming was started
+   */
+  async farm({ fieldName }) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    try {
+      if (!this.dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      const field = this.dataInterface.getRegion(fieldName, FIELD_CATEGORY);
+      
+      if (!field) {
+        throw new Error(`Unknown field: ${fieldName}`);
+      }
+      
+      // Cancel any running job before starting a new one
+      this.stopFarming();
+      
+      this.farmingJob = {
+        type: 'crops',
+        name: fieldName,
+        field,
+        passes: 0,
+        harvested: 0,
+        replanted: 0,
+        startTime: Date.now()
+      };
+      
+      this.currentTask = `Farming ${fieldName}`;
+      this.log.info(`Started farming field ${fieldName}`);
+      
+      // Run the job in the background so the command can return immediately
+      this._farmingLoop().catch(error => {
+        this._handleError('Farming failed', error);
+        this.farmingJob = null;
+        this.currentTask = null;
+      });
+      
+      return true;
+    } catch (error) {
+      this.log.error(`Failed to start farming: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Start tending animal pens, keeping each at its target population until stopped
+   * @param {Object} [options] - Tending options
+   * @param {Array<string>} [options.penNames] - Pens to tend, all recorded pens if empty
+   * @returns {Promise<boolean>} - Whether tending was started
+   */
+  async tendPens({ penNames = [] } = {}) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    try {
+      if (!this.dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      let pens = this.dataInterface.getRegions(PEN_CATEGORY);
+      
+      if (penNames.length > 0) {
+        pens = penNames.map(penName => {
+          const pen = pens.find(p => p.name === penName);
+          
+          if (!pen) {
+            throw new Error(`Unknown pen: ${penName}`);
+          }
+          
+          return pen;
+        });
+      }
+      
+      if (pens.length === 0) {
+        throw new Error('No pens have been set');
+      }
+      
+      // Cancel any running job before starting a new one
+      this.stopFarming();
+      
+      this.farmingJob = {
+        type: 'animals',
+        name: pens.map(pen => pen.name).join(', '),
+        pens,
+        passes: 0,
+        bred: 0,
+        sheared: 0,
+        culled: 0,
+        startTime: Date.now()
+      };
+      
+      this.currentTask = `Tending ${this.farmingJob.name}`;
+      this.log.info(`Started tending pens ${this.farmingJob.name}`);
+      
+      // Run the job in the background so the command can return immediately
+      this._farmingLoop().catch(error => {
+        this._handleError('Tending pens failed', error);
+        this.farmingJob = null;
+        this.currentTask = null;
+      });
+      
+      return true;
+    } catch (error) {
+      this.log.error(`Failed to start tending pens: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Start working a tree farm, felling grown trees and replanting them until stopped
+   * @param {Object} options - Tree farm options
+   * @param {string} options.treeFarmName - Name of a recorded tree farm
+   * @returns {Promise<boolean>} - Whether the job was started
+   */
+  async fellTrees({ treeFarmName }) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    try {
+      if (!this.dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      const treeFarm = this.dataInterface.getRegion(treeFarmName, TREE_FARM_CATEGORY);
+      
+      if (!treeFarm) {
+        throw new Error(`Unknown tree farm: ${treeFarmName}`);
+      }
+      
+      // Cancel any running job before starting a new one
+      this.stopFarming();
+      
+      this.farmingJob = {
+        type: 'trees',
+        name: treeFarmName,
+        treeFarm,
+        spots: treeFarm.spots || [],
+        passes: 0,
+        felled: 0,
+        logs: 0,
+        planted: 0,
+        startTime: Date.now()
+      };
+      
+      this.currentTask = `Working tree farm ${treeFarmName}`;
+      this.log.info(`Started working tree farm ${treeFarmName}`);
+      
+      // Run the job in the background so the command can return immediately
+      this._farmingLoop().catch(error => {
+        this._handleError('Tree farming failed', error);
+        this.farmingJob = null;
+        this.currentTask = null;
+      });
+      
+      return true;
+    } catch (error) {
+      this.log.error(`Failed to start tree farming: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Turn an area into a fenced, lit field of hydrated farmland
+   * @param {Object} options - Expansion options
+   * @param {string} options.fieldName - Name to record the new field under
+   * @param {Object} options.corner1 - First corner of the area, at soil level
+   * @param {Object} options.corner2 - Opposite corner of the area
+   * @returns {Promise<boolean>} - Whether the expansion was started
+   */
+  async expandFarm({ fieldName, corner1, corner2 }) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    try {
+      const min = new Vec3(Math.min(corner1.x, corner2.x), Math.min(corner1.y, corner2.y), Math.min(corner1.z, corner2.z));
+      const max = new Vec3(Math.max(corner1.x, corner2.x), min.y, Math.max(corner1.z, corner2.z));
+      
+      // The border is fenced, so anything narrower has no room for farmland
+      if (max.x - min.x < 2 || max.z - min.z < 2) {
+        throw new Error('The area must be at least 3 blocks wide on each side');
+      }
+      
+      // Cancel any running job before starting a new one
+      this.stopFarming();
+      
+      this.farmingJob = {
+        type: 'expand',
+        name: fieldName,
+        area: { min, max },
+        plan: this._planExpansion({ min, max }),
+        water: 0,
+        tilled: 0,
+        lights: 0,
+        fences: 0,
+        missing: {},
+        startTime: Date.now()
+      };
+      
+      this.currentTask = `Expanding farm ${fieldName}`;
+      this.log.info(`Started expanding farm ${fieldName} from (${min.x}, ${min.y}, ${min.z}) to (${max.x}, ${max.y}, ${max.z})`);
+      
+      // Run the job in the background so the command can return immediately
+      this._expansionLoop().catch(error => {
+        this._handleError('Farm expansion failed', error);
+        this.farmingJob = null;
+        this.currentTask = null;
+      });
+      
+      return true;
+    } catch (error) {
+      this.log.error(`Failed to start farm expansion: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Stop the current farming job
+   * @returns {boolean} - Whether a job was stopped
+   */
+  stopFarming() {
+    if (!this.farmingJob) {
+      return false;
+    }
+    
+    this.log.info(`Stopped farming ${this.farmingJob.name}`);
+    
+    this.farmingJob = null;
+    this.currentTask = null;
+    
+    // Stop any pathfinding
+    if (this.bot && this.bot.pathfinder) {
+      try {
+        this.bot.pathfinder.setGoal(null);
+      } catch (error) {
+        this.log.debug(`Error stopping pathfinder: ${error.message}`);
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Describe the farming job so it can be restored after reconnecting
+   * @private
+   * @returns {Object|null} - Job state or null if the bot isn't farming
+   */
+  _getResumeState() {
+    const job = this.farmingJob;
+    
+    if (!job) {
+      return null;
+    }
+    
+    switch (job.type) {
+      case 'crops':
+        return { type: 'crops', fieldName: job.name };
+      case 'animals':
+        return { type: 'animals', penNames: job.pens.map(pen => pen.name) };
+      case 'trees':
+        return { type: 'trees', treeFarmName: job.name };
+      case 'expand':
+        // Blocks already in place are skipped, so the expansion can start over
+        return { type: 'expand', fieldName: job.name, corner1: job.area.min, corner2: job.area.max };
+      default:
+        return null;
+    }
+  }
+  
+  /**
+   * Start the farming job the bot had before it disconnected again
+   * @private
+   * @param {Object} state - Job state from _getResumeState
+   */
+  async _resumeTask(state) {
+    this.log.info(`Resuming ${state.type} job after reconnecting`);
+    
+    switch (state.type) {
+      case 'crops':
+        await this.farm(state);
+        break;
+      case 'animals':
+        await this.tendPens(state);
+        break;
+      case 'trees':
+        await this.fellTrees(state);
+        break;
+      case 'expand':
+        await this.expandFarm(state);
+        break;
+    }
+  }
+  
+  /**
+   * Stop the bot, abandoning any farming job
+   * @returns {boolean} - Whether stop was successful
+   */
+  stop() {
+    this.farmingJob = null;
+    return super.stop();
+  }
+  
+  /**
+   * Get current bot status including farming progress
+   * @returns {Object} - Status information
+   */
+  getStatus() {
+    const status = super.getStatus();
+    
+    if (this.farmingJob && this.farmingJob.type === 'expand') {
+      status.farmingJob = {
+        type: 'expand',
+        field: this.farmingJob.name,
+        water: this.farmingJob.water,
+        tilled: this.farmingJob.tilled,
+        lights: this.farmingJob.lights,
+        fences: this.farmingJob.fences
+      };
+    } else if (this.farmingJob && this.farmingJob.type === 'trees') {
+      status.farmingJob = {
+        type: 'trees',
+        treeFarm: this.farmingJob.name,
+        passes: this.farmingJob.passes,
+        felled: this.farmingJob.felled,
+        logs: this.farmingJob.logs,
+        planted: this.farmingJob.planted
+      };
+    } else if (this.farmingJob && this.farmingJob.type === 'animals') {
+      status.farmingJob = {
+        type: 'animals',
+        pens: this.farmingJob.name,
+        passes: this.farmingJob.passes,
+        bred: this.farmingJob.bred,
+        sheared: this.farmingJob.sheared,
+        culled: this.farmingJob.culled
+      };
+    } else if (this.farmingJob) {
+      status.farmingJob = {
+        type: 'crops',
+        field: this.farmingJob.name,
+        passes: this.farmingJob.passes,
+        harvested: this.farmingJob.harvested,
+        replanted: this.farmingJob.replanted
+      };
+    }
+    
+    return status;
+  }
+  
+  /**
+   * Farming loop - works the field or pens, deposits the surplus and waits for regrowth
+   * @private
+   */
+  async _farmingLoop() {
+    const job = this.farmingJob;
+    
+    while (this.farmingJob === job && this.active && this.bot) {
+      let interval;
+      
+      if (job.type === 'trees') {
+        this.currentTask = `Working tree farm ${job.name}`;
+        await this._workTreeFarm(job);
+        if (this.farmingJob !== job) return;
+        
+        await this._depositSurplus(LUMBER);
+        if (this.farmingJob !== job) return;
+        
+        job.passes++;
+        interval = this.treeFarmInterval;
+        this.currentTask = `Waiting for ${job.name} to grow`;
+        this.log.info(`Finished pass ${job.passes} of ${job.name}: ${job.felled} trees felled, ${job.logs} logs, ${job.planted} saplings planted in total`);
+      } else if (job.type === 'animals') {
+        for (const pen of job.pens) {
+          this.currentTask = `Tending ${pen.name}`;
+          await this._tendPen(pen, job);
+          if (this.farmingJob !== job) return;
+        }
+        
+        await this._depositSurplus(ANIMAL_PRODUCE);
+        if (this.farmingJob !== job) return;
+        
+        job.passes++;
+        interval = this.tendInterval;
+        this.currentTask = `Waiting to tend ${job.name} again`;
+        this.log.info(`Finished pass ${job.passes} of ${job.name}: ${job.bred} bred, ${job.sheared} sheared, ${job.culled} culled in total`);
+      } else {
+        this.currentTask = `Harvesting ${job.name}`;
+        await this._harvestField(job);
+        if (this.farmingJob !== job) return;
+        
+        await this._depositSurplus(PRODUCE);
+        if (this.farmingJob !== job) return;
+        
+        job.passes++;
+        interval = this.harvestInterval;
+        this.currentTask = `Waiting for ${job.name} to grow`;
+        this.log.info(`Finished pass ${job.passes} of ${job.name}: ${job.harvested} harvested, ${job.replanted} replanted in total`);
+      }
+      
+      // Wait in short steps so a stop is picked up quickly
+      for (let waited = 0; waited < interval && this.farmingJob === job; waited++) {
+        await this.bot.waitForTicks(20);
+      }
+    }
+  }
+  
+  /**
+   * Expansion loop - waters, tills, lights and fences the area, then records it as a field
+   * @private
+   */
+  async _expansionLoop() {
+    const job = this.farmingJob;
+    const { plan, area } = job;
+    const center = new Vec3((area.min.x + area.max.x) / 2, area.min.y, (area.min.z + area.max.z) / 2).floored();
+    
+    // The whole area has to be loaded to work out the materials
+    if (this.bot.entity.position.distanceTo(center) > 32) {
+      await this.goTo(center, 4);
+      if (this.farmingJob !== job) return;
+    }
+    
+    await this._sourceExpansionMaterials(job);
+    if (this.farmingJob !== job) return;
+    
+    // Water goes in first so the new farmland doesn't dry back to dirt
+    const steps = [
+      ['water', plan.water, position => this._placeWater(position)],
+      ['tilled', plan.till, position => this._tillSoil(position)],
+      ['lights', plan.lights, position => this._placeOnTop(position, this.config.expansion.light)],
+      ['fences', plan.fences, position => this._placeOnTop(position, this.config.expansion.fence)],
+      ['fences', [plan.gate], position => this._placeOnTop(position, this.config.expansion.fenceGate)],
+      ['lights', plan.fenceLights, position => this._placeOnTop(position, this.config.expansion.light)]
+    ];
+    
+    for (const [counter, positions, work] of steps) {
+      for (const position of positions) {
+        this.currentTask = `Expanding ${job.name}: ${counter} at ${position.x}, ${position.y}, ${position.z}`;
+        const result = await work(position);
+        if (this.farmingJob !== job) return;
+        
+        if (result === 'placed') {
+          job[counter]++;
+        } else if (result !== 'skipped' && result !== 'failed') {
+          // Anything else names the item that ran out, counted per block left undone
+          job.missing[result] = (job.missing[result] || 0) + 1;
+        }
+      }
+    }
+    
+    // The farmland and the air above it make up the field
+    if (this.dataInterface) {
+      this.dataInterface.reportRegion({
+        name: job.name,
+        corner1: { x: area.min.x + 1, y: area.min.y, z: area.min.z + 1 },
+        corner2: { x: area.max.x - 1, y: area.min.y + 1, z: area.max.z - 1 },
+        category: FIELD_CATEGORY
+      });
+    }
+    
+    const summary = `${job.water} water, ${job.tilled} tilled, ${job.lights} lights, ${job.fences} fences`;
+    
+    if (Object.keys(job.missing).length > 0) {
+      const undone = Object.values(job.missing).reduce((total, count) => total + count, 0);
+      this.chat(`Expanded ${job.name} (${summary}), ${undone} blocks left for lack of ${Object.keys(job.missing).join(', ')}.`);
+    } else {
+      this.chat(`Expanded ${job.name} (${summary}).`);
+    }
+    
+    this.log.info(`Finished expanding ${job.name}: ${summary}`);
+    
+    this.farmingJob = null;
+    this.currentTask = null;
+  }
+  
+  /**
+   * Lay out an expansion: a fenced border with a gate, water sources spread so
+   * every block is within four of one, and a light beside each source and along the fence
+   * @private
+   * @param {Object} area - Area with min and max corners at soil level
+   * @returns {Object} - Soil positions for water, tilling, lights, fences and the gate
+   */
+  _planExpansion(area) {
+    const { min, max } = area;
+    const spacing = this.config.expansion.lightSpacing;
+    const plan = { water: [], till: [], lights: [], fences: [], fenceLights: [], gate: null };
+    
+    const interiorX = this._spreadWater(max.x - min.x - 1).map(offset => min.x + 1 + offset);
+    const interiorZ = this._spreadWater(max.z - min.z - 1).map(offset => min.z + 1 + offset);
+    
+    for (const x of interiorX) {
+      for (const z of interiorZ) {
+        plan.water.push(new Vec3(x, min.y, z));
+        
+        // Beside the source, on whichever side is still inside the fence
+        if (x + 1 < max.x) {
+          plan.lights.push(new Vec3(x + 1, min.y, z));
+        } else if (x - 1 > min.x) {
+          plan.lights.push(new Vec3(x - 1, min.y, z));
+        }
+      }
+    }
+    
+    const reserved = [...plan.water, ...plan.lights];
+    const gateX = Math.floor((min.x + max.x) / 2);
+    
+    for (let x = min.x; x <= max.x; x++) {
+      for (let z = min.z; z <= max.z; z++) {
+        const position = new Vec3(x, min.y, z);
+        const onXEdge = x === min.x || x === max.x;
+        const onZEdge = z === min.z || z === max.z;
+        
+        if (!onXEdge && !onZEdge) {
+          if (!reserved.some(r => r.equals(position))) {
+            plan.till.push(position);
+          }
+          continue;
+        }
+        
+        if (x === gateX && z === min.z) {
+          plan.gate = position;
+          continue;
+        }
+        
+        plan.fences.push(position);
+        
+        // Torches on the corner posts and every few posts in between
+        if ((onXEdge && onZEdge) || (onZEdge && (x - min.x) % spacing === 0) || (onXEdge && (z - min.z) % spacing === 0)) {
+          plan.fenceLights.push(position.offset(0, 1, 0));
+        }
+      }
+    }
+    
+    // Walk the field in rows, turning back at the end of each one
+    plan.till.sort((a, b) => {
+      if (a.x !== b.x) return a.x - b.x;
+      return (a.x - min.x) % 2 === 0 ? a.z - b.z : b.z - a.z;
+    });
+    
+    return plan;
+  }
+  
+  /**
+   * Spread water sources along one side of a field so no block is more than four away
+   * @private
+   * @param {number} length - Length of the side
+   * @returns {Array<number>} - Offsets of the sources along the side
+   */
+  _spreadWater(length) {
+    const offsets = [];
+    
+    for (let i = 0; i < Math.ceil(length / WATER_SPACING); i++) {
+      offsets.push(Math.min(length - 1, i * WATER_SPACING + 4));
+    }
+    
+    return offsets;
+  }
+  
+  /**
+   * Work out which expansion materials are not in the inventory yet
+   * @private
+   * @param {Object} job - Expansion job
+   * @returns {Object} - Missing item counts by item name
+   */
+  _getMissingExpansionMaterials(job) {
+    const { plan } = job;
+    const { fence, fenceGate, light } = this.config.expansion;
+    const needed = {};
+    
+    const need = (itemName, positions, done) => {
+      const count = positions.filter(position => {
+        const block = this.bot.blockAt(position);
+        return block && !done(block);
+      }).length;
+      
+      if (count > 0) {
+        needed[itemName] = (needed[itemName] || 0) + count;
+      }
+    };
+    
+    need('water_bucket', plan.water, block => block.name === 'water');
+    need(fence, plan.fences.map(position => position.offset(0, 1, 0)), block => block.name === fence);
+    need(fenceGate, [plan.gate.offset(0, 1, 0)], block => block.name === fenceGate);
+    need(light, [...plan.lights.map(position => position.offset(0, 1, 0)), ...plan.fenceLights.map(position => position.offset(0, 1, 0))],
+      block => block.name === light);
+    
+    const missing = {};
+    
+    for (const [itemName, count] of Object.entries(needed)) {
+      const have = this._countInventoryItem(itemName);
+      
+      if (have < count) {
+        missing[itemName] = count - have;
+      }
+    }
+    
+    // Any hoe will do for the tilling
+    if (!this._findHoe() && plan.till.some(position => TILLABLE.includes(this.bot.blockAt(position)?.name))) {
+      missing.stone_hoe = 1;
+    }
+    
+    return missing;
+  }
+  
+  /**
+   * Fetch missing expansion materials from storage and ask other bots for the rest
+   * @private
+   * @param {Object} job - Expansion job
+   */
+  async _sourceExpansionMaterials(job) {
+    let missing = this._getMissingExpansionMaterials(job);
+    
+    if (Object.keys(missing).length === 0 || !this.dataInterface) {
+      return;
+    }
+    
+    for (const [itemName, count] of Object.entries(missing)) {
+      await this._fetchFromStorage(itemName, count);
+      if (this.farmingJob !== job) return;
+    }
+    
+    missing = this._getMissingExpansionMaterials(job);
+    
+    if (Object.keys(missing).length === 0) {
+      return;
+    }
+    
+    // The expansion goes ahead with what there is; a later run finishes the rest
+    for (const [itemName, count] of Object.entries(missing)) {
+      this._requestMaterial(job, itemName, count);
+    }
+    
+    const list = Object.entries(missing).map(([name, count]) => `${count} ${name}`).join(', ');
+    this.chat(`Missing materials for ${job.name}: ${list}. Posted gather requests.`);
+  }
+  
+  /**
+   * Post a gather task for a missing material
+   * @private
+   * @param {Object} job - Expansion job
+   * @param {string} itemName - Item name
+   * @param {number} count - Number of items needed
+   */
+  _requestMaterial(job, itemName, count) {
+    const taskId = `materials-${this.username}-${itemName}`;
+    const existing = this.dataInterface.getTask(taskId);
+    
+    // Keep a claimed request with its bot, just bring the count up to date
+    if (existing && (existing.status === 'available' || existing.status === 'in_progress')) {
+      this.dataInterface.updateTask({ taskId, data: { count, field: job.name } });
+      return;
+    }
+    
+    this.dataInterface.startTask({
+      taskId,
+      description: `Gather ${count} ${itemName} for ${job.name}`,
+      status: 'available',
+      data: {
+        type: 'gather',
+        itemName,
+        count,
+        requestedBy: this.username,
+        field: job.name
+      }
+    });
+    
+    this.log.info(`Posted request for ${count} ${itemName}`);
+  }
+  
+  /**
+   * Dig out a soil block and pour a water source in its place
+   * @private
+   * @param {Vec3} position - Soil position
+   * @returns {Promise<string>} - 'placed', 'skipped', 'failed' or the missing item
+   */
+  async _placeWater(position) {
+    const block = this.bot.blockAt(position);
+    const below = this.bot.blockAt(position.offset(0, -1, 0));
+    
+    if (!block || block.name === 'water') {
+      return 'skipped';
+    }
+    
+    // Only soil is dug out for the source
+    if (block.name !== 'air' && block.name !== 'farmland' && !TILLABLE.includes(block.name)) {
+      return 'failed';
+    }
+    
+    // Water poured over a hole would run off
+    if (!below || below.boundingBox !== 'block') {
+      return 'failed';
+    }
+    
+    if (this._countInventoryItem('water_bucket') === 0) {
+      return 'water_bucket';
+    }
+    
+    if (!await this._moveToPlace(position)) {
+      return 'failed';
+    }
+    
+    if (block.name !== 'air' && !await this.digBlock(position)) {
+      return 'failed';
+    }
+    
+    if (!await this.equipItem({ item: 'water_bucket' })) {
+      return 'failed';
+    }
+    
+    await this.bot.lookAt(below.position.offset(0.5, 1, 0.5), true);
+    this.bot.activateItem();
+    await this.bot.waitForTicks(5);
+    
+    return this.bot.blockAt(position)?.name === 'water' ? 'placed' : 'failed';
+  }
+  
+  /**
+   * Turn a dirt or grass block into farmland
+   * @private
+   * @param {Vec3} position - Soil position
+   * @returns {Promise<string>} - 'placed', 'skipped', 'failed' or the missing item
+   */
+  async _tillSoil(position) {
+    const block = this.bot.blockAt(position);
+    
+    if (!block || !TILLABLE.includes(block.name)) {
+      return 'skipped';
+    }
+    
+    const hoe = this._findHoe();
+    
+    if (!hoe) {
+      return 'stone_hoe';
+    }
+    
+    if (this.bot.entity.position.distanceTo(position) > 4) {
+      if (!await this.goTo(position, 2)) {
+        return 'failed';
+      }
+    }
+    
+    // A hoe only works with nothing but air above the soil
+    if (!await this._clearAbove(position)) {
+      return 'failed';
+    }
+    
+    if (!await this.equipItem({ item: hoe })) {
+      return 'failed';
+    }
+    
+    await this.bot.activateBlock(block, new Vec3(0, 1, 0));
+    await this.bot.waitForTicks(2);
+    
+    return this.bot.blockAt(position)?.name === 'farmland' ? 'placed' : 'failed';
+  }
+  
+  /**
+   * Place a block on top of another
+   * @private
+   * @param {Vec3} position - Position of the supporting block
+   * @param {string} itemName - Block to place
+   * @returns {Promise<string>} - 'placed', 'skipped', 'failed' or the missing item
+   */
+  async _placeOnTop(position, itemName) {
+    const target = position.offset(0, 1, 0);
+    const existing = this.bot.blockAt(target);
+    
+    if (!existing || existing.name === itemName) {
+      return 'skipped';
+    }
+    
+    if (this._countInventoryItem(itemName) === 0) {
+      return itemName;
+    }
+    
+    if (!await this._moveToPlace(target)) {
+      return 'failed';
+    }
+    
+    if (!await this._clearAbove(position)) {
+      return 'failed';
+    }
+    
+    const placed = await this.placeBlock({
+      position,
+      blockName: itemName,
+      faceVector: { x: 0, y: 1, z: 0 }
+    });
+    
+    return placed ? 'placed' : 'failed';
+  }
+  
+  /**
+   * Break grass, flowers and other plants standing on a block
+   * @private
+   * @param {Vec3} position - Position of the block
+   * @returns {Promise<boolean>} - Whether the space above is now free
+   */
+  async _clearAbove(position) {
+    const above = this.bot.blockAt(position.offset(0, 1, 0));
+    
+    if (!above) {
+      return false;
+    }
+    
+    if (above.name === 'air') {
+      return true;
+    }
+    
+    // Only things that can be walked through are cleared, anything solid is left alone
+    if (above.boundingBox !== 'empty' || above.name === 'water' || above.name === 'lava') {
+      return false;
+    }
+    
+    return await this.digBlock(above.position);
+  }
+  
+  /**
+   * Move to where a block can be placed, stepping out of its space if needed
+   * @private
+   * @param {Vec3} position - Position the block will be placed at
+   * @returns {Promise<boolean>} - Whether the bot is in range
+   */
+  async _moveToPlace(position) {
+    const feet = this.bot.entity.position.floored();
+    const standingInside = feet.equals(position) || feet.offset(0, 1, 0).equals(position);
+    
+    if (!standingInside && this.bot.entity.position.distanceTo(position.offset(0.5, 0.5, 0.5)) <= 4) {
+      return true;
+    }
+    
+    try {
+      await this.bot.pathfinder.goto(new goals.GoalPlaceBlock(position, this.bot.world, { range: 4 }));
+      return true;
+    } catch (error) {
+      this.log.warn(`Cannot reach ${position.x}, ${position.y}, ${position.z}: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Find the best hoe in the inventory
+   * @private
+   * @returns {string|null} - Hoe item name or null if there is none
+   */
+  _findHoe() {
+    return HOES.find(hoe => this._countInventoryItem(hoe) > 0) || null;
+  }
+  
+  /**
+   * Harvest and replant every mature crop in the field
+   * @private
+   * @param {Object} job - Farming job
+   */
+  async _harvestField(job) {
+    const { min, max } = job.field;
+    const center = new Vec3((min.x + max.x) / 2, min.y, (min.z + max.z) / 2).floored();
+    
+    // Crops can only be seen once the field's chunks are loaded
+    if (this.bot.entity.position.distanceTo(center) > 32) {
+      await this.goTo(center, 4);
+      if (this.farmingJob !== job) return;
+    }
+    
+    const crops = this._findMatureCrops(job.field);
+    
+    if (crops.length === 0) {
+      this.log.info(`Nothing to harvest in ${job.name}`);
+      return;
+    }
+    
+    this.log.info(`Harvesting ${crops.length} crops in ${job.name}`);
+    
+    for (const position of crops) {
+      if (this.isInventoryFull(this.returnThreshold)) {
+        await this._depositSurplus(PRODUCE);
+      }
+      
+      if (this.farmingJob !== job) return;
+      
+      await this._harvestCrop(position, job);
+      if (this.farmingJob !== job) return;
+    }
+  }
+  
+  /**
+   * Harvest one crop, pick up the drops and replant it
+   * @private
+   * @param {Vec3} position - Crop position
+   * @param {Object} job - Farming job
+   * @returns {Promise<boolean>} - Whether the crop was harvested
+   */
+  async _harvestCrop(position, job) {
+    const block = this.bot.blockAt(position);
+    
+    // It may have been trampled or harvested by someone else
+    if (!block || !this._isMature(block)) {
+      return false;
+    }
+    
+    if (this.bot.entity.position.distanceTo(position) > 4) {
+      if (!await this.goTo(position, 2)) {
+        return false;
+      }
+    }
+    
+    if (!await this.digBlock(position)) {
+      return false;
+    }
+    
+    job.harvested++;
+    await this.collectItems(4);
+    
+    if (await this._replant(position, block.name)) {
+      job.replanted++;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Plant a crop back on its soil
+   * @private
+   * @param {Vec3} position - Crop position
+   * @param {string} cropName - Crop block name
+   * @returns {Promise<boolean>} - Whether the crop was planted
+   */
+  async _replant(position, cropName) {
+    const crop = CROPS[cropName];
+    const soil = this.bot.blockAt(position.offset(0, -1, 0));
+    const spot = this.bot.blockAt(position);
+    
+    if (!soil || soil.name !== crop.soil || !spot || spot.name !== 'air') {
+      return false;
+    }
+    
+    if (this._countInventoryItem(crop.seed) === 0) {
+      this.log.warn(`No ${crop.seed} left to replant ${cropName}`);
+      return false;
+    }
+    
+    return await this.placeBlock({
+      position: soil.position,
+      blockName: cropName,
+      itemName: crop.seed,
+      faceVector: { x: 0, y: 1, z: 0 }
+    });
+  }
+  
+  /**
+   * Store the harvest, keeping a reserve of seeds and saplings for replanting
+   * @private
+   * @param {Array<string>} itemNames - Items to store
+   * @returns {Promise<number>} - Number of items stored
+   */
+  async _depositSurplus(itemNames) {
+    if (!this.dataInterface) {
+      return 0;
+    }
+    
+    const seeds = Object.values(CROPS).map(crop => crop.seed);
+    let stored = 0;
+    
+    for (const itemName of itemNames) {
+      let keep = 0;
+      
+      if (seeds.includes(itemName)) {
+        keep = this.seedReserve;
+      } else if (itemName.endsWith('_sapling')) {
+        keep = this.saplingReserve;
+      }
+      
+      if (this._countInventoryItem(itemName) > keep) {
+        this.currentTask = `Storing ${itemName}`;
+        stored += await this.storeItem({ itemName, keep });
+      }
+    }
+    
+    if (stored > 0) {
+      this.log.info(`Stored ${stored} items of surplus produce`);
+    }
+    
+    return stored;
+  }
+  
+  /**
+   * Fell every grown tree in a tree farm and plant saplings wherever one is missing
+   * @private
+   * @param {Object} job - Tree farming job
+   */
+  async _workTreeFarm(job) {
+    const { min, max } = job.treeFarm;
+    const center = new Vec3((min.x + max.x) / 2, min.y, (min.z + max.z) / 2).floored();
+    
+    // Trees can only be seen once the farm's chunks are loaded
+    if (this.bot.entity.position.distanceTo(center) > 32) {
+      await this.goTo(center, 4);
+      if (this.farmingJob !== job) return;
+    }
+    
+    const trees = this._findTrees(job.treeFarm);
+    this.log.info(`Found ${trees.length} trees in ${job.name}`);
+    
+    for (const tree of trees) {
+      if (this.isInventoryFull(this.returnThreshold)) {
+        await this._depositSurplus(LUMBER);
+      }
+      
+      if (this.farmingJob !== job) return;
+      
+      this.currentTask = `Felling ${tree.wood} tree in ${job.name}`;
+      await this._fellTree(tree, job);
+      if (this.farmingJob !== job) return;
+      
+      this._rememberSpot(tree, job);
+    }
+    
+    // Saplings drop as the leaves decay, so pick up what has fallen since the last pass
+    await this.goTo(center, 2);
+    if (this.farmingJob !== job) return;
+    
+    await this.collectItems(Math.ceil(center.distanceTo(new Vec3(max.x, min.y, max.z))) + 2);
+    if (this.farmingJob !== job) return;
+    
+    for (const spot of job.spots) {
+      await this._plantSpot(spot, job);
+      if (this.farmingJob !== job) return;
+    }
+  }
+  
+  /**
+   * Find the trees growing in a tree farm, grouping the trunks of 2x2 trees
+   * @private
+   * @param {Object} treeFarm - Tree farm region with min and max corners
+   * @returns {Array<Object>} - Trees with their wood type and trunk base positions, nearest first
+   */
+  _findTrees(treeFarm) {
+    const mcData = require('minecraft-data')(this.bot.version);
+    const { min, max } = treeFarm;
+    const center = new Vec3((min.x + max.x) / 2, (min.y + max.y) / 2, (min.z + max.z) / 2);
+    
+    const logIds = Object.keys(TREES)
+      .map(wood => mcData.blocksByName[`${wood}_log`]?.id)
+      .filter(id => id !== undefined);
+    
+    // A trunk starts with a log standing on soil
+    const bases = this.bot.findBlocks({
+      point: center,
+      matching: logIds,
+      maxDistance: Math.ceil(center.distanceTo(new Vec3(max.x, max.y, max.z))) + 1,
+      count: 1024,
+      useExtraInfo: block => this._inRegion(block.position, treeFarm) &&
+        SAPLING_SOIL.includes(this.bot.blockAt(block.position.offset(0, -1, 0))?.name)
+    });
+    
+    const trees = [];
+    const grouped = new Set();
+    
+    for (const base of bases.sort((a, b) => a.x - b.x || a.z - b.z)) {
+      if (grouped.has(base.toString())) {
+        continue;
+      }
+      
+      const wood = this.bot.blockAt(base).name.replace(/_log$/, '');
+      const square = [base, base.offset(1, 0, 0), base.offset(0, 0, 1), base.offset(1, 0, 1)];
+      const isGiant = square.every(position => bases.some(other => other.equals(position)) &&
+        this.bot.blockAt(position).name === `${wood}_log`);
+      const trunk = isGiant ? square : [base];
+      
+      trunk.forEach(position => grouped.add(position.toString()));
+      trees.push({ wood, trunk });
+    }
+    
+    const botPosition = this.bot.entity.position;
+    return trees.sort((a, b) => botPosition.distanceTo(a.trunk[0]) - botPosition.distanceTo(b.trunk[0]));
+  }
+  
+  /**
+   * Cut down every log of a tree, lowest first, and replant it
+   * @private
+   * @param {Object} tree - Tree with its wood type and trunk base positions
+   * @param {Object} job - Tree farming job
+   */
+  async _fellTree(tree, job) {
+    const logName = `${tree.wood}_log`;
+    const logs = this._findTreeLogs(tree);
+    let cut = 0;
+    
+    for (const position of logs) {
+      if (this.farmingJob !== job) return;
+      
+      // Falling leaves or another bot may have got there first
+      if (this.bot.blockAt(position)?.name !== logName) {
+        continue;
+      }
+      
+      if (!await this._moveToBreak(position)) {
+        continue;
+      }
+      
+      if (await this.digBlock(position)) {
+        cut++;
+      }
+    }
+    
+    job.logs += cut;
+    
+    if (tree.trunk.every(position => this.bot.blockAt(position)?.name !== logName)) {
+      job.felled++;
+      this.log.info(`Felled ${tree.wood} tree with ${cut} logs`);
+    }
+    
+    await this.collectItems(8);
+    if (this.farmingJob !== job) return;
+    
+    await this._plantSpot({ wood: tree.wood, trunk: tree.trunk }, job);
+  }
+  
+  /**
+   * Collect the logs belonging to a tree by following them up from the trunk
+   * @private
+   * @param {Object} tree - Tree with its wood type and trunk base positions
+   * @returns {Array<Vec3>} - Log positions, lowest first
+   */
+  _findTreeLogs(tree) {
+    const logName = `${tree.wood}_log`;
+    const base = tree.trunk[0];
+    const seen = new Set(tree.trunk.map(position => position.toString()));
+    const queue = [...tree.trunk];
+    const logs = [];
+    
+    while (queue.length > 0 && logs.length < MAX_TREE_LOGS) {
+      const position = queue.shift();
+      logs.push(position);
+      
+      // Branches can leave the trunk diagonally
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = 0; dy <= 1; dy++) {
+          for (let dz = -1; dz <= 1; dz++) {
+            const next = position.offset(dx, dy, dz);
+            const key = next.toString();
+            
+            if (seen.has(key) || Math.abs(next.x - base.x) > MAX_BRANCH_REACH || Math.abs(next.z - base.z) > MAX_BRANCH_REACH) {
+              continue;
+            }
+            
+            seen.add(key);
+            
+            if (this.bot.blockAt(next)?.name === logName) {
+              queue.push(next);
+            }
+          }
+        }
+      }
+    }
+    
+    return logs.sort((a, b) => a.y - b.y);
+  }
+  
+  /**
+   * Plant saplings on a tree spot that has nothing growing on it
+   * @private
+   * @param {Object} spot - Spot with its wood type and trunk positions
+   * @param {Object} job - Tree farming job
+   * @returns {Promise<boolean>} - Whether saplings were planted
+   */
+  async _plantSpot(spot, job) {
+    const sapling = `${spot.wood}_sapling`;
+    const trunk = spot.trunk.map(position => new Vec3(position.x, position.y, position.z));
+    
+    // Something is already growing there
+    if (trunk.some(position => this.bot.blockAt(position)?.name !== 'air')) {
+      return false;
+    }
+    
+    const available = this._countInventoryItem(sapling);
+    let positions = trunk;
+    
+    // Giant trees need four saplings; those that also grow alone make do with one
+    if (trunk.length === 4 && available < 4) {
+      positions = TREES[spot.wood].needsFour ? [] : [trunk[0]];
+    }
+    
+    if (positions.length === 0 || available < positions.length) {
+      this.log.warn(`Not enough ${sapling} to replant at ${trunk[0].x}, ${trunk[0].y}, ${trunk[0].z}`);
+      return false;
+    }
+    
+    for (const position of positions) {
+      const soil = this.bot.blockAt(position.offset(0, -1, 0));
+      
+      if (!soil || !SAPLING_SOIL.includes(soil.name)) {
+        continue;
+      }
+      
+      if (this.bot.entity.position.distanceTo(position) > 4) {
+        if (!await this.goTo(position, 2)) {
+          return false;
+        }
+      }
+      
+      if (this.farmingJob !== job) return false;
+      
+      if (await this.placeBlock({ position: soil.position, blockName: sapling, faceVector: { x: 0, y: 1, z: 0 } })) {
+        job.planted++;
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Remember where a tree grew so the spot is replanted on later passes
+   * @private
+   * @param {Object} tree - Tree with its wood type and trunk base positions
+   * @param {Object} job - Tree farming job
+   */
+  _rememberSpot(tree, job) {
+    const base = tree.trunk[0];
+    const known = job.spots.some(spot => spot.trunk.some(position => position.x === base.x && position.y === base.y && position.z === base.z));
+    
+    if (known) {
+      return;
+    }
+    
+    job.spots.push({
+      wood: tree.wood,
+      trunk: tree.trunk.map(position => ({ x: position.x, y: position.y, z: position.z }))
+    });
+    
+    // Spots are kept with the tree farm so they survive a restart
+    const { min, max, name, lastUpdated, reporter, ...data } = job.treeFarm;
+    this.dataInterface.reportRegion({
+      name: job.name,
+      corner1: min,
+      corner2: max,
+      category: TREE_FARM_CATEGORY,
+      data: { ...data, spots: job.spots }
+    });
+  }
+  
+  /**
+   * Move to where a block can be broken, building up with scaffolding blocks if it is high
+   * @private
+   * @param {Vec3} position - Block position
+   * @returns {Promise<boolean>} - Whether the bot can reach the block
+   */
+  async _moveToBreak(position) {
+    if (this.bot.entity.position.offset(0, this.bot.entity.height, 0).distanceTo(position.offset(0.5, 0.5, 0.5)) <= 4) {
+      return true;
+    }
+    
+    try {
+      await this.bot.pathfinder.goto(new goals.GoalLookAtBlock(position, this.bot.world, { reach: 4 }));
+      return true;
+    } catch (error) {
+      this.log.warn(`Cannot reach ${position.x}, ${position.y}, ${position.z}: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Count the animals in a pen and breed, shear or cull them towards its target
+   * @private
+   * @param {Object} pen - Pen region with its animal and population limits
+   * @param {Object} job - Farming job
+   */
+  async _tendPen(pen, job) {
+    const { min, max } = pen;
+    const center = new Vec3((min.x + max.x) / 2, min.y, (min.z + max.z) / 2).floored();
+    
+    // Animals are only tracked once the bot is close to them
+    if (this.bot.entity.position.distanceTo(center) > 8) {
+      await this.goTo(center, 4);
+      if (this.farmingJob !== job) return;
+    }
+    
+    const target = pen.target || this.config.animals.targetPopulation;
+    const cap = pen.cap || this.config.animals.maxPopulation;
+    let animals = this._findPenAnimals(pen);
+    
+    this.dataInterface.reportPopulation({ pen: pen.name, animal: pen.animal, count: animals.length });
+    this.log.info(`Counted ${animals.length} ${pen.animal} in ${pen.name} (target ${target}, cap ${cap})`);
+    
+    if (animals.length < target) {
+      job.bred += await this._breedAnimals(pen, animals, target - animals.length, job);
+    } else if (animals.length > cap) {
+      job.culled += await this._cullAnimals(pen, animals, animals.length - cap, job);
+    }
+    
+    if (this.farmingJob !== job) return;
+    
+    if (pen.animal === 'sheep') {
+      animals = this._findPenAnimals(pen);
+      job.sheared += await this._shearSheep(animals, job);
+      if (this.farmingJob !== job) return;
+    }
+    
+    // Eggs, wool and drops from culled animals
+    await this.goTo(center, 2);
+    await this.collectItems(Math.ceil(center.distanceTo(new Vec3(max.x, min.y, max.z))) + 2);
+  }
+  
+  /**
+   * Feed pairs of animals so they breed
+   * @private
+   * @param {Object} pen - Pen region
+   * @param {Array<Entity>} animals - Animals in the pen
+   * @param {number} wanted - Number of young wanted
+   * @param {Object} job - Farming job
+   * @returns {Promise<number>} - Number of pairs fed
+   */
+  async _breedAnimals(pen, animals, wanted, job) {
+    const now = Date.now();
+    
+    // Young animals can't be told apart from adults, so some food may go to them
+    const ready = animals.filter(animal => now - (this.lastFed.get(animal.id) || 0) > BREED_COOLDOWN);
+    const pairs = Math.min(wanted, Math.floor(ready.length / 2));
+    
+    if (pairs === 0) {
+      return 0;
+    }
+    
+    const food = await this._getBreedingFood(pen.animal, pairs * 2);
+    
+    if (!food) {
+      this.log.warn(`No food to breed ${pen.animal} in ${pen.name}`);
+      return 0;
+    }
+    
+    let fed = 0;
+    
+    for (const animal of ready.slice(0, pairs * 2)) {
+      if (this.farmingJob !== job || this._countInventoryItem(food) === 0) {
+        break;
+      }
+      
+      this.currentTask = `Feeding ${pen.animal} in ${pen.name}`;
+      
+      if (await this._useItemOn(animal, food)) {
+        this.lastFed.set(animal.id, Date.now());
+        fed++;
+      }
+    }
+    
+    const bred = Math.floor(fed / 2);
+    
+    if (bred > 0) {
+      this.log.info(`Fed ${fed} ${pen.animal} in ${pen.name}`);
+    }
+    
+    return bred;
+  }
+  
+  /**
+   * Make sure there is food to breed an animal, fetching it from storage if needed
+   * @private
+   * @param {string} animal - Animal name
+   * @param {number} count - Number of food items wanted
+   * @returns {Promise<string|null>} - Food item to use or null if there is none
+   */
+  async _getBreedingFood(animal, count) {
+    const foods = ANIMALS[animal].food;
+    const inInventory = foods.find(food => this._countInventoryItem(food) > 0);
+    
+    if (inInventory) {
+      return inInventory;
+    }
+    
+    for (const food of foods) {
+      if (await this._fetchFromStorage(food, count) > 0) {
+        return food;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Kill the animals above a pen's cap
+   * @private
+   * @param {Object} pen - Pen region
+   * @param {Array<Entity>} animals - Animals in the pen
+   * @param {number} extra - Number of animals to cull
+   * @param {Object} job - Farming job
+   * @returns {Promise<number>} - Number of animals culled
+   */
+  async _cullAnimals(pen, animals, extra, job) {
+    let culled = 0;
+    
+    for (const animal of animals.slice(0, extra)) {
+      if (this.farmingJob !== job) {
+        break;
+      }
+      
+      this.currentTask = `Culling ${pen.animal} in ${pen.name}`;
+      
+      for (let hits = 0; hits < MAX_CULL_HITS && this.bot.entities[animal.id]; hits++) {
+        if (this.bot.entity.position.distanceTo(animal.position) > 3) {
+          await this.goTo(animal.position, 2);
+        }
+        
+        await this.attackEntity({ entity: animal });
+        
+        // Wait for the weapon to recharge
+        await this.bot.waitForTicks(12);
+      }
+      
+      if (!this.bot.entities[animal.id]) {
+        culled++;
+      }
+    }
+    
+    if (culled > 0) {
+      this.log.info(`Culled ${culled} ${pen.animal} in ${pen.name}`);
+    }
+    
+    return culled;
+  }
+  
+  /**
+   * Shear every sheep that may have grown its wool back
+   * @private
+   * @param {Array<Entity>} sheep - Sheep in the pen
+   * @param {Object} job - Farming job
+   * @returns {Promise<number>} - Number of sheep sheared
+   */
+  async _shearSheep(sheep, job) {
+    if (this._countInventoryItem('shears') === 0) {
+      this.log.warn('No shears to shear sheep with');
+      return 0;
+    }
+    
+    const now = Date.now();
+    let sheared = 0;
+    
+    for (const animal of sheep) {
+      if (this.farmingJob !== job) {
+        break;
+      }
+      
+      if (now - (this.lastSheared.get(animal.id) || 0) <= SHEAR_COOLDOWN) {
+        continue;
+      }
+      
+      this.currentTask = 'Shearing sheep';
+      
+      if (await this._useItemOn(animal, 'shears')) {
+        this.lastSheared.set(animal.id, Date.now());
+        sheared++;
+      }
+    }
+    
+    return sheared;
+  }
+  
+  /**
+   * Walk up to an animal and use an item on it
+   * @private
+   * @param {Entity} entity - Animal
+   * @param {string} itemName - Item to hold
+   * @returns {Promise<boolean>} - Whether the item was used
+   */
+  async _useItemOn(entity, itemName) {
+    if (!this.bot.entities[entity.id]) {
+      return false;
+    }
+    
+    if (this.bot.entity.position.distanceTo(entity.position) > 3) {
+      if (!await this.goTo(entity.position, 2)) {
+        return false;
+      }
+    }
+    
+    if (!await this.equipItem({ item: itemName })) {
+      return false;
+    }
+    
+    try {
+      await this.bot.lookAt(entity.position.offset(0, entity.height * 0.5, 0));
+      await this.bot.activateEntity(entity);
+      return true;
+    } catch (error) {
+      this.log.debug(`Could not use ${itemName} on ${entity.name}: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Find the animals a pen is meant for that are inside it
+   * @private
+   * @param {Object} pen - Pen region
+   * @returns {Array<Entity>} - Animals in the pen
+   */
+  _findPenAnimals(pen) {
+    const { min, max } = pen;
+    const center = new Vec3((min.x + max.x) / 2, (min.y + max.y) / 2, (min.z + max.z) / 2);
+    const maxDistance = this.bot.entity.position.distanceTo(center) +
+      center.distanceTo(new Vec3(max.x, max.y, max.z)) + 1;
+    
+    return this.findEntities({ maxDistance })
+      .filter(entity => entity.name === pen.animal && this._inRegion(entity.position.floored(), pen));
+  }
+  
+  /**
+   * Find every fully grown crop in a field
+   * @private
+   * @param {Object} field - Field region with min and max corners
+   * @returns {Array<Vec3>} - Crop positions in harvesting order
+   */
+  _findMatureCrops(field) {
+    const mcData = require('minecraft-data')(this.bot.version);
+    const { min, max } = field;
+    const center = new Vec3((min.x + max.x) / 2, (min.y + max.y) / 2, (min.z + max.z) / 2);
+    
+    const cropIds = Object.keys(CROPS)
+      .map(name => mcData.blocksByName[name]?.id)
+      .filter(id => id !== undefined);
+    
+    const positions = this.bot.findBlocks({
+      point: center,
+      matching: cropIds,
+      maxDistance: Math.ceil(center.distanceTo(new Vec3(max.x, max.y, max.z))) + 1,
+      count: 4096,
+      useExtraInfo: block => this._inRegion(block.position, field) && this._isMature(block)
+    });
+    
+    // Walk the field in rows, turning back at the end of each one
+    return positions.sort((a, b) => {
+      if (a.x !== b.x) return a.x - b.x;
+      return (a.x - min.x) % 2 === 0 ? a.z - b.z : b.z - a.z;
+    });
+  }
+  
+  /**
+   * Check if a crop is fully grown
+   * @private
+   * @param {Block} block - Crop block
+   * @returns {boolean} - Whether the crop is ready to harvest
+   */
+  _isMature(block) {
+    const crop = CROPS[block.name];
+    return !!crop && parseInt(block.getProperties().age) >= crop.maxAge;
+  }
+  
+  /**
+   * Check if a position is inside a region
+   * @private
+   * @param {Vec3} position - Position to check
+   * @param {Object} region - Region with min and max corners
+   * @returns {boolean} - Whether the position is inside
+   */
+  _inRegion(position, region) {
+    return position.x >= region.min.x && position.x <= region.max.x &&
+      position.y >= region.min.y && position.y <= region.max.y &&
+      position.z >= region.min.z && position.z <= region.max.z;
+  }
+  
+  /**
+   * Handle farmer-specific commands
+   * @param {string} username - Username of the player who sent the command
+   * @param {string} command - The command (without prefix)
+   * @param {Array<string>} args - Command arguments
+   */
+  handleCommand(username, command, args) {
+    this.log.info(`FarmerBot received command: ${command} ${args.join(' ')}`);
+    
+    switch (command) {
+      case 'farm':
+        this._handleFarmCommand(username, args);
+        break;
+      case 'tend':
+        this._handleTendCommand(username, args);
+        break;
+      case 'lumberjack':
+        this._handleLumberjackCommand(username, args);
+        break;
+      case 'expandfarm':
+        this._handleExpandFarmCommand(username, args);
+        break;
+      case 'stopfarming':
+        this._handleStopFarmingCommand(username);
+        break;
+      case 'help':
+        this._displayFarmerHelp(username);
+        break;
+      default:
+        this.chat(`I don't understand that command. Try ${mainConfig.system.commandPrefix}help`);
+        break;
+    }
+  }
+  
+  /**
+   * Handle the farm command
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   * @param {Array<string>} args - Command arguments
+   */
+  async _handleFarmCommand(username, args) {
+    try {
+      if (args.length < 1) {
+        this.chat('Usage: farm <fieldName>');
+        return;
+      }
+      
+      const fieldName = args[0];
+      
+      if (await this.farm({ fieldName })) {
+        this.chat(`Farming ${fieldName}.`);
+      } else {
+        this.chat(`Could not start farming ${fieldName}.`);
+      }
+    } catch (error) {
+      this.log.error(`Error handling farm command: ${error.message}`);
+      this.chat(`Could not execute farm command: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle the tend command
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   * @param {Array<string>} args - Command arguments
+   */
+  async _handleTendCommand(username, args) {
+    try {
+      if (await this.tendPens({ penNames: args })) {
+        this.chat(`Tending ${this.farmingJob.name}.`);
+      } else {
+        this.chat('Could not start tending the pens.');
+      }
+    } catch (error) {
+      this.log.error(`Error handling tend command: ${error.message}`);
+      this.chat(`Could not execute tend command: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle the lumberjack command
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   * @param {Array<string>} args - Command arguments
+   */
+  async _handleLumberjackCommand(username, args) {
+    try {
+      if (args.length < 1) {
+        this.chat('Usage: lumberjack <treeFarmName>');
+        return;
+      }
+      
+      const treeFarmName = args[0];
+      
+      if (await this.fellTrees({ treeFarmName })) {
+        this.chat(`Working tree farm ${treeFarmName}.`);
+      } else {
+        this.chat(`Could not start working tree farm ${treeFarmName}.`);
+      }
+    } catch (error) {
+      this.log.error(`Error handling lumberjack command: ${error.message}`);
+      this.chat(`Could not execute lumberjack command: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle the expandfarm command
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   * @param {Array<string>} args - Command arguments
+   */
+  async _handleExpandFarmCommand(username, args) {
+    try {
+      if (args.length < 7) {
+        this.chat('Usage: expandfarm <fieldName> <x1> <y> <z1> <x2> <y> <z2>');
+        return;
+      }
+      
+      const fieldName = args[0];
+      const coords = args.slice(1, 7).map(arg => parseInt(arg));
+      
+      if (coords.some(isNaN)) {
+        this.chat('Invalid coordinates. All coordinates must be numbers.');
+        return;
+      }
+      
+      const [x1, y1, z1, x2, y2, z2] = coords;
+      
+      if (await this.expandFarm({ fieldName, corner1: { x: x1, y: y1, z: z1 }, corner2: { x: x2, y: y2, z: z2 } })) {
+        this.chat(`Expanding farm ${fieldName}.`);
+      } else {
+        this.chat(`Could not expand farm ${fieldName}.`);
+      }
+    } catch (error) {
+      this.log.error(`Error handling expandfarm command: ${error.message}`);
+      this.chat(`Could not execute expandfarm command: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle the stopfarming command
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   */
+  _handleStopFarmingCommand(username) {
+    if (this.stopFarming()) {
+      this.chat('Stopped farming.');
+    } else {
+      this.chat('I am not farming anything.');
+    }
+  }
+  
+  /**
+   * Display help for farmer commands
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   */
+  _displayFarmerHelp(username) {
+    const prefix = mainConfig.system.commandPrefix;
+    const helpMessages = [
+      `${prefix}farm <fieldName> - Harvest and replant a field until stopped`,
+      `${prefix}tend [penName...] - Breed, shear and cull animals in pens until stopped`,
+      `${prefix}lumberjack <treeFarmName> - Fell grown trees and replant them until stopped`,
+      `${prefix}expandfarm <fieldName> <x1> <y> <z1> <x2> <y> <z2> - Turn an area into fenced, watered farmland`,
+      `${prefix}stopfarming - Stop farming`
+    ];
+    
+    this.chat(`=== FarmerBot Commands ===`);
+    
+    // Send messages with slight delay to avoid chat rate limiting
+    let i = 0;
+    const sendNextMessage = () => {
+      if (i < helpMessages.length) {
+        this.chat(helpMessages[i]);
+        i++;
+        setTimeout(sendNextMessage, 500);
+      }
+    };
+    
+    sendNextMessage();
+  }
+}
+
+module.exports = FarmerBot;
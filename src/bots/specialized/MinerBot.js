@@ -0,0 +1,1396 @@
+/**
+ * MinerBot - Specialized bot for mining and resource gathering
+ *
+ * This bot type specializes in locating blocks, digging them with the
+ * right tool and collecting the drops until a target amount is reached,
+ * digging tunnels following the registered mining patterns and
+ * excavating whole areas.
+ */
+
+const BaseBot = require('../base');
+const botConfig = require('../../shared/botConfig');
+const mainConfig = require('../../../config');
+const { Vec3 } = require('vec3');
+const { DIRECTIONS, getMiningPattern, listMiningPatterns, planMiningPattern } = require('./miningPatterns');
+
+// Failed attempts at reaching or digging a block before the miner skips it
+const MAX_BLOCK_ATTEMPTS = 3;
+
+// Wait after a failed attempt, so a block that can't be dug isn't retried in a tight loop
+const BLOCK_RETRY_DELAY = 1000;
+
+class MinerBot extends BaseBot {
+  /**
+   * Create a new MinerBot
+   * @param {Object} options - Bot configuration
+   */
+  constructor(options) {
+    super({
+      ...options,
+      type: 'miner'
+    });
+    
+    // Load miner-specific configuration
+    this.config = botConfig.loadBotConfig('miner');
+    
+    // Mining state
+    this.miningJob = null;           // Current mining job (block, target, progress)
+    this.searchRadius = 32;          // Radius in blocks to search for target blocks
+    this.miningDepth = this.config.behavior.miningDepth;
+    this.torchInterval = this.config.behavior.torchInterval;
+    this.enabledPatterns = this.config.miningPatterns || listMiningPatterns();
+    this.protectedBlocks = this.config.protectedBlocks || this.config.behavior.protectedBlocks || [];
+    this.returnWhenInventoryFull = this.config.returnWhenInventoryFull !== false;
+    this.returnThreshold = this.config.behavior.returnThreshold;
+    
+    // Bind methods
+    this._miningLoop = this._miningLoop.bind(this);
+    this._patternLoop = this._patternLoop.bind(this);
+    this._areaLoop = this._areaLoop.bind(this);
+    
+    // Add command handling
+    this.handleCommand = this.handleCommand.bind(this);
+  }
+  
+  /**
+   * Start the bot with miner-specific initialization
+   * @returns {Promise<boolean>} - Whether startup was successful
+   */
+  async start() {
+    const success = await super.start();
+    
+    if (!success) {
+      return false;
+    }
+    
+    // Pick up an area job that was interrupted by a restart
+    this._resumeAreaJob();
+    
+    this.log.info('MinerBot initialized');
+    
+    return true;
+  }
+  
+  /**
+   * Start mining a block type until the target amount is in the inventory
+   * @param {Object} options - Mining options
+   * @param {string} options.blockName - Name of the block to mine
+   * @param {number} options.amount - Number of items to collect
+   * @returns {Promise<boolean>} - Whether the mining job was started
+   */
+  async mine({ blockName, amount }) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    try {
+      const mcData = require('minecraft-data')(this.bot.version);
+      
+      if (!mcData.blocksByName[blockName]) {
+        throw new Error(`Unknown block type: ${blockName}`);
+      }
+      
+      if (!Number.isInteger(amount) || amount <= 0) {
+        throw new Error('Amount must be a positive number');
+      }
+      
+      // Cancel any running job before starting a new one
+      this.stopMining();
+      
+      // Progress is measured by what the block drops (e.g. stone -> cobblestone)
+      const dropNames = this._getDropNames(blockName);
+      
+      this.miningJob = {
+        type: 'block',
+        blockName,
+        amount,
+        dropNames,
+        // Drops held before the job are the bot's own, and drops stored on the way still count
+        heldAtStart: Object.fromEntries(dropNames.map(name => [name, this._countItems([name])])),
+        stored: 0,
+        collected: 0,
+        failedBlocks: {},
+        startTime: Date.now()
+      };
+      
+      this._updateMiningProgress();
+      this.log.info(`Started mining job: ${amount} ${blockName}`);
+      
+      // Run the job in the background so the command can return immediately
+      this._miningLoop().catch(error => {
+        this._handleError('Mining job failed', error);
+        this.miningJob = null;
+        this.currentTask = null;
+      });
+      
+      return true;
+    } catch (error) {
+      this.log.error(`Failed to start mining: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Start digging tunnels following a registered mining pattern
+   * @param {Object} options - Pattern options
+   * @param {string} options.patternName - Name of the mining pattern
+   * @param {string} [options.direction] - Direction of the main tunnel (defaults to facing)
+   * @param {number} [options.length=32] - Length of the main tunnel
+   * @returns {Promise<boolean>} - Whether the pattern job was started
+   */
+  async startMiningPattern({ patternName, direction, length = 32 }) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    try {
+      const pattern = getMiningPattern(patternName);
+      
+      if (!pattern) {
+        throw new Error(`Unknown mining pattern: ${patternName}. Available: ${listMiningPatterns().join(', ')}`);
+      }
+      
+      if (!this.enabledPatterns.includes(pattern.name)) {
+        throw new Error(`Mining pattern ${pattern.name} is not enabled for miners`);
+      }
+      
+      if (direction && !DIRECTIONS[direction]) {
+        throw new Error(`Invalid direction: ${direction}. Use north, south, east or west`);
+      }
+      
+      if (!Number.isInteger(length) || length <= 0) {
+        throw new Error('Length must be a positive number');
+      }
+      
+      // Cancel any running job before starting a new one
+      this.stopMining();
+      
+      this.miningJob = {
+        type: 'pattern',
+        pattern: pattern.name,
+        direction: direction ? DIRECTIONS[direction] : this._getFacingDirection(),
+        length,
+        origin: null,
+        steps: [],
+        stepIndex: 0,
+        oresMined: 0,
+        startTime: Date.now()
+      };
+      
+      this.currentTask = `Starting ${pattern.name} mining`;
+      this.log.info(`Started ${pattern.name} mining pattern, length ${length}`);
+      
+      // Run the job in the background so the command can return immediately
+      this._patternLoop().catch(error => {
+        this._handleError('Mining pattern failed', error);
+        this.miningJob = null;
+        this.currentTask = null;
+      });
+      
+      return true;
+    } catch (error) {
+      this.log.error(`Failed to start mining pattern: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Excavate every block in a cuboid, layer by layer from the top down
+   * @param {Object} options - Area options
+   * @param {Object} options.corner1 - First corner of the area
+   * @param {Object} options.corner2 - Opposite corner of the area
+   * @returns {Promise<boolean>} - Whether the area job was started
+   */
+  async mineArea({ corner1, corner2 }) {
+    if (!this.bot || !this.active) {
+      throw new Error('Bot is not active');
+    }
+    
+    try {
+      const coordinates = [corner1.x, corner1.y, corner1.z, corner2.x, corner2.y, corner2.z];
+      if (coordinates.some(value => !Number.isInteger(value))) {
+        throw new Error('Area corners must be whole block coordinates');
+      }
+      
+      const area = {
+        min: {
+          x: Math.min(corner1.x, corner2.x),
+          y: Math.min(corner1.y, corner2.y),
+          z: Math.min(corner1.z, corner2.z)
+        },
+        max: {
+          x: Math.max(corner1.x, corner2.x),
+          y: Math.max(corner1.y, corner2.y),
+          z: Math.max(corner1.z, corner2.z)
+        }
+      };
+      
+      // Cancel any running job before starting a new one
+      this.stopMining();
+      
+      const taskId = this._getAreaTaskId();
+      
+      this.miningJob = {
+        type: 'area',
+        taskId,
+        area,
+        currentY: area.max.y,
+        blocksCleared: 0,
+        blocksSkipped: 0,
+        startTime: Date.now()
+      };
+      
+      if (this.dataInterface) {
+        this.dataInterface.startTask({
+          taskId,
+          description: `Mine area ${this._formatArea(area)}`,
+          data: {
+            type: 'minearea',
+            area,
+            currentY: area.max.y,
+            blocksCleared: 0,
+            blocksSkipped: 0
+          }
+        });
+      } else {
+        this.log.warn('No shared data interface, area progress will not be saved');
+      }
+      
+      this.log.info(`Started mining area ${this._formatArea(area)}`);
+      this._runAreaJob();
+      
+      return true;
+    } catch (error) {
+      this.log.error(`Failed to start mining area: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Stop the current mining job
+   * @returns {boolean} - Whether a job was stopped
+   */
+  stopMining() {
+    if (!this.miningJob) {
+      return false;
+    }
+    
+    const job = this.miningJob;
+    this.log.info(`Stopped ${job.type} mining job`);
+    
+    // A cancelled area job must not be resumed on the next start
+    if (job.type === 'area' && this.dataInterface) {
+      this.dataInterface.failTask({ taskId: job.taskId, reason: 'Stopped' });
+    }
+    
+    this.miningJob = null;
+    this.currentTask = null;
+    
+    // Stop any pathfinding
+    if (this.bot && this.bot.pathfinder) {
+      try {
+        this.bot.pathfinder.setGoal(null);
+      } catch (error) {
+        this.log.debug(`Error stopping pathfinder: ${error.message}`);
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Stop the bot, abandoning any mining job
+   * @returns {boolean} - Whether stop was successful
+   */
+  stop() {
+    // Saved area progress is left in place so the job resumes on the next start
+    this.miningJob = null;
+    return super.stop();
+  }
+  
+  /**
+   * Get current bot status including mining progress
+   * @returns {Object} - Status information
+   */
+  getStatus() {
+    const status = super.getStatus();
+    
+    if (this.miningJob && this.miningJob.type === 'block') {
+      status.miningJob = {
+        type: 'block',
+        blockName: this.miningJob.blockName,
+        amount: this.miningJob.amount,
+        collected: this.miningJob.collected
+      };
+    } else if (this.miningJob && this.miningJob.type === 'pattern') {
+      status.miningJob = {
+        type: 'pattern',
+        pattern: this.miningJob.pattern,
+        step: this.miningJob.stepIndex,
+        totalSteps: this.miningJob.steps.length,
+        oresMined: this.miningJob.oresMined
+      };
+    } else if (this.miningJob && this.miningJob.type === 'area') {
+      status.miningJob = {
+        type: 'area',
+        area: this.miningJob.area,
+        currentY: this.miningJob.currentY,
+        blocksCleared: this.miningJob.blocksCleared,
+        blocksSkipped: this.miningJob.blocksSkipped
+      };
+    }
+    
+    return status;
+  }
+  
+  /**
+   * Main mining loop - finds, digs and collects blocks until the target is reached
+   * @private
+   */
+  async _miningLoop() {
+    const job = this.miningJob;
+    
+    while (this.miningJob === job && this.active && this.bot) {
+      this._updateMiningProgress();
+      
+      if (job.collected >= job.amount) {
+        this.log.info(`Mining job complete: ${job.collected} ${job.blockName}`);
+        this.chat(`Finished mining ${job.amount} ${job.blockName}.`);
+        this.emit('miningComplete', {
+          username: this.username,
+          blockName: job.blockName,
+          amount: job.collected
+        });
+        
+        this.miningJob = null;
+        this.currentTask = null;
+        return;
+      }
+      
+      // Mined drops go to storage with the rest when the inventory fills up
+      const held = this._countItems(job.dropNames);
+      await this._handleFullInventory(job, job.heldAtStart);
+      if (this.miningJob !== job) return;
+      
+      job.stored += Math.max(held - this._countItems(job.dropNames), 0);
+      
+      const target = this._findNearestBlock(job.blockName, job.failedBlocks);
+      
+      if (!target) {
+        this.log.warn(`No ${job.blockName} found within ${this.searchRadius} blocks`);
+        this.chat(`I can't find any more ${job.blockName} nearby (${job.collected}/${job.amount}).`);
+        this.emit('miningFailed', {
+          username: this.username,
+          blockName: job.blockName,
+          reason: 'No blocks in range'
+        });
+        
+        this.miningJob = null;
+        this.currentTask = null;
+        return;
+      }
+      
+      const posKey = `${target.x},${target.y},${target.z}`;
+      
+      // Get within reach of the block and dig it (digBlock equips the right tool)
+      const reached = await this.goTo(target, 2);
+      if (this.miningJob !== job) return;
+      
+      const dug = reached && await this.digBlock(target);
+      if (this.miningJob !== job) return;
+      
+      if (!dug) {
+        job.failedBlocks[posKey] = (job.failedBlocks[posKey] || 0) + 1;
+        
+        if (job.failedBlocks[posKey] >= MAX_BLOCK_ATTEMPTS) {
+          this.log.warn(`Skipping ${job.blockName} at ${posKey} after ${MAX_BLOCK_ATTEMPTS} failed attempts`);
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, BLOCK_RETRY_DELAY));
+        continue;
+      }
+      
+      delete job.failedBlocks[posKey];
+      await this.collectItems(8);
+    }
+  }
+  
+  /**
+   * Pattern loop - descends to mining depth, then digs each step of the pattern
+   * @private
+   */
+  async _patternLoop() {
+    const job = this.miningJob;
+    
+    // A job resumed after reconnecting keeps the tunnel it already planned
+    if (job.steps.length === 0) {
+      // Dig a staircase down to the configured depth first
+      if (Math.floor(this.bot.entity.position.y) > this.miningDepth) {
+        this.currentTask = `Descending to Y=${this.miningDepth}`;
+        await this._descendTo(this.miningDepth, job.direction, job);
+        if (this.miningJob !== job) return;
+      }
+      
+      // Plan the tunnel from where the descent ended
+      const origin = this.bot.entity.position.floored();
+      job.origin = { x: origin.x, y: origin.y, z: origin.z };
+      job.steps = this._planPatternSteps(job);
+    }
+    
+    // Torch spacing is counted separately for every tunnel
+    const stepsSinceTorch = {};
+    
+    while (job.stepIndex < job.steps.length) {
+      if (this.miningJob !== job || !this.active || !this.bot) return;
+      
+      await this._handleFullInventory(job);
+      if (this.miningJob !== job) return;
+      
+      const step = job.steps[job.stepIndex];
+      const position = new Vec3(step.position.x, step.position.y, step.position.z);
+      this.currentTask = `${job.pattern} mining (${job.stepIndex + 1}/${job.steps.length})`;
+      
+      await this._clearTunnelStep(position);
+      if (this.miningJob !== job) return;
+      
+      await this.goTo(position, 1);
+      if (this.miningJob !== job) return;
+      
+      job.oresMined += await this._mineOresAround(position, job);
+      if (this.miningJob !== job) return;
+      
+      stepsSinceTorch[step.tunnel] = (stepsSinceTorch[step.tunnel] || 0) + 1;
+      if (stepsSinceTorch[step.tunnel] >= this.torchInterval) {
+        if (await this._placeTorch(position)) {
+          stepsSinceTorch[step.tunnel] = 0;
+        }
+      }
+      
+      job.stepIndex++;
+    }
+    
+    this.log.info(`Finished ${job.pattern} mining, ${job.oresMined} ores mined`);
+    this.chat(`Finished ${job.pattern} mining. Mined ${job.oresMined} ores.`);
+    this.emit('miningComplete', {
+      username: this.username,
+      pattern: job.pattern,
+      oresMined: job.oresMined
+    });
+    
+    this.miningJob = null;
+    this.currentTask = null;
+  }
+  
+  /**
+   * Dig a staircase down to a target Y level
+   * @private
+   * @param {number} targetY - Y level to stop at
+   * @param {Object} direction - Horizontal direction to descend in
+   * @param {Object} job - Mining job this descent belongs to
+   */
+  async _descendTo(targetY, direction, job) {
+    let position = this.bot.entity.position.floored();
+    
+    while (position.y > targetY) {
+      if (this.miningJob !== job) return;
+      
+      const next = position.offset(direction.x, -1, direction.z);
+      
+      // Clear head room above the current step, then the next step itself
+      await this._clearBlock(position.offset(direction.x, 1, direction.z));
+      await this._clearTunnelStep(next);
+      
+      // Never step down onto nothing, lava or water
+      const floor = this.bot.blockAt(next.offset(0, -1, 0));
+      if (!floor || floor.boundingBox !== 'block') {
+        throw new Error(`Unsafe floor while descending at ${next.x}, ${next.y - 1}, ${next.z}`);
+      }
+      
+      await this.goTo(next, 0);
+      position = next;
+    }
+  }
+  
+  /**
+   * Clear the two blocks a bot needs to walk through at a position
+   * @private
+   * @param {Vec3} position - Floor position of the step
+   */
+  async _clearTunnelStep(position) {
+    await this._clearBlock(position);
+    await this._clearBlock(position.offset(0, 1, 0));
+  }
+  
+  /**
+   * Dig a single block if it is solid, refusing to open up liquids
+   * @private
+   * @param {Vec3} position - Block position
+   */
+  async _clearBlock(position) {
+    const block = this.bot.blockAt(position);
+    
+    if (!block || block.boundingBox === 'empty') {
+      if (block && this._isLiquid(block)) {
+        throw new Error(`Hit ${block.name} at ${position.x}, ${position.y}, ${position.z}`);
+      }
+      return;
+    }
+    
+    // Don't dig into a block that is holding back a liquid
+    const above = this.bot.blockAt(position.offset(0, 1, 0));
+    if (above && this._isLiquid(above)) {
+      throw new Error(`${above.name} above ${position.x}, ${position.y}, ${position.z}`);
+    }
+    
+    if (block.diggable === false) {
+      throw new Error(`Cannot dig ${block.name} at ${position.x}, ${position.y}, ${position.z}`);
+    }
+    
+    await this.digBlock(position);
+  }
+  
+  /**
+   * Mine ore veins exposed in the walls, floor and ceiling of a tunnel step
+   * @private
+   * @param {Vec3} position - Floor position of the tunnel step
+   * @param {Object} job - Mining job the ores are mined for
+   * @returns {Promise<number>} - Number of ore blocks mined
+   */
+  async _mineOresAround(position, job) {
+    const sides = [
+      new Vec3(1, 0, 0), new Vec3(-1, 0, 0),
+      new Vec3(0, 0, 1), new Vec3(0, 0, -1),
+      new Vec3(0, 1, 0), new Vec3(0, -1, 0)
+    ];
+    
+    // Start from the blocks touching the feet and head blocks
+    const queue = [];
+    for (const base of [position, position.offset(0, 1, 0)]) {
+      for (const side of sides) {
+        queue.push(base.plus(side));
+      }
+    }
+    
+    // Follow connected ores, but only within reach of the tunnel
+    const visited = new Set();
+    let mined = 0;
+    
+    while (queue.length > 0 && this.miningJob === job) {
+      const candidate = queue.shift();
+      const key = candidate.toString();
+      
+      if (visited.has(key)) continue;
+      visited.add(key);
+      
+      if (candidate.distanceTo(position) > 4) continue;
+      
+      const block = this.bot.blockAt(candidate);
+      if (!block || !this._isOre(block)) continue;
+      
+      if (await this.digBlock(candidate)) {
+        mined++;
+        for (const side of sides) {
+          queue.push(candidate.plus(side));
+        }
+      }
+    }
+    
+    if (mined > 0) {
+      await this.collectItems(6);
+    }
+    
+    return mined;
+  }
+  
+  /**
+   * Place a torch on the floor of a tunnel step
+   * @private
+   * @param {Vec3} position - Floor position of the tunnel step
+   * @returns {Promise<boolean>} - Whether a torch was placed
+   */
+  async _placeTorch(position) {
+    const torch = this.bot.inventory.items().find(item => item.name === 'torch');
+    
+    if (!torch) {
+      this.log.debug('No torches left to place');
+      return false;
+    }
+    
+    const floor = this.bot.blockAt(position.offset(0, -1, 0));
+    if (!floor || floor.boundingBox !== 'block') {
+      return false;
+    }
+    
+    return await this.placeBlock({
+      position: floor.position,
+      blockName: 'torch',
+      faceVector: { x: 0, y: 1, z: 0 }
+    });
+  }
+  
+  /**
+   * Get the horizontal direction the bot is facing
+   * @private
+   * @returns {Object} - Direction vector
+   */
+  _getFacingDirection() {
+    const yaw = this.bot.entity.yaw;
+    const dx = -Math.sin(yaw);
+    const dz = -Math.cos(yaw);
+    
+    if (Math.abs(dx) > Math.abs(dz)) {
+      return dx > 0 ? DIRECTIONS.east : DIRECTIONS.west;
+    }
+    
+    return dz > 0 ? DIRECTIONS.south : DIRECTIONS.north;
+  }
+  
+  /**
+   * Check if a block is an ore
+   * @private
+   * @param {Block} block - Block to check
+   * @returns {boolean} - Whether the block is an ore
+   */
+  _isOre(block) {
+    return block.name.endsWith('_ore') || block.name === 'ancient_debris';
+  }
+  
+  /**
+   * Check if a block is a liquid
+   * @private
+   * @param {Block} block - Block to check
+   * @returns {boolean} - Whether the block is a liquid
+   */
+  _isLiquid(block) {
+    return ['water', 'lava', 'flowing_water', 'flowing_lava'].includes(block.name);
+  }
+  
+  /**
+   * Resume an area job saved in the shared tasks, if there is one
+   * @private
+   * @returns {boolean} - Whether a saved job was resumed
+   */
+  _resumeAreaJob() {
+    if (!this.dataInterface) {
+      return false;
+    }
+    
+    const taskId = this._getAreaTaskId();
+    const task = this.dataInterface.getTask(taskId);
+    
+    if (!task || task.type !== 'minearea' || task.status !== 'in_progress') {
+      return false;
+    }
+    
+    this.miningJob = {
+      type: 'area',
+      taskId,
+      area: task.area,
+      currentY: task.currentY,
+      blocksCleared: task.blocksCleared || 0,
+      blocksSkipped: task.blocksSkipped || 0,
+      startTime: Date.now()
+    };
+    
+    this.log.info(`Resuming area ${this._formatArea(task.area)} at Y=${task.currentY}`);
+    this._runAreaJob();
+    
+    return true;
+  }
+  
+  /**
+   * Describe the block or pattern job so it can be restored after reconnecting
+   * @private
+   * @returns {Object|null} - Job state or null if there is nothing to restore
+   */
+  _getResumeState() {
+    const job = this.miningJob;
+    
+    if (!job) {
+      return null;
+    }
+    
+    if (job.type === 'block') {
+      // A resumed job counts from the inventory it starts with, so only what is left is saved
+      return { type: 'block', blockName: job.blockName, amount: Math.max(job.amount - job.collected, 1) };
+    }
+    
+    // The steps are planned again from the tunnel origin on resume
+    if (job.type === 'pattern') {
+      return {
+        type: 'pattern',
+        pattern: job.pattern,
+        direction: job.direction,
+        length: job.length,
+        origin: job.origin,
+        stepIndex: job.stepIndex,
+        oresMined: job.oresMined
+      };
+    }
+    
+    // Area jobs are saved in the shared tasks and resumed by start()
+    return null;
+  }
+  
+  /**
+   * Pick up the mining job the bot had before it disconnected
+   * @private
+   * @param {Object} state - Job state from _getResumeState
+   */
+  async _resumeTask(state) {
+    if (state.type === 'block') {
+      this.log.info(`Resuming mining ${state.amount} ${state.blockName}`);
+      await this.mine(state);
+      return;
+    }
+    
+    this.stopMining();
+    
+    const job = {
+      type: 'pattern',
+      pattern: state.pattern,
+      direction: state.direction,
+      length: state.length,
+      origin: state.origin,
+      steps: [],
+      stepIndex: state.origin ? state.stepIndex : 0,
+      oresMined: state.oresMined,
+      startTime: Date.now()
+    };
+    
+    // A job saved before its tunnel was planned descends and plans it again
+    if (job.origin) {
+      job.steps = this._planPatternSteps(job);
+    }
+    
+    this.miningJob = job;
+    this.log.info(`Resuming ${job.pattern} mining at step ${job.stepIndex + 1}`);
+    
+    this._patternLoop().catch(error => {
+      this._handleError('Mining pattern failed', error);
+      this.miningJob = null;
+      this.currentTask = null;
+    });
+  }
+  
+  /**
+   * Plan the tunnel steps of a pattern job from its origin
+   * @private
+   * @param {Object} job - Pattern job
+   * @returns {Array<Object>} - Steps with a position and tunnel identifier
+   */
+  _planPatternSteps(job) {
+    return planMiningPattern(job.pattern, {
+      origin: job.origin,
+      direction: job.direction,
+      length: job.length
+    });
+  }
+  
+  /**
+   * Run the current area job in the background
+   * @private
+   */
+  _runAreaJob() {
+    const job = this.miningJob;
+    
+    this._areaLoop().catch(error => {
+      this._handleError('Area mining failed', error);
+      
+      // An area cut short by a disconnect stays saved, so it resumes on reconnecting
+      if (this.dataInterface && this.active) {
+        this.dataInterface.failTask({ taskId: job.taskId, reason: error.message });
+      }
+      
+      if (this.miningJob === job) {
+        this.miningJob = null;
+        this.currentTask = null;
+      }
+    });
+  }
+  
+  /**
+   * Area loop - clears the area one layer at a time from the top down
+   * @private
+   */
+  async _areaLoop() {
+    const job = this.miningJob;
+    const { min, max } = job.area;
+    const layers = max.y - min.y + 1;
+    
+    while (job.currentY >= min.y) {
+      if (this.miningJob !== job || !this.active || !this.bot) return;
+      
+      this.currentTask = `Mining area layer Y=${job.currentY} (${max.y - job.currentY + 1}/${layers})`;
+      
+      await this._clearAreaLayer(job);
+      if (this.miningJob !== job) return;
+      
+      await this.collectItems(8);
+      if (this.miningJob !== job) return;
+      
+      job.currentY--;
+      this._saveAreaProgress(job);
+    }
+    
+    this.log.info(`Finished mining area: ${job.blocksCleared} cleared, ${job.blocksSkipped} skipped`);
+    this.chat(`Finished mining area. Cleared ${job.blocksCleared} blocks, skipped ${job.blocksSkipped}.`);
+    
+    if (this.dataInterface) {
+      this.dataInterface.completeTask({
+        taskId: job.taskId,
+        results: {
+          blocksCleared: job.blocksCleared,
+          blocksSkipped: job.blocksSkipped
+        }
+      });
+    }
+    
+    this.emit('miningComplete', {
+      username: this.username,
+      area: job.area,
+      blocksCleared: job.blocksCleared
+    });
+    
+    this.miningJob = null;
+    this.currentTask = null;
+  }
+  
+  /**
+   * Clear every block in the current layer of an area job
+   * @private
+   * @param {Object} job - Area mining job
+   */
+  async _clearAreaLayer(job) {
+    const { min, max } = job.area;
+    
+    // Snake through the layer so the bot never walks back across it
+    for (let x = min.x; x <= max.x; x++) {
+      const forward = (x - min.x) % 2 === 0;
+      
+      for (let i = 0; i <= max.z - min.z; i++) {
+        if (this.miningJob !== job) return;
+        
+        await this._handleFullInventory(job);
+        if (this.miningJob !== job) return;
+        
+        const z = forward ? min.z + i : max.z - i;
+        const result = await this._clearAreaBlock(new Vec3(x, job.currentY, z));
+        
+        if (result === 'cleared') {
+          job.blocksCleared++;
+        } else if (result === 'skipped') {
+          job.blocksSkipped++;
+        }
+      }
+    }
+  }
+  
+  /**
+   * Clear one block of an area, leaving liquids and protected blocks alone
+   * @private
+   * @param {Vec3} position - Block position
+   * @returns {Promise<string>} - 'cleared', 'skipped' or 'empty'
+   */
+  async _clearAreaBlock(position) {
+    let block = this.bot.blockAt(position);
+    
+    // Unloaded chunk or out of reach - walk closer first
+    if (!block || this.bot.entity.position.distanceTo(position.offset(0.5, 0.5, 0.5)) > 4) {
+      if (block && this._isAir(block)) {
+        return 'empty';
+      }
+      
+      await this.goTo(position, 3);
+      block = this.bot.blockAt(position);
+      
+      if (!block) {
+        return 'skipped';
+      }
+    }
+    
+    if (this._isAir(block)) {
+      return 'empty';
+    }
+    
+    if (this._isLiquid(block) || !this._canBreakBlock(block)) {
+      return 'skipped';
+    }
+    
+    // Opening this block would let a liquid flow into the area
+    if (this._touchesLiquid(position)) {
+      this.log.debug(`Skipping ${block.name} next to liquid at ${position}`);
+      return 'skipped';
+    }
+    
+    // Falling blocks from above land in the hole, so keep digging until it stays clear
+    for (let attempt = 0; attempt < 16; attempt++) {
+      if (!await this.digBlock(position)) {
+        return 'skipped';
+      }
+      
+      const above = this.bot.blockAt(position.offset(0, 1, 0));
+      if (!above || !this._isFallingBlock(above)) {
+        return 'cleared';
+      }
+      
+      await this.bot.waitForTicks(10);
+      
+      block = this.bot.blockAt(position);
+      if (!block || this._isAir(block)) {
+        return 'cleared';
+      }
+      
+      if (!this._canBreakBlock(block)) {
+        return 'skipped';
+      }
+    }
+    
+    return 'cleared';
+  }
+  
+  /**
+   * Save area job progress to the shared tasks
+   * @private
+   * @param {Object} job - Area mining job
+   */
+  _saveAreaProgress(job) {
+    if (!this.dataInterface) {
+      return;
+    }
+    
+    this.dataInterface.updateTask({
+      taskId: job.taskId,
+      data: {
+        currentY: job.currentY,
+        blocksCleared: job.blocksCleared,
+        blocksSkipped: job.blocksSkipped
+      }
+    });
+  }
+  
+  /**
+   * Get the shared task id used for this bot's area job
+   * @private
+   * @returns {string} - Task identifier
+   */
+  _getAreaTaskId() {
+    return `minearea-${this.username}`;
+  }
+  
+  /**
+   * Format an area for messages
+   * @private
+   * @param {Object} area - Area with min and max corners
+   * @returns {string} - Formatted area
+   */
+  _formatArea(area) {
+    const { min, max } = area;
+    return `(${min.x}, ${min.y}, ${min.z}) to (${max.x}, ${max.y}, ${max.z})`;
+  }
+  
+  /**
+   * Check whether a block may be broken by the miner
+   * @private
+   * @param {Block} block - Block to check
+   * @returns {boolean} - Whether the block may be broken
+   */
+  _canBreakBlock(block) {
+    return block.diggable !== false && !this.protectedBlocks.includes(block.name);
+  }
+  
+  /**
+   * Check whether a liquid is directly above or beside a position
+   * @private
+   * @param {Vec3} position - Block position
+   * @returns {boolean} - Whether a liquid touches the position
+   */
+  _touchesLiquid(position) {
+    const offsets = [[0, 1, 0], [1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1]];
+    
+    return offsets.some(([dx, dy, dz]) => {
+      const neighbour = this.bot.blockAt(position.offset(dx, dy, dz));
+      return neighbour && this._isLiquid(neighbour);
+    });
+  }
+  
+  /**
+   * Check if a block is affected by gravity
+   * @private
+   * @param {Block} block - Block to check
+   * @returns {boolean} - Whether the block falls
+   */
+  _isFallingBlock(block) {
+    const fallingBlocks = ['sand', 'red_sand', 'gravel', 'suspicious_sand', 'suspicious_gravel', 'anvil', 'pointed_dripstone'];
+    return fallingBlocks.includes(block.name) || block.name.endsWith('_concrete_powder');
+  }
+  
+  /**
+   * Check if a block is air
+   * @private
+   * @param {Block} block - Block to check
+   * @returns {boolean} - Whether the block is air
+   */
+  _isAir(block) {
+    return ['air', 'cave_air', 'void_air'].includes(block.name);
+  }
+  
+  /**
+   * Take a trip to storage when the inventory crosses the return threshold
+   * @private
+   * @param {Object} job - Mining job to come back to
+   * @param {Object} [keep={}] - Number of each item to keep, besides the configured keepItems
+   * @returns {Promise<boolean>} - Whether a storage trip was made
+   */
+  async _handleFullInventory(job, keep = {}) {
+    if (!this.returnWhenInventoryFull || !this.isInventoryFull(this.returnThreshold)) {
+      return false;
+    }
+    
+    const storage = this.dataInterface ? this.dataInterface.getPosition('main', 'storage') : null;
+    
+    if (!storage) {
+      if (!job.storageWarned) {
+        this.log.warn('Inventory is full but no storage position is recorded');
+        this.chat('My inventory is full and I have no storage to return to.');
+        job.storageWarned = true;
+      }
+      return false;
+    }
+    
+    // Remember where to come back to
+    const position = this.bot.entity.position.floored();
+    job.returnPosition = { x: position.x, y: position.y, z: position.z };
+    this.dataInterface.reportPosition({
+      name: this.username,
+      position: job.returnPosition,
+      category: 'mining'
+    });
+    
+    this.log.info(`Inventory over ${Math.round(this.returnThreshold * 100)}% full, returning to storage`);
+    this.currentTask = 'Returning to storage';
+    
+    const deposited = await this._depositAtStorage(storage, keep);
+    if (this.miningJob !== job) return true;
+    
+    if (deposited === 0) {
+      throw new Error('Inventory is full and nothing could be deposited');
+    }
+    
+    this.currentTask = 'Returning to mining position';
+    await this.goTo(job.returnPosition, 1);
+    
+    return true;
+  }
+  
+  /**
+   * Walk to the storage chest and deposit everything except kept items
+   * @private
+   * @param {Object} position - Storage chest position
+   * @param {Object} [keep={}] - Number of each item to keep, besides the configured keepItems
+   * @returns {Promise<number>} - Number of items deposited
+   */
+  async _depositAtStorage(position, keep = {}) {
+    const keepItems = this.config.inventory.keepItems || [];
+    const itemNames = new Set(this.bot.inventory.items()
+      .filter(item => !keepItems.includes(item.name))
+      .map(item => item.name));
+    
+    const deposited = await this._depositToChest({
+      position,
+      itemNames: Array.from(itemNames),
+      name: 'storage',
+      keep
+    });
+    
+    this.log.info(`Deposited ${deposited} items at storage`);
+    
+    return deposited;
+  }
+  
+  /**
+   * Find the nearest block of a type
+   * @private
+   * @param {string} blockName - Block name
+   * @param {Object} [failedBlocks] - Failed attempts by position key; blocks that failed too often are skipped
+   * @returns {Vec3|null} - Block position or null if none found
+   */
+  _findNearestBlock(blockName, failedBlocks = {}) {
+    const skipped = Object.keys(failedBlocks).filter(posKey => failedBlocks[posKey] >= MAX_BLOCK_ATTEMPTS);
+    
+    // Search further for every skipped block, so they don't crowd out the ones that can still be dug
+    const positions = this.findBlocks({
+      blockType: blockName,
+      maxDistance: this.searchRadius,
+      maxBlocks: 16 + skipped.length
+    }).filter(position => !skipped.includes(`${position.x},${position.y},${position.z}`));
+    
+    if (positions.length === 0) {
+      return null;
+    }
+    
+    const botPos = this.bot.entity.position;
+    positions.sort((a, b) => a.distanceTo(botPos) - b.distanceTo(botPos));
+    
+    return positions[0];
+  }
+  
+  /**
+   * Refresh job progress and the current task description
+   * @private
+   */
+  _updateMiningProgress() {
+    const job = this.miningJob;
+    if (!job) return;
+    
+    const heldAtStart = Object.values(job.heldAtStart).reduce((sum, count) => sum + count, 0);
+    
+    job.collected = Math.max(this._countItems(job.dropNames) - heldAtStart, 0) + job.stored;
+    this.currentTask = `Mining ${job.blockName} (${job.collected}/${job.amount})`;
+  }
+  
+  /**
+   * Get the names of the items a block drops
+   * @private
+   * @param {string} blockName - Block name
+   * @returns {Array<string>} - Item names, including the block itself
+   */
+  _getDropNames(blockName) {
+    const mcData = require('minecraft-data')(this.bot.version);
+    const block = mcData.blocksByName[blockName];
+    const names = new Set([blockName]);
+    
+    for (const drop of block.drops || []) {
+      // Drops are either item ids or objects describing the drop
+      const id = typeof drop === 'object' ? drop.drop?.id ?? drop.drop : drop;
+      const item = mcData.items[id];
+      
+      if (item) {
+        names.add(item.name);
+      }
+    }
+    
+    return Array.from(names);
+  }
+  
+  /**
+   * Count items in inventory matching any of the given names
+   * @private
+   * @param {Array<string>} itemNames - Item names
+   * @returns {number} - Total item count
+   */
+  _countItems(itemNames) {
+    if (!this.bot) return 0;
+    
+    return this.bot.inventory.items()
+      .filter(item => itemNames.includes(item.name))
+      .reduce((sum, item) => sum + item.count, 0);
+  }
+  
+  /**
+   * Handle miner-specific commands
+   * @param {string} username - Username of the player who sent the command
+   * @param {string} command - The command (without prefix)
+   * @param {Array<string>} args - Command arguments
+   */
+  handleCommand(username, command, args) {
+    this.log.info(`MinerBot received command: ${command} ${args.join(' ')}`);
+    
+    switch (command) {
+      case 'mine':
+        this._handleMineCommand(username, args);
+        break;
+      case 'minepattern':
+        this._handleMinePatternCommand(username, args);
+        break;
+      case 'minearea':
+        this._handleMineAreaCommand(username, args);
+        break;
+      case 'store':
+        this._handleStoreCommand(username, args);
+        break;
+      case 'stopmining':
+        this._handleStopMiningCommand(username);
+        break;
+      case 'help':
+        this._displayMinerHelp(username);
+        break;
+      default:
+        this.chat(`I don't understand that command. Try ${mainConfig.system.commandPrefix}help`);
+        break;
+    }
+  }
+  
+  /**
+   * Handle the mine command
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   * @param {Array<string>} args - Command arguments
+   */
+  async _handleMineCommand(username, args) {
+    try {
+      if (args.length < 2) {
+        this.chat('Usage: mine <blockName> <amount>');
+        return;
+      }
+      
+      const blockName = args[0].toLowerCase();
+      const amount = parseInt(args[1]);
+      
+      if (isNaN(amount) || amount <= 0) {
+        this.chat('Invalid amount. Usage: mine <blockName> <amount>');
+        return;
+      }
+      
+      if (await this.mine({ blockName, amount })) {
+        this.chat(`Mining ${amount} ${blockName}.`);
+      } else {
+        this.chat(`Could not start mining ${blockName}.`);
+      }
+    } catch (error) {
+      this.log.error(`Error handling mine command: ${error.message}`);
+      this.chat(`Could not execute mine command: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle the minepattern command
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   * @param {Array<string>} args - Command arguments
+   */
+  async _handleMinePatternCommand(username, args) {
+    try {
+      if (args.length < 1) {
+        this.chat(`Usage: minepattern <${listMiningPatterns().join('/')}> [direction] [length]`);
+        return;
+      }
+      
+      const patternName = args[0].toLowerCase();
+      const direction = args[1] ? args[1].toLowerCase() : undefined;
+      const length = args[2] ? parseInt(args[2]) : 32;
+      
+      if (isNaN(length) || length <= 0) {
+        this.chat('Invalid length. Usage: minepattern <pattern> [direction] [length]');
+        return;
+      }
+      
+      if (await this.startMiningPattern({ patternName, direction, length })) {
+        this.chat(`Starting ${patternName} mining.`);
+      } else {
+        this.chat(`Could not start ${patternName} mining.`);
+      }
+    } catch (error) {
+      this.log.error(`Error handling minepattern command: ${error.message}`);
+      this.chat(`Could not execute minepattern command: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle the minearea command
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   * @param {Array<string>} args - Command arguments
+   */
+  async _handleMineAreaCommand(username, args) {
+    try {
+      if (args.length < 6) {
+        this.chat('Usage: minearea <x1> <y1> <z1> <x2> <y2> <z2>');
+        return;
+      }
+      
+      const [x1, y1, z1, x2, y2, z2] = args.slice(0, 6).map(arg => parseInt(arg));
+      
+      if ([x1, y1, z1, x2, y2, z2].some(isNaN)) {
+        this.chat('Invalid coordinates. Usage: minearea <x1> <y1> <z1> <x2> <y2> <z2>');
+        return;
+      }
+      
+      const started = await this.mineArea({
+        corner1: { x: x1, y: y1, z: z1 },
+        corner2: { x: x2, y: y2, z: z2 }
+      });
+      
+      if (started) {
+        this.chat(`Mining area from (${x1}, ${y1}, ${z1}) to (${x2}, ${y2}, ${z2}).`);
+      } else {
+        this.chat('Could not start mining the area.');
+      }
+    } catch (error) {
+      this.log.error(`Error handling minearea command: ${error.message}`);
+      this.chat(`Could not execute minearea command: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle the store command
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   * @param {Array<string>} args - Command arguments
+   */
+  async _handleStoreCommand(username, args) {
+    try {
+      if (args.length < 1) {
+        this.chat('Usage: store <itemName>');
+        return;
+      }
+      
+      const itemName = args[0].toLowerCase();
+      const stored = await this.storeItem({ itemName });
+      
+      if (stored > 0) {
+        this.chat(`Stored ${stored} ${itemName}.`);
+      } else {
+        this.chat(`Could not store ${itemName}.`);
+      }
+    } catch (error) {
+      this.log.error(`Error handling store command: ${error.message}`);
+      this.chat(`Could not execute store command: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle the stopmining command
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   */
+  _handleStopMiningCommand(username) {
+    if (this.stopMining()) {
+      this.chat('Stopped mining.');
+    } else {
+      this.chat('I am not mining anything.');
+    }
+  }
+  
+  /**
+   * Display help for miner commands
+   * @private
+   * @param {string} username - Username of the player who sent the command
+   */
+  _displayMinerHelp(username) {
+    const prefix = mainConfig.system.commandPrefix;
+    const helpMessages = [
+      `${prefix}mine <blockName> <amount> - Mine a block type until the amount is collected`,
+      `${prefix}minepattern <pattern> [direction] [length] - Dig tunnels using a mining pattern`,
+      `${prefix}minearea <x1> <y1> <z1> <x2> <y2> <z2> - Mine every block in an area`,
+      `${prefix}store <itemName> - Store an item in the chest that already holds it`,
+      `${prefix}stopmining - Stop the current mining job`
+    ];
+    
+    this.chat(`=== MinerBot Commands ===`);
+    
+    // Send messages with slight delay to avoid chat rate limiting
+    let i = 0;
+    const sendNextMessage = () => {
+      if (i < helpMessages.length) {
+        this.chat(helpMessages[i]);
+        i++;
+        setTimeout(sendNextMessage, 500);
+      }
+    };
+    
+    sendNextMessage();
+  }
+}
+
+module.exports = MinerBot;
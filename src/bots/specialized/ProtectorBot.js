@@ -659,6 +659,63 @@ class ProtectorBot extends BaseBot {
     }
   }
   
+  /**
+   * Describe the player, patrol or position being protected so it can be restored after reconnecting
+   * @private
+   * @returns {Object|null} - Protection state or null if the bot isn't protecting anything
+   */
+  _getResumeState() {
+    if (this.guardingPlayer) {
+      return {
+        type: 'guardPlayer',
+        playerName: this.guardingPlayer.name,
+        followDistance: this.guardingPlayer.followDistance
+      };
+    }
+    
+    if (this.patrolling) {
+      return {
+        type: 'patrol',
+        points: this.patrolPoints.map(point => ({ x: point.x, y: point.y, z: point.z })),
+        radius: this.patrolCheckRadius
+      };
+    }
+    
+    // guardPosition is the CombatManager one, as the mixin shadows the method of this class
+    if (this.guardingPosition) {
+      const { position, range } = this.guardingPosition;
+      
+      return {
+        type: 'guardPosition',
+        position: { x: position.x, y: position.y, z: position.z },
+        range
+      };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Go back to protecting what the bot protected before it disconnected
+   * @private
+   * @param {Object} state - Protection state from _getResumeState
+   */
+  async _resumeTask(state) {
+    this.log.info(`Restoring ${state.type} after reconnecting`);
+    
+    switch (state.type) {
+      case 'guardPlayer':
+        await this.guardPlayer(state);
+        break;
+      case 'patrol':
+        await this.patrol(state);
+        break;
+      case 'guardPosition':
+        await this.guardPosition({ position: state.position, range: state.range });
+        break;
+    }
+  }
+  
   /**
    * Set up protector-specific event handlers
    * @private
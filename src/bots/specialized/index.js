@@ -5,6 +5,10 @@
  */
 
 const ProtectorBot = require('./ProtectorBot');
+const MinerBot = require('./MinerBot');
+const BuilderBot = require('./BuilderBot');
+const FarmerBot = require('./FarmerBot');
+const { registerMiningPattern, listMiningPatterns } = require('./miningPatterns');
 
 /**
  * Factory function for creating a ProtectorBot
@@ -21,12 +25,7 @@ function createProtectorBot(options) {
  * @returns {MinerBot} - New MinerBot instance
  */
 function createMinerBot(options) {
-  // Temporarily use ProtectorBot as a substitute until MinerBot is fully implemented
-  const bot = new ProtectorBot({
-    ...options,
-    type: 'miner'
-  });
-  return bot;
+  return new MinerBot(options);
 }
 
 /**
@@ -35,17 +34,27 @@ function createMinerBot(options) {
  * @returns {BuilderBot} - New BuilderBot instance
  */
 function createBuilderBot(options) {
-  // Temporarily use ProtectorBot as a substitute until BuilderBot is fully implemented
-  const bot = new ProtectorBot({
-    ...options,
-    type: 'builder'
-  });
-  return bot;
+  return new BuilderBot(options);
+}
+
+/**
+ * Factory function for creating a FarmerBot
+ * @param {Object} options - Bot configuration
+ * @returns {FarmerBot} - New FarmerBot instance
+ */
+function createFarmerBot(options) {
+  return new FarmerBot(options);
 }
 
 module.exports = {
   ProtectorBot,
+  MinerBot,
+  BuilderBot,
+  FarmerBot,
   createProtectorBot,
   createMinerBot,
-  createBuilderBot
+  createBuilderBot,
+  createFarmerBot,
+  registerMiningPattern,
+  listMiningPatterns
 }; 
\ No newline at end of file
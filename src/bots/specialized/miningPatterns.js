@@ -0,0 +1,156 @@
+/**
+ * Mining Patterns - Registry of tunnel layouts for the MinerBot
+ *
+ * A pattern describes where to dig, not how. Each pattern exposes a
+ * `generate` generator that yields the floor positions of the tunnel
+ * (the bot clears that block and the one above it), in digging order.
+ * The MinerBot takes care of descending, digging, torches and ores, so new
+ * patterns can be added with `registerMiningPattern` without touching it.
+ */
+
+// Registered patterns by name
+const patterns = new Map();
+
+// Horizontal direction vectors by name
+const DIRECTIONS = {
+  north: { x: 0, y: 0, z: -1 },
+  south: { x: 0, y: 0, z: 1 },
+  east: { x: 1, y: 0, z: 0 },
+  west: { x: -1, y: 0, z: 0 }
+};
+
+/**
+ * Offset a position along a direction
+ * @param {Object} position - Start position
+ * @param {Object} direction - Direction vector
+ * @param {number} distance - Number of blocks to move
+ * @returns {Object} - New position
+ */
+function offsetPosition(position, direction, distance) {
+  return {
+    x: position.x + direction.x * distance,
+    y: position.y + direction.y * distance,
+    z: position.z + direction.z * distance
+  };
+}
+
+/**
+ * Get the two horizontal directions perpendicular to a direction
+ * @param {Object} direction - Direction vector
+ * @returns {Array<Object>} - Left and right direction vectors
+ */
+function perpendicularDirections(direction) {
+  return [
+    { x: direction.z, y: 0, z: -direction.x },
+    { x: -direction.z, y: 0, z: direction.x }
+  ];
+}
+
+/**
+ * Register a mining pattern
+ * @param {string} name - Pattern name
+ * @param {Object} pattern - Pattern definition
+ * @param {string} [pattern.description] - Human readable description
+ * @param {Object} [pattern.defaults] - Default options passed to generate
+ * @param {GeneratorFunction} pattern.generate - Yields { position, tunnel } steps
+ */
+function registerMiningPattern(name, pattern) {
+  if (!name) {
+    throw new Error('Mining pattern must have a name');
+  }
+  
+  if (!pattern || typeof pattern.generate !== 'function') {
+    throw new Error(`Mining pattern ${name} must have a generate function`);
+  }
+  
+  patterns.set(name.toLowerCase(), {
+    name: name.toLowerCase(),
+    description: pattern.description || 'No description provided',
+    defaults: pattern.defaults || {},
+    generate: pattern.generate
+  });
+}
+
+/**
+ * Get a registered mining pattern
+ * @param {string} name - Pattern name
+ * @returns {Object|null} - Pattern definition or null if not found
+ */
+function getMiningPattern(name) {
+  return patterns.get(name.toLowerCase()) || null;
+}
+
+/**
+ * List the names of all registered mining patterns
+ * @returns {Array<string>} - Pattern names
+ */
+function listMiningPatterns() {
+  return Array.from(patterns.keys());
+}
+
+/**
+ * Expand a pattern into the full list of tunnel steps
+ * @param {string} name - Pattern name
+ * @param {Object} options - Pattern options
+ * @param {Object} options.origin - Floor position the tunnel starts from
+ * @param {Object} options.direction - Direction vector of the main tunnel
+ * @param {number} options.length - Length of the main tunnel
+ * @returns {Array<Object>} - Steps with a position and tunnel identifier
+ */
+function planMiningPattern(name, options) {
+  const pattern = getMiningPattern(name);
+  
+  if (!pattern) {
+    throw new Error(`Unknown mining pattern: ${name}`);
+  }
+  
+  return Array.from(pattern.generate({ ...pattern.defaults, ...options }));
+}
+
+// Strip mining - one long straight 1x2 tunnel
+registerMiningPattern('strip', {
+  description: 'A single straight tunnel',
+  *generate({ origin, direction, length }) {
+    for (let i = 1; i <= length; i++) {
+      yield { position: offsetPosition(origin, direction, i), tunnel: 'main' };
+    }
+  }
+});
+
+// Branch mining - a main tunnel with side branches at fixed spacing
+registerMiningPattern('branch', {
+  description: 'A main tunnel with side branches at fixed spacing',
+  defaults: {
+    branchSpacing: 4, // Blocks between branches (3 solid blocks between tunnels)
+    branchLength: 16  // Length of each side branch
+  },
+  *generate({ origin, direction, length, branchSpacing, branchLength }) {
+    const sides = perpendicularDirections(direction);
+    
+    for (let i = 1; i <= length; i++) {
+      const mainPosition = offsetPosition(origin, direction, i);
+      yield { position: mainPosition, tunnel: 'main' };
+      
+      if (i % branchSpacing !== 0) {
+        continue;
+      }
+      
+      for (let side = 0; side < sides.length; side++) {
+        for (let j = 1; j <= branchLength; j++) {
+          yield {
+            position: offsetPosition(mainPosition, sides[side], j),
+            tunnel: `branch-${i}-${side}`
+          };
+        }
+      }
+    }
+  }
+});
+
+module.exports = {
+  DIRECTIONS,
+  registerMiningPattern,
+  getMiningPattern,
+  listMiningPatterns,
+  planMiningPattern
+};
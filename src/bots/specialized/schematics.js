@@ -0,0 +1,470 @@
+/**
+ * Schematics - Blueprint loading and placement planning for the BuilderBot
+ *
+ * Loads Sponge `.schem` files (versions 2 and 3) and vanilla structure
+ * `.nbt` files into a common blueprint format:
+ *
+ *   { name, size: { x, y, z }, blocks: [{ x, y, z, name, properties }] }
+ *
+ * Block coordinates are relative to the blueprint origin and air is left out.
+ * Blueprints are saved back as Sponge version 2 schematics.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const nbt = require('prismarine-nbt');
+
+// Supported schematic file extensions
+const SCHEMATIC_EXTENSIONS = ['.schem', '.nbt'];
+
+// Blocks that are never placed from a blueprint
+const IGNORED_BLOCKS = ['air', 'cave_air', 'void_air', 'structure_void', 'moving_piston', 'piston_head'];
+
+// Properties the game derives from neighbours, so they are never compared
+const DERIVED_PROPERTIES = [
+  'shape', 'north', 'south', 'east', 'west', 'up', 'waterlogged', 'distance',
+  'persistent', 'powered', 'triggered', 'snowy', 'occupied', 'in_wall', 'attached',
+  'disarmed', 'note', 'instrument', 'open', 'enabled', 'locked', 'short'
+];
+
+// Blocks whose item has a different name
+const BLOCK_ITEMS = {
+  redstone_wire: 'redstone',
+  tripwire: 'string',
+  wheat: 'wheat_seeds',
+  carrots: 'carrot',
+  potatoes: 'potato',
+  beetroots: 'beetroot_seeds',
+  cocoa: 'cocoa_beans',
+  pumpkin_stem: 'pumpkin_seeds',
+  melon_stem: 'melon_seeds',
+  sweet_berry_bush: 'sweet_berries',
+  bamboo_sapling: 'bamboo',
+  kelp_plant: 'kelp',
+  cave_vines: 'glow_berries',
+  cave_vines_plant: 'glow_berries',
+  twisting_vines_plant: 'twisting_vines',
+  weeping_vines_plant: 'weeping_vines',
+  tall_seagrass: 'seagrass',
+  big_dripleaf_stem: 'big_dripleaf',
+  water: 'water_bucket',
+  lava: 'lava_bucket'
+};
+
+/**
+ * Parse a block state string such as `minecraft:oak_stairs[facing=east,half=bottom]`
+ * @param {string} state - Block state string
+ * @returns {Object} - Block name and properties
+ */
+function parseBlockState(state) {
+  const match = /^(?:[a-z0-9_.-]+:)?([a-z0-9_/.-]+)(?:\[(.*)\])?$/.exec(state.trim());
+  
+  if (!match) {
+    throw new Error(`Invalid block state: ${state}`);
+  }
+  
+  const properties = {};
+  
+  if (match[2]) {
+    for (const pair of match[2].split(',')) {
+      const [key, value] = pair.split('=');
+      properties[key.trim()] = String(value).trim();
+    }
+  }
+  
+  return { name: match[1], properties };
+}
+
+/**
+ * Format a block name and properties as a block state string
+ * @param {string} name - Block name
+ * @param {Object} [properties={}] - Block properties
+ * @returns {string} - Block state string
+ */
+function formatBlockState(name, properties = {}) {
+  const keys = Object.keys(properties).sort();
+  
+  if (keys.length === 0) {
+    return `minecraft:${name}`;
+  }
+  
+  return `minecraft:${name}[${keys.map(key => `${key}=${properties[key]}`).join(',')}]`;
+}
+
+/**
+ * Decode the varint-packed block data used by Sponge schematics
+ * @param {Array<number>} bytes - Signed byte values
+ * @param {number} count - Number of values to read
+ * @returns {Array<number>} - Palette indexes
+ */
+function readVarInts(bytes, count) {
+  const values = new Array(count);
+  let offset = 0;
+  
+  for (let i = 0; i < count; i++) {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    
+    do {
+      if (offset >= bytes.length) {
+        throw new Error('Block data ended early');
+      }
+      
+      byte = bytes[offset++] & 0xff;
+      value |= (byte & 0x7f) << shift;
+      shift += 7;
+    } while (byte & 0x80);
+    
+    values[i] = value;
+  }
+  
+  return values;
+}
+
+/**
+ * Encode palette indexes as the varint-packed block data used by Sponge schematics
+ * @param {Array<number>} values - Palette indexes
+ * @returns {Array<number>} - Signed byte values
+ */
+function writeVarInts(values) {
+  const bytes = [];
+  
+  for (let value of values) {
+    while (value >= 0x80) {
+      bytes.push((value & 0x7f) | 0x80);
+      value >>>= 7;
+    }
+    bytes.push(value);
+  }
+  
+  // NBT byte arrays hold signed bytes
+  return bytes.map(byte => (byte << 24) >> 24);
+}
+
+/**
+ * Convert Sponge schematic data into a blueprint
+ * @param {Object} data - Simplified NBT data
+ * @param {string} name - Blueprint name
+ * @returns {Object} - Blueprint
+ */
+function fromSponge(data, name) {
+  const root = data.Schematic || data;
+  const size = { x: root.Width, y: root.Height, z: root.Length };
+  
+  // Version 3 moved the palette and data into a Blocks compound
+  const blockContainer = root.Blocks || root;
+  const palette = blockContainer.Palette;
+  const blockData = blockContainer.Data || blockContainer.BlockData;
+  
+  if (!palette || !blockData) {
+    throw new Error('Schematic has no block palette or block data');
+  }
+  
+  const states = [];
+  for (const [state, index] of Object.entries(palette)) {
+    states[index] = parseBlockState(state);
+  }
+  
+  const indexes = readVarInts(blockData, size.x * size.y * size.z);
+  const blocks = [];
+  
+  indexes.forEach((paletteIndex, i) => {
+    const state = states[paletteIndex];
+    if (!state || IGNORED_BLOCKS.includes(state.name)) return;
+    
+    // Blocks are stored YZX: index = x + z * width + y * width * length
+    blocks.push({
+      x: i % size.x,
+      y: Math.floor(i / (size.x * size.z)),
+      z: Math.floor(i / size.x) % size.z,
+      name: state.name,
+      properties: { ...state.properties }
+    });
+  });
+  
+  return { name, size, blocks };
+}
+
+/**
+ * Convert vanilla structure data into a blueprint
+ * @param {Object} data - Simplified NBT data
+ * @param {string} name - Blueprint name
+ * @returns {Object} - Blueprint
+ */
+function fromStructure(data, name) {
+  const [sizeX, sizeY, sizeZ] = data.size;
+  const palette = data.palette || (data.palettes && data.palettes[0]);
+  
+  if (!palette) {
+    throw new Error('Structure has no block palette');
+  }
+  
+  const states = palette.map(entry => ({
+    name: parseBlockState(entry.Name).name,
+    properties: Object.fromEntries(
+      Object.entries(entry.Properties || {}).map(([key, value]) => [key, String(value)])
+    )
+  }));
+  
+  const blocks = [];
+  
+  for (const block of data.blocks || []) {
+    const state = states[block.state];
+    if (!state || IGNORED_BLOCKS.includes(state.name)) continue;
+    
+    blocks.push({
+      x: block.pos[0],
+      y: block.pos[1],
+      z: block.pos[2],
+      name: state.name,
+      properties: { ...state.properties }
+    });
+  }
+  
+  return { name, size: { x: sizeX, y: sizeY, z: sizeZ }, blocks };
+}
+
+/**
+ * Find a schematic file in a folder, adding a supported extension if needed
+ * @param {string} folder - Schematics folder
+ * @param {string} fileName - File name, with or without extension
+ * @returns {Promise<string>} - Full path of the schematic
+ */
+async function resolveSchematicPath(folder, fileName) {
+  // Only plain file names are allowed, never paths out of the folder
+  if (path.basename(fileName) !== fileName) {
+    throw new Error(`Invalid schematic name: ${fileName}`);
+  }
+  
+  const candidates = SCHEMATIC_EXTENSIONS.includes(path.extname(fileName).toLowerCase())
+    ? [fileName]
+    : SCHEMATIC_EXTENSIONS.map(extension => `${fileName}${extension}`);
+  
+  for (const candidate of candidates) {
+    const filePath = path.join(folder, candidate);
+    if (await fs.pathExists(filePath)) {
+      return filePath;
+    }
+  }
+  
+  throw new Error(`Schematic ${fileName} not found in ${folder}`);
+}
+
+/**
+ * Load a schematic file into a blueprint
+ * @param {string} filePath - Path to a .schem or .nbt file
+ * @returns {Promise<Object>} - Blueprint
+ */
+async function loadSchematic(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const name = path.basename(filePath, extension);
+  
+  // prismarine-nbt unzips gzipped files itself
+  const buffer = await fs.readFile(filePath);
+  const { parsed } = await nbt.parse(buffer);
+  const data = nbt.simplify(parsed);
+  
+  if (extension === '.schem') {
+    return fromSponge(data, name);
+  }
+  
+  if (extension === '.nbt') {
+    return fromStructure(data, name);
+  }
+  
+  throw new Error(`Unsupported schematic format: ${extension}`);
+}
+
+/**
+ * Save a blueprint as a gzipped Sponge schematic (version 2)
+ * @param {string} filePath - Path of the .schem file to write
+ * @param {Object} blueprint - Blueprint with size and blocks
+ * @param {Object} [options] - Save options
+ * @param {number} [options.dataVersion] - Minecraft data version the blocks come from
+ * @returns {Promise<void>}
+ */
+async function saveSchematic(filePath, blueprint, { dataVersion } = {}) {
+  const { size } = blueprint;
+  const palette = { 'minecraft:air': 0 };
+  const indexes = new Array(size.x * size.y * size.z).fill(0);
+  
+  for (const block of blueprint.blocks) {
+    const state = formatBlockState(block.name, block.properties);
+    
+    if (palette[state] === undefined) {
+      palette[state] = Object.keys(palette).length;
+    }
+    
+    indexes[block.x + block.z * size.x + block.y * size.x * size.z] = palette[state];
+  }
+  
+  const value = {
+    Version: { type: 'int', value: 2 },
+    Width: { type: 'short', value: size.x },
+    Height: { type: 'short', value: size.y },
+    Length: { type: 'short', value: size.z },
+    Offset: { type: 'intArray', value: [0, 0, 0] },
+    PaletteMax: { type: 'int', value: Object.keys(palette).length },
+    Palette: {
+      type: 'compound',
+      value: Object.fromEntries(
+        Object.entries(palette).map(([state, index]) => [state, { type: 'int', value: index }])
+      )
+    },
+    BlockData: { type: 'byteArray', value: writeVarInts(indexes) },
+    BlockEntities: { type: 'list', value: { type: 'compound', value: [] } }
+  };
+  
+  if (dataVersion) {
+    value.DataVersion = { type: 'int', value: dataVersion };
+  }
+  
+  const buffer = nbt.writeUncompressed({ type: 'compound', name: 'Schematic', value });
+  
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, zlib.gzipSync(buffer));
+}
+
+/**
+ * Get the item used to place a block
+ * @param {string} blockName - Block name
+ * @returns {string} - Item name
+ */
+function getItemForBlock(blockName) {
+  if (BLOCK_ITEMS[blockName]) {
+    return BLOCK_ITEMS[blockName];
+  }
+  
+  // Wall variants share the item of the standing block (oak_wall_sign -> oak_sign)
+  if (blockName === 'wall_torch') {
+    return 'torch';
+  }
+  
+  if (blockName.includes('_wall_') && !blockName.endsWith('_wall_hanging_sign')) {
+    return blockName.replace('_wall_', '_');
+  }
+  
+  if (blockName.endsWith('_wall_hanging_sign')) {
+    return blockName.replace('_wall_hanging_sign', '_hanging_sign');
+  }
+  
+  if (blockName.startsWith('potted_')) {
+    return 'flower_pot';
+  }
+  
+  return blockName;
+}
+
+/**
+ * Check if a block hangs on the side of another block
+ * @param {string} blockName - Block name
+ * @returns {boolean} - Whether the block is wall-mounted
+ */
+function isWallMounted(blockName) {
+  return blockName === 'wall_torch' ||
+    blockName === 'ladder' ||
+    blockName === 'tripwire_hook' ||
+    blockName.includes('_wall_');
+}
+
+/**
+ * Check if a block needs another block to hold it up
+ * @param {string} blockName - Block name
+ * @returns {boolean} - Whether the block must be placed after its support
+ */
+function needsSupport(blockName) {
+  if (isWallMounted(blockName)) {
+    return true;
+  }
+  
+  const suffixes = [
+    'torch', '_door', '_trapdoor', '_button', '_sign', '_banner', '_carpet',
+    '_pressure_plate', '_sapling', '_bed', 'rail', 'lantern', '_head', '_skull'
+  ];
+  
+  const names = [
+    'lever', 'redstone_wire', 'repeater', 'comparator', 'vine', 'flower_pot',
+    'snow', 'lily_pad', 'tripwire', 'scaffolding', 'bell', 'chain', 'end_rod'
+  ];
+  
+  return names.includes(blockName) || suffixes.some(suffix => blockName.endsWith(suffix));
+}
+
+/**
+ * Decide which blueprint blocks to place and in what order
+ *
+ * Blocks go bottom-up, with all free-standing blocks before blocks that
+ * hang on or rest on other blocks (torches, doors, ladders...). Upper halves
+ * of doors and tall plants and bed heads are left out, since the game places
+ * them together with the other half.
+ * @param {Array<Object>} blocks - Blueprint blocks
+ * @returns {Array<Object>} - Blocks in placement order
+ */
+function planPlacementOrder(blocks) {
+  const placeable = blocks.filter(block => {
+    const { half, part } = block.properties || {};
+    return half !== 'upper' && part !== 'head' && !IGNORED_BLOCKS.includes(block.name);
+  });
+  
+  const byPosition = (a, b) => (a.y - b.y) || (a.x - b.x) || (a.z - b.z);
+  
+  return [
+    ...placeable.filter(block => !needsSupport(block.name)).sort(byPosition),
+    ...placeable.filter(block => needsSupport(block.name)).sort(byPosition)
+  ];
+}
+
+/**
+ * Count the items needed to place a list of blueprint blocks
+ * @param {Array<Object>} blocks - Blueprint blocks in placement order
+ * @returns {Object} - Item counts by item name
+ */
+function getBillOfMaterials(blocks) {
+  const materials = {};
+  
+  for (const block of blocks) {
+    const itemName = getItemForBlock(block.name);
+    const count = block.properties && block.properties.type === 'double' ? 2 : 1;
+    materials[itemName] = (materials[itemName] || 0) + count;
+  }
+  
+  return materials;
+}
+
+/**
+ * Check whether a block state matches the state a blueprint asks for
+ *
+ * Properties the game works out from neighbouring blocks (fence connections,
+ * stair shapes, waterlogging...) are ignored.
+ * @param {Object} actual - Actual block with name and properties
+ * @param {Object} expected - Expected block with name and properties
+ * @returns {boolean} - Whether the states match
+ */
+function blockStateMatches(actual, expected) {
+  if (actual.name !== expected.name) {
+    return false;
+  }
+  
+  const actualProperties = actual.properties || {};
+  
+  return Object.entries(expected.properties || {})
+    .filter(([key]) => !DERIVED_PROPERTIES.includes(key))
+    .every(([key, value]) => String(actualProperties[key]) === String(value));
+}
+
+module.exports = {
+  SCHEMATIC_EXTENSIONS,
+  parseBlockState,
+  formatBlockState,
+  resolveSchematicPath,
+  loadSchematic,
+  saveSchematic,
+  getItemForBlock,
+  isWallMounted,
+  needsSupport,
+  planPlacementOrder,
+  getBillOfMaterials,
+  blockStateMatches
+};
@@ -7,15 +7,29 @@
 
 const EventEmitter = require('events');
 const mainConfig = require('../../config');
+const { getAccountProfile } = require('../shared/authConfig');
+const { resolveServer, matchesServer } = require('../shared/serverConfig');
+
+// Time between saves of what each bot of the fleet is working on
+const FLEET_SAVE_INTERVAL = 30000;
+
+// Wait between bots logging back in after a restart, unless set in the config
+const DEFAULT_FLEET_LOGIN_DELAY = 5000;
 
 class BotManager extends EventEmitter {
   /**
    * Create a new BotManager
+   * @param {Object} [options] - Configuration options
+   * @param {Function} [options.createBotDataInterface] - Creates a shared data interface for a bot
+   * @param {BotDataInterface} [options.dataInterface] - Shared data interface the fleet is saved through
    */
-  constructor() {
+  constructor(options = {}) {
     super();
     this.bots = new Map();
     this.botFactories = new Map();
+    this.createBotDataInterface = options.createBotDataInterface || null;
+    this.dataInterface = options.dataInterface || null;
+    this.fleetSaveInterval = null;
   }
   
   /**
@@ -37,11 +51,12 @@ class BotManager extends EventEmitter {
    * @param {Object} options - Bot creation options
    * @param {string} options.username - Bot username
    * @param {string} options.type - Bot type
-   * @param {Object} [options.server] - Server configuration (overrides default)
+   * @param {Object} [options.server] - Server to connect to, from resolveServer (the default server if not given)
+   * @param {Object} [options.assignment] - Saved task to take up once connected
    * @returns {Promise<BaseBot>} - Created bot instance
    */
   async createBot(options) {
-    const { username, type, server } = options;
+    const { username, type, server, assignment } = options;
     
     // Check if bot with this name already exists
     if (this.bots.has(username)) {
@@ -55,12 +70,18 @@ class BotManager extends EventEmitter {
       throw new Error(`No bot factory registered for type ${type}`);
     }
     
+    let bot = null;
+    
     try {
       // Create bot instance
-      const bot = factory({
+      bot = factory({
         username,
         type,
-        server: server || mainConfig.server
+        server: server || resolveServer(),
+        account: getAccountProfile(username),
+        dataInterface: this.createBotDataInterface
+          ? this.createBotDataInterface(username, type.toLowerCase())
+          : null
       });
       
       // Set up event handlers
@@ -76,11 +97,21 @@ class BotManager extends EventEmitter {
       // Store the bot
       this.bots.set(username, bot);
       
+      if (assignment) {
+        await bot.resumeAssignment(assignment);
+      }
+      
+      this._saveFleetBot(bot);
+      
       // Emit event
       this.emit('botCreated', { username, type });
       
       return bot;
     } catch (error) {
+      if (bot) {
+        this._disposeBot(bot);
+      }
+      
       this.emit('error', {
         context: `Failed to create bot ${username}`,
         error: error.message
@@ -100,20 +131,45 @@ class BotManager extends EventEmitter {
   }
   
   /**
-   * List all bots, optionally filtered by type
+   * List all bots, optionally filtered by type and server
    * @param {string} [type] - Bot type to filter by
+   * @param {string} [server] - Server profile name, host or host:port to filter by
    * @returns {Array<BaseBot>} - Array of bot instances
    */
-  listBots(type) {
-    const bots = Array.from(this.bots.values());
+  listBots(type, server) {
+    let bots = Array.from(this.bots.values());
     
     if (type) {
-      return bots.filter(bot => bot.type.toLowerCase() === type.toLowerCase());
+      bots = bots.filter(bot => bot.type.toLowerCase() === type.toLowerCase());
+    }
+    
+    if (server) {
+      bots = bots.filter(bot => matchesServer(bot.server, server));
     }
     
     return bots;
   }
   
+  /**
+   * List the servers bots are connected to
+   * @returns {Array<Object>} - Servers with the names of their bots
+   */
+  listServers() {
+    const servers = new Map();
+    
+    for (const bot of this.bots.values()) {
+      const key = `${bot.server.host}:${bot.server.port}`;
+      
+      if (!servers.has(key)) {
+        servers.set(key, { ...bot.server, name: bot.server.name || key, bots: [] });
+      }
+      
+      servers.get(key).bots.push(bot.username);
+    }
+    
+    return Array.from(servers.values());
+  }
+  
   /**
    * Stop a specific bot
    * @param {string} botName - Bot name
@@ -131,6 +187,8 @@ class BotManager extends EventEmitter {
       
       if (success) {
         this.bots.delete(botName);
+        this._removeFleetBot(botName);
+        this._disposeBot(bot);
         this.emit('botStopped', { username: botName });
       }
       
@@ -164,6 +222,132 @@ class BotManager extends EventEmitter {
     return stoppedCount;
   }
   
+  /**
+   * Save what every bot is working on, so the fleet comes back as it was after a restart
+   * @returns {number} - Number of bots saved
+   */
+  saveFleet() {
+    for (const bot of this.bots.values()) {
+      this._saveFleetBot(bot);
+    }
+    
+    return this.bots.size;
+  }
+  
+  /**
+   * Log the saved fleet back in one bot at a time and give each its assignment back
+   * @param {Object} [options] - Restore options
+   * @param {boolean} [options.fresh=false] - Forget the saved fleet instead of restoring it
+   * @returns {Promise<number>} - Number of bots restored
+   */
+  async restoreFleet({ fresh = false } = {}) {
+    if (!this.dataInterface) {
+      return 0;
+    }
+    
+    const fleet = this.dataInterface.getFleet();
+    
+    if (fresh) {
+      for (const entry of fleet) {
+        this.dataInterface.removeFleetBot(entry.username);
+      }
+      
+      return 0;
+    }
+    
+    const loginDelay = mainConfig.fleet?.loginDelay ?? DEFAULT_FLEET_LOGIN_DELAY;
+    let restored = 0;
+    
+    for (const [index, entry] of fleet.entries()) {
+      // Bots joining all at once get throttled or kicked by the server
+      if (index > 0) {
+        await new Promise(resolve => setTimeout(resolve, loginDelay));
+      }
+      
+      try {
+        await this.createBot(entry);
+        restored++;
+      } catch (error) {
+        // The bot stays in the saved fleet so the next start tries it again
+        this.emit('botError', {
+          username: entry.username,
+          error: error
+        });
+      }
+    }
+    
+    this.emit('fleetRestored', { restored, total: fleet.length });
+    
+    return restored;
+  }
+  
+  /**
+   * Save the fleet and disconnect every bot, leaving them in the saved fleet
+   * @returns {Promise<number>} - Number of bots disconnected
+   */
+  async shutdown() {
+    this.saveFleet();
+    
+    if (this.fleetSaveInterval) {
+      clearInterval(this.fleetSaveInterval);
+      this.fleetSaveInterval = null;
+    }
+    
+    const bots = Array.from(this.bots.values());
+    
+    for (const bot of bots) {
+      bot.stop();
+    }
+    
+    return bots.length;
+  }
+  
+  /**
+   * Save a bot's server and assignment to the fleet
+   * @private
+   * @param {BaseBot} bot - Bot instance
+   */
+  _saveFleetBot(bot) {
+    if (!this.dataInterface) {
+      return;
+    }
+    
+    this.dataInterface.reportFleetBot({
+      username: bot.username,
+      type: bot.type,
+      server: bot.server,
+      assignment: bot.getAssignment()
+    });
+    
+    // Assignments change as bots work, so they are saved again now and then
+    if (!this.fleetSaveInterval) {
+      this.fleetSaveInterval = setInterval(() => this.saveFleet(), FLEET_SAVE_INTERVAL);
+    }
+  }
+  
+  /**
+   * Take a bot out of the saved fleet
+   * @private
+   * @param {string} botName - Bot name
+   */
+  _removeFleetBot(botName) {
+    if (this.dataInterface) {
+      this.dataInterface.removeFleetBot(botName);
+    }
+  }
+  
+  /**
+   * Release what a bot that is gone still holds on to
+   * A bot logged in again gets a new data interface, so the old one stops listening to the data store
+   * @private
+   * @param {BaseBot} bot - Bot instance
+   */
+  _disposeBot(bot) {
+    if (bot.dataInterface) {
+      bot.dataInterface.dispose();
+    }
+  }
+  
   /**
    * Set up event handlers for a bot
    * @private
@@ -178,14 +362,47 @@ class BotManager extends EventEmitter {
       });
     });
     
-    bot.on('kicked', (reason) => {
+    bot.on('kicked', (data) => {
       this.emit('botKicked', {
         username: bot.username,
-        reason: reason
+        reason: data.reason
+      });
+    });
+    
+    bot.on('authCode', (data) => {
+      this.emit('botAuthCode', {
+        username: bot.username,
+        code: data.code,
+        url: data.url,
+        expiresIn: data.expiresIn
+      });
+    });
+    
+    bot.on('reconnecting', (data) => {
+      this.emit('botReconnecting', {
+        username: bot.username,
+        attempt: data.attempt,
+        delay: data.delay
+      });
+    });
+    
+    bot.on('reconnected', (data) => {
+      this.emit('botReconnected', {
+        username: bot.username,
+        attempts: data.attempts
+      });
+    });
+    
+    bot.on('disconnected', (data) => {
+      this.emit('botDisconnected', {
+        username: bot.username,
+        reason: data.stopReason
       });
       
-      // Remove from tracked bots
+      // A bot that won't reconnect stays gone until it is logged in again
       this.bots.delete(bot.username);
+      this._removeFleetBot(bot.username);
+      this._disposeBot(bot);
     });
     
     bot.on('death', (data) => {
@@ -197,6 +414,7 @@ class BotManager extends EventEmitter {
     
     bot.on('stopped', () => {
       this.bots.delete(bot.username);
+      this._disposeBot(bot);
     });
   }
 }
@@ -0,0 +1,209 @@
+/**
+ * BuilderCommands - Implementation of BuilderBot-specific commands
+ *
+ * This file contains the implementation of commands specific to the BuilderBot.
+ */
+
+/**
+ * Create BuilderBot commands
+ * @param {Object} dependencies - System dependencies
+ * @param {BotManager} dependencies.botManager - Bot manager instance
+ * @param {CommandParser} dependencies.commandParser - Command parser instance
+ */
+function createBuilderCommands({ botManager, commandParser }) {
+  /**
+   * Look up a bot by name and make sure it is a builder
+   * @param {string} botName - Bot name
+   * @returns {BuilderBot} - The builder bot
+   */
+  const getBuilderBot = (botName) => {
+    const bot = botManager.getBot(botName);
+    
+    if (!bot) {
+      throw new Error(`Bot '${botName}' not found`);
+    }
+    
+    if (bot.type !== 'builder') {
+      throw new Error(`Bot '${botName}' is not a builder bot`);
+    }
+    
+    return bot;
+  };
+  
+  // Build command
+  commandParser.registerCommand({
+    name: 'build',
+    description: 'Command a builder bot to build a schematic from the builds folder',
+    usage: '$build <botName> <fileName> [x y z]',
+    group: 'builder',
+    execute: async ({ args }) => {
+      if (args.length < 2) {
+        throw new Error('Not enough arguments. Usage: $build <botName> <fileName> [x y z]');
+      }
+      
+      const botName = args[0];
+      const fileName = args[1];
+      let origin;
+      
+      if (args.length >= 5) {
+        const x = parseInt(args[2]);
+        const y = parseInt(args[3]);
+        const z = parseInt(args[4]);
+        
+        if (isNaN(x) || isNaN(y) || isNaN(z)) {
+          throw new Error('Invalid coordinates. All coordinates must be numbers.');
+        }
+        
+        origin = { x, y, z };
+      }
+      
+      const bot = getBuilderBot(botName);
+      
+      const success = await bot.build({ fileName, origin });
+      
+      if (!success) {
+        throw new Error(`Failed to start building ${fileName}`);
+      }
+      
+      return {
+        type: 'build',
+        botName: botName,
+        fileName: fileName,
+        origin: origin
+      };
+    }
+  });
+  
+  // Verify command
+  commandParser.registerCommand({
+    name: 'verify',
+    description: 'Command a builder bot to compare a build with its schematic and optionally repair it',
+    usage: '$verify <botName> <fileName> <x> <y> <z> [repair]',
+    group: 'builder',
+    execute: async ({ args }) => {
+      if (args.length < 5) {
+        throw new Error('Not enough arguments. Usage: $verify <botName> <fileName> <x> <y> <z> [repair]');
+      }
+      
+      const botName = args[0];
+      const fileName = args[1];
+      const x = parseInt(args[2]);
+      const y = parseInt(args[3]);
+      const z = parseInt(args[4]);
+      const repair = args[5] === 'repair';
+      
+      if (isNaN(x) || isNaN(y) || isNaN(z)) {
+        throw new Error('Invalid coordinates. All coordinates must be numbers.');
+      }
+      
+      const bot = getBuilderBot(botName);
+      
+      const report = await bot.verify({ fileName, origin: { x, y, z }, repair });
+      
+      if (!report) {
+        throw new Error(`Failed to verify ${fileName}`);
+      }
+      
+      // Summarize the diff so it shows up on Discord
+      const lines = [
+        `${report.name}: ${report.matching}/${report.checked} blocks match` +
+          (report.unloaded > 0 ? `, ${report.unloaded} not loaded` : '')
+      ];
+      
+      for (const kind of ['missing', 'wrong', 'extra']) {
+        const counts = Object.entries(report[kind]).map(([name, count]) => `${count} ${name}`);
+        if (counts.length > 0) {
+          lines.push(`${kind}: ${counts.join(', ')}`);
+        }
+      }
+      
+      if (report.repairing) {
+        lines.push(`${botName} is repairing the differences`);
+      }
+      
+      return {
+        type: 'text',
+        data: lines.join('\n'),
+        botName: botName,
+        fileName: fileName,
+        report: report
+      };
+    }
+  });
+  
+  // Capture command
+  commandParser.registerCommand({
+    name: 'capture',
+    description: 'Command a builder bot to save a region of the world as a schematic',
+    usage: '$capture <botName> <name> <x1> <y1> <z1> <x2> <y2> <z2>',
+    group: 'builder',
+    execute: async ({ args }) => {
+      if (args.length < 8) {
+        throw new Error('Not enough arguments. Usage: $capture <botName> <name> <x1> <y1> <z1> <x2> <y2> <z2>');
+      }
+      
+      const botName = args[0];
+      const name = args[1];
+      
+      // Parse coordinates
+      const x1 = parseInt(args[2]);
+      const y1 = parseInt(args[3]);
+      const z1 = parseInt(args[4]);
+      const x2 = parseInt(args[5]);
+      const y2 = parseInt(args[6]);
+      const z2 = parseInt(args[7]);
+      
+      // Validate coordinates
+      if (isNaN(x1) || isNaN(y1) || isNaN(z1) || isNaN(x2) || isNaN(y2) || isNaN(z2)) {
+        throw new Error('Invalid coordinates. All coordinates must be numbers.');
+      }
+      
+      const bot = getBuilderBot(botName);
+      
+      const result = await bot.capture({
+        name,
+        corner1: { x: x1, y: y1, z: z1 },
+        corner2: { x: x2, y: y2, z: z2 }
+      });
+      
+      if (!result) {
+        throw new Error(`Failed to capture ${name}`);
+      }
+      
+      return {
+        type: 'capture',
+        botName: botName,
+        fileName: result.fileName,
+        size: result.size,
+        blocks: result.blocks
+      };
+    }
+  });
+  
+  // StopBuilding command
+  commandParser.registerCommand({
+    name: 'stopbuilding',
+    description: 'Stop the current build of a builder bot',
+    usage: '$stopbuilding <botName>',
+    group: 'builder',
+    execute: async ({ args }) => {
+      if (args.length < 1) {
+        throw new Error('Not enough arguments. Usage: $stopbuilding <botName>');
+      }
+      
+      const botName = args[0];
+      const bot = getBuilderBot(botName);
+      
+      if (!bot.stopBuilding()) {
+        throw new Error(`Bot '${botName}' is not building`);
+      }
+      
+      return {
+        type: 'stop-building',
+        botName: botName
+      };
+    }
+  });
+}
+
+module.exports = createBuilderCommands;
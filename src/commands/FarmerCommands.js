@@ -0,0 +1,432 @@
+/**
+ * FarmerCommands - Implementation of FarmerBot-specific commands
+ *
+ * This file contains the implementation of commands specific to the FarmerBot.
+ */
+
+// Animals farmer bots know how to breed
+const PEN_ANIMALS = ['cow', 'sheep', 'pig', 'chicken'];
+
+/**
+ * Create FarmerBot commands
+ * @param {Object} dependencies - System dependencies
+ * @param {BotManager} dependencies.botManager - Bot manager instance
+ * @param {CommandParser} dependencies.commandParser - Command parser instance
+ * @param {BotDataInterface} [dependencies.dataInterface] - Shared data interface for system commands
+ */
+function createFarmerCommands({ botManager, commandParser, dataInterface }) {
+  /**
+   * Look up a bot by name and make sure it is a farmer
+   * @param {string} botName - Bot name
+   * @returns {FarmerBot} - The farmer bot
+   */
+  const getFarmerBot = (botName) => {
+    const bot = botManager.getBot(botName);
+    
+    if (!bot) {
+      throw new Error(`Bot '${botName}' not found`);
+    }
+    
+    if (bot.type !== 'farmer') {
+      throw new Error(`Bot '${botName}' is not a farmer bot`);
+    }
+    
+    return bot;
+  };
+  
+  // SetField command
+  commandParser.registerCommand({
+    name: 'setfield',
+    description: 'Record a named field for farmer bots to work',
+    usage: '$setfield <fieldName> <x1> <y1> <z1> <x2> <y2> <z2>',
+    group: 'farmer',
+    execute: async ({ args }) => {
+      if (args.length < 7) {
+        throw new Error('Not enough arguments. Usage: $setfield <fieldName> <x1> <y1> <z1> <x2> <y2> <z2>');
+      }
+      
+      if (!dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      const fieldName = args[0];
+      
+      // Parse coordinates
+      const x1 = parseInt(args[1]);
+      const y1 = parseInt(args[2]);
+      const z1 = parseInt(args[3]);
+      const x2 = parseInt(args[4]);
+      const y2 = parseInt(args[5]);
+      const z2 = parseInt(args[6]);
+      
+      // Validate coordinates
+      if (isNaN(x1) || isNaN(y1) || isNaN(z1) || isNaN(x2) || isNaN(y2) || isNaN(z2)) {
+        throw new Error('Invalid coordinates. All coordinates must be numbers.');
+      }
+      
+      dataInterface.reportRegion({
+        name: fieldName,
+        corner1: { x: x1, y: y1, z: z1 },
+        corner2: { x: x2, y: y2, z: z2 },
+        category: 'field'
+      });
+      
+      return {
+        type: 'set-field',
+        fieldName: fieldName,
+        corner1: { x: x1, y: y1, z: z1 },
+        corner2: { x: x2, y: y2, z: z2 }
+      };
+    }
+  });
+  
+  // Fields command
+  commandParser.registerCommand({
+    name: 'fields',
+    description: 'List the recorded fields',
+    usage: '$fields',
+    group: 'farmer',
+    execute: async () => {
+      if (!dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      const fields = dataInterface.getRegions('field');
+      
+      return {
+        type: 'text',
+        data: fields.length > 0
+          ? fields.map(field => `${field.name}: (${field.min.x}, ${field.min.y}, ${field.min.z}) to (${field.max.x}, ${field.max.y}, ${field.max.z})`).join('\n')
+          : 'No fields recorded'
+      };
+    }
+  });
+  
+  // Farm command
+  commandParser.registerCommand({
+    name: 'farm',
+    description: 'Command a farmer bot to harvest and replant a field until stopped',
+    usage: '$farm <botName> <fieldName>',
+    group: 'farmer',
+    execute: async ({ args }) => {
+      if (args.length < 2) {
+        throw new Error('Not enough arguments. Usage: $farm <botName> <fieldName>');
+      }
+      
+      const botName = args[0];
+      const fieldName = args[1];
+      
+      const bot = getFarmerBot(botName);
+      
+      const success = await bot.farm({ fieldName });
+      
+      if (!success) {
+        throw new Error(`Failed to start farming ${fieldName}`);
+      }
+      
+      return {
+        type: 'farm',
+        botName: botName,
+        fieldName: fieldName
+      };
+    }
+  });
+  
+  // SetPen command
+  commandParser.registerCommand({
+    name: 'setpen',
+    description: 'Record a named animal pen for farmer bots to tend',
+    usage: '$setpen <penName> <animal> <x1> <y1> <z1> <x2> <y2> <z2> [target] [cap]',
+    group: 'farmer',
+    execute: async ({ args }) => {
+      if (args.length < 8) {
+        throw new Error('Not enough arguments. Usage: $setpen <penName> <animal> <x1> <y1> <z1> <x2> <y2> <z2> [target] [cap]');
+      }
+      
+      if (!dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      const penName = args[0];
+      const animal = args[1].toLowerCase();
+      
+      if (!PEN_ANIMALS.includes(animal)) {
+        throw new Error(`Invalid animal. Available animals: ${PEN_ANIMALS.join(', ')}`);
+      }
+      
+      // Parse coordinates
+      const x1 = parseInt(args[2]);
+      const y1 = parseInt(args[3]);
+      const z1 = parseInt(args[4]);
+      const x2 = parseInt(args[5]);
+      const y2 = parseInt(args[6]);
+      const z2 = parseInt(args[7]);
+      
+      // Validate coordinates
+      if (isNaN(x1) || isNaN(y1) || isNaN(z1) || isNaN(x2) || isNaN(y2) || isNaN(z2)) {
+        throw new Error('Invalid coordinates. All coordinates must be numbers.');
+      }
+      
+      // Population limits fall back to the farmer configuration when left out
+      const target = args.length >= 9 ? parseInt(args[8]) : undefined;
+      const cap = args.length >= 10 ? parseInt(args[9]) : undefined;
+      
+      if ((target !== undefined && (isNaN(target) || target <= 0)) ||
+          (cap !== undefined && (isNaN(cap) || cap < (target || 0)))) {
+        throw new Error('Invalid population. Target must be a positive number and cap at least the target.');
+      }
+      
+      dataInterface.reportRegion({
+        name: penName,
+        corner1: { x: x1, y: y1, z: z1 },
+        corner2: { x: x2, y: y2, z: z2 },
+        category: 'pen',
+        data: { animal, target, cap }
+      });
+      
+      return {
+        type: 'set-pen',
+        penName: penName,
+        animal: animal,
+        corner1: { x: x1, y: y1, z: z1 },
+        corner2: { x: x2, y: y2, z: z2 }
+      };
+    }
+  });
+  
+  // Pens command
+  commandParser.registerCommand({
+    name: 'pens',
+    description: 'List the recorded animal pens with their last counted population',
+    usage: '$pens',
+    group: 'farmer',
+    execute: async () => {
+      if (!dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      const pens = dataInterface.getRegions('pen');
+      
+      const lines = pens.map(pen => {
+        const [latest] = dataInterface.getPopulationHistory(pen.name, 1);
+        const population = latest ? `${latest.count} counted ${new Date(latest.time).toLocaleString()}` : 'not counted yet';
+        const limits = [pen.target && `target ${pen.target}`, pen.cap && `cap ${pen.cap}`].filter(Boolean).join(', ');
+        
+        return `${pen.name} (${pen.animal}${limits ? `, ${limits}` : ''}): ${population}`;
+      });
+      
+      return {
+        type: 'text',
+        data: lines.length > 0 ? lines.join('\n') : 'No pens recorded'
+      };
+    }
+  });
+  
+  // Tend command
+  commandParser.registerCommand({
+    name: 'tend',
+    description: 'Command a farmer bot to keep animal pens at their target population until stopped',
+    usage: '$tend <botName> [penName...]',
+    group: 'farmer',
+    execute: async ({ args }) => {
+      if (args.length < 1) {
+        throw new Error('Not enough arguments. Usage: $tend <botName> [penName...]');
+      }
+      
+      const botName = args[0];
+      const penNames = args.slice(1);
+      
+      const bot = getFarmerBot(botName);
+      
+      const success = await bot.tendPens({ penNames });
+      
+      if (!success) {
+        throw new Error('Failed to start tending the pens');
+      }
+      
+      return {
+        type: 'tend',
+        botName: botName,
+        pens: bot.farmingJob.name
+      };
+    }
+  });
+  
+  // SetTreeFarm command
+  commandParser.registerCommand({
+    name: 'settreefarm',
+    description: 'Record a named tree farm for farmer bots to work',
+    usage: '$settreefarm <treeFarmName> <x1> <y1> <z1> <x2> <y2> <z2>',
+    group: 'farmer',
+    execute: async ({ args }) => {
+      if (args.length < 7) {
+        throw new Error('Not enough arguments. Usage: $settreefarm <treeFarmName> <x1> <y1> <z1> <x2> <y2> <z2>');
+      }
+      
+      if (!dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      const treeFarmName = args[0];
+      
+      // Parse coordinates
+      const x1 = parseInt(args[1]);
+      const y1 = parseInt(args[2]);
+      const z1 = parseInt(args[3]);
+      const x2 = parseInt(args[4]);
+      const y2 = parseInt(args[5]);
+      const z2 = parseInt(args[6]);
+      
+      // Validate coordinates
+      if (isNaN(x1) || isNaN(y1) || isNaN(z1) || isNaN(x2) || isNaN(y2) || isNaN(z2)) {
+        throw new Error('Invalid coordinates. All coordinates must be numbers.');
+      }
+      
+      // Keep the tree spots already learned if the farm is only being resized
+      const existing = dataInterface.getRegion(treeFarmName, 'treefarm');
+      
+      dataInterface.reportRegion({
+        name: treeFarmName,
+        corner1: { x: x1, y: y1, z: z1 },
+        corner2: { x: x2, y: y2, z: z2 },
+        category: 'treefarm',
+        data: existing ? { spots: existing.spots } : {}
+      });
+      
+      return {
+        type: 'set-tree-farm',
+        treeFarmName: treeFarmName,
+        corner1: { x: x1, y: y1, z: z1 },
+        corner2: { x: x2, y: y2, z: z2 }
+      };
+    }
+  });
+  
+  // TreeFarms command
+  commandParser.registerCommand({
+    name: 'treefarms',
+    description: 'List the recorded tree farms',
+    usage: '$treefarms',
+    group: 'farmer',
+    execute: async () => {
+      if (!dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      const treeFarms = dataInterface.getRegions('treefarm');
+      
+      return {
+        type: 'text',
+        data: treeFarms.length > 0
+          ? treeFarms.map(treeFarm => `${treeFarm.name}: (${treeFarm.min.x}, ${treeFarm.min.y}, ${treeFarm.min.z}) to (${treeFarm.max.x}, ${treeFarm.max.y}, ${treeFarm.max.z}), ${(treeFarm.spots || []).length} tree spots`).join('\n')
+          : 'No tree farms recorded'
+      };
+    }
+  });
+  
+  // Lumberjack command
+  commandParser.registerCommand({
+    name: 'lumberjack',
+    description: 'Command a farmer bot to fell and replant the trees of a tree farm until stopped',
+    usage: '$lumberjack <botName> <treeFarmName>',
+    group: 'farmer',
+    execute: async ({ args }) => {
+      if (args.length < 2) {
+        throw new Error('Not enough arguments. Usage: $lumberjack <botName> <treeFarmName>');
+      }
+      
+      const botName = args[0];
+      const treeFarmName = args[1];
+      
+      const bot = getFarmerBot(botName);
+      
+      const success = await bot.fellTrees({ treeFarmName });
+      
+      if (!success) {
+        throw new Error(`Failed to start working tree farm ${treeFarmName}`);
+      }
+      
+      return {
+        type: 'lumberjack',
+        botName: botName,
+        treeFarmName: treeFarmName
+      };
+    }
+  });
+  
+  // ExpandFarm command
+  commandParser.registerCommand({
+    name: 'expandfarm',
+    description: 'Command a farmer bot to turn an area into fenced, lit and hydrated farmland',
+    usage: '$expandfarm <botName> <fieldName> <x1> <y> <z1> <x2> <y> <z2>',
+    group: 'farmer',
+    execute: async ({ args }) => {
+      if (args.length < 8) {
+        throw new Error('Not enough arguments. Usage: $expandfarm <botName> <fieldName> <x1> <y> <z1> <x2> <y> <z2>');
+      }
+      
+      const botName = args[0];
+      const fieldName = args[1];
+      
+      // Parse coordinates
+      const x1 = parseInt(args[2]);
+      const y1 = parseInt(args[3]);
+      const z1 = parseInt(args[4]);
+      const x2 = parseInt(args[5]);
+      const y2 = parseInt(args[6]);
+      const z2 = parseInt(args[7]);
+      
+      // Validate coordinates
+      if (isNaN(x1) || isNaN(y1) || isNaN(z1) || isNaN(x2) || isNaN(y2) || isNaN(z2)) {
+        throw new Error('Invalid coordinates. All coordinates must be numbers.');
+      }
+      
+      const bot = getFarmerBot(botName);
+      
+      const success = await bot.expandFarm({
+        fieldName,
+        corner1: { x: x1, y: y1, z: z1 },
+        corner2: { x: x2, y: y2, z: z2 }
+      });
+      
+      if (!success) {
+        throw new Error(`Failed to start expanding ${fieldName}`);
+      }
+      
+      return {
+        type: 'expand-farm',
+        botName: botName,
+        fieldName: fieldName,
+        corner1: { x: x1, y: y1, z: z1 },
+        corner2: { x: x2, y: y2, z: z2 }
+      };
+    }
+  });
+  
+  // StopFarming command
+  commandParser.registerCommand({
+    name: 'stopfarming',
+    description: 'Stop the current farming job of a farmer bot',
+    usage: '$stopfarming <botName>',
+    group: 'farmer',
+    execute: async ({ args }) => {
+      if (args.length < 1) {
+        throw new Error('Not enough arguments. Usage: $stopfarming <botName>');
+      }
+      
+      const botName = args[0];
+      const bot = getFarmerBot(botName);
+      
+      if (!bot.stopFarming()) {
+        throw new Error(`Bot '${botName}' is not farming`);
+      }
+      
+      return {
+        type: 'stop-farming',
+        botName: botName
+      };
+    }
+  });
+}
+
+module.exports = createFarmerCommands;
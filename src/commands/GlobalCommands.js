@@ -4,15 +4,102 @@
  * This file contains the implementation of global commands available to all bot types.
  */
 
-const mainConfig = require('../../config');
+const botConfig = require('../shared/botConfig');
+const { resolveServer, getServerProfiles, getWorldKey } = require('../shared/serverConfig');
 
 /**
  * Create global commands
  * @param {Object} dependencies - System dependencies
  * @param {BotManager} dependencies.botManager - Bot manager instance
  * @param {CommandParser} dependencies.commandParser - Command parser instance
+ * @param {BotDataInterface} [dependencies.dataInterface] - Shared data interface for system commands
  */
-function createGlobalCommands({ botManager, commandParser }) {
+function createGlobalCommands({ botManager, commandParser, dataInterface }) {
+  /**
+   * List item counts for messages
+   * @param {Object} items - Item counts by item name
+   * @returns {string} - Formatted list
+   */
+  const formatItemCounts = (items) => Object.entries(items).map(([name, count]) => `${count} ${name}`).join(', ');
+  
+  /**
+   * Expand a bot type given on the command line, which may be shorthand
+   * @param {string} botType - Bot type or its first letter
+   * @returns {string} - Bot type
+   */
+  const resolveBotType = (botType) => {
+    switch (botType.toLowerCase()) {
+      case 'p':
+      case 'protector':
+        return 'protector';
+      case 'm':
+      case 'miner':
+        return 'miner';
+      case 'b':
+      case 'builder':
+        return 'builder';
+      case 'f':
+      case 'farmer':
+        return 'farmer';
+      default:
+        throw new Error(`Unknown bot type: ${botType}. Valid types: protector/p, miner/m, builder/b, farmer/f`);
+    }
+  };
+  
+  /**
+   * Work out the server a login is for from its optional server, port and version arguments
+   * @param {Array<string>} serverArgs - Server profile name or host, then port and version
+   * @returns {Object} - Server to connect to
+   */
+  const parseServerArgs = ([target, port, version]) => {
+    const serverPort = port !== undefined ? parseInt(port) : undefined;
+    
+    if (serverPort !== undefined && (isNaN(serverPort) || serverPort <= 0 || serverPort > 65535)) {
+      throw new Error('Invalid port. Port must be a number between 1 and 65535.');
+    }
+    
+    return resolveServer(target, serverPort, version);
+  };
+  
+  /**
+   * Work out who a fetch is for: a bot, a named chest or otherwise a player
+   * @param {string} name - Bot, chest or player name
+   * @returns {Object} - Recipient type, name, in-game username, world and position, where known
+   */
+  const resolveRecipient = (name) => {
+    const floor = position => ({ x: Math.floor(position.x), y: Math.floor(position.y), z: Math.floor(position.z) });
+    const target = botManager.getBot(name);
+    
+    if (target) {
+      // Bots logged in with a Microsoft account play under a different name than the bot's
+      return {
+        type: 'bot',
+        name,
+        username: target.bot ? target.bot.username : name,
+        world: target.dataInterface ? target.dataInterface.getWorld() : null,
+        position: target.bot && target.bot.entity ? floor(target.bot.entity.position) : null
+      };
+    }
+    
+    const chest = dataInterface.getChests().find(chest => chest.name === name);
+    const storage = dataInterface.getPosition(name, 'storage');
+    
+    if (chest || storage) {
+      return { type: 'chest', name, world: dataInterface.getWorld(), position: chest ? chest.position : storage };
+    }
+    
+    // A player is where the bots last saw them
+    const seenBy = botManager.listBots().find(bot => bot.bot && bot.bot.players[name] && bot.bot.players[name].entity);
+    
+    return {
+      type: 'player',
+      name,
+      username: name,
+      world: seenBy && seenBy.dataInterface ? seenBy.dataInterface.getWorld() : null,
+      position: seenBy ? floor(seenBy.bot.players[name].entity.position) : null
+    };
+  };
+  
   // Help command
   commandParser.registerCommand({
     name: 'help',
@@ -70,19 +157,22 @@ function createGlobalCommands({ botManager, commandParser }) {
   // List command
   commandParser.registerCommand({
     name: 'list',
-    description: 'List all active bots and their status',
-    usage: '$list [type]',
+    description: 'List all active bots and their status, optionally only those of a type or on a server',
+    usage: '$list [type] [server]',
     group: 'global',
     platforms: ['discord'], // Only available on Discord
     execute: async ({ args }) => {
-      const type = args[0];
-      const bots = botManager.listBots(type);
+      // Either filter can be given alone, so anything that isn't a bot type is taken as the server
+      const type = args.find(arg => botManager.botFactories.has(arg.toLowerCase()));
+      const server = args.find(arg => arg !== type);
+      const bots = botManager.listBots(type, server);
       
       return {
         type: 'bot-list',
         bots: bots.map(bot => ({
           name: bot.username,
           type: bot.type,
+          server: bot.server.name,
           active: bot.active,
           status: bot.currentTask ? 'busy' : 'idle',
           task: bot.currentTask
@@ -275,48 +365,323 @@ function createGlobalCommands({ botManager, commandParser }) {
     }
   });
   
+  // SetStorage command
+  commandParser.registerCommand({
+    name: 'setstorage',
+    description: 'Record the storage chest bots return to with full inventories',
+    usage: '$setstorage <x> <y> <z>',
+    group: 'global',
+    execute: async ({ args }) => {
+      if (args.length < 3) {
+        throw new Error('Not enough arguments. Usage: $setstorage <x> <y> <z>');
+      }
+      
+      if (!dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      const x = parseInt(args[0]);
+      const y = parseInt(args[1]);
+      const z = parseInt(args[2]);
+      
+      if (isNaN(x) || isNaN(y) || isNaN(z)) {
+        throw new Error('Invalid coordinates. All coordinates must be numbers.');
+      }
+      
+      dataInterface.reportPosition({
+        name: 'main',
+        position: { x, y, z },
+        category: 'storage'
+      });
+      
+      return {
+        type: 'set-storage',
+        coordinates: { x, y, z }
+      };
+    }
+  });
+  
+  // Craft command
+  commandParser.registerCommand({
+    name: 'craft',
+    description: 'Command a bot to craft an item, crafting its ingredients and taking them from storage as needed',
+    usage: '$craft <botName> <itemName> [count]',
+    group: 'global',
+    execute: async ({ args }) => {
+      if (args.length < 2) {
+        throw new Error('Not enough arguments. Usage: $craft <botName> <itemName> [count]');
+      }
+      
+      const botName = args[0];
+      const itemName = args[1].toLowerCase();
+      const count = args.length >= 3 ? parseInt(args[2]) : 1;
+      
+      if (isNaN(count) || count <= 0) {
+        throw new Error('Invalid count. Count must be a positive number.');
+      }
+      
+      const bot = botManager.getBot(botName);
+      
+      if (!bot) {
+        throw new Error(`Bot '${botName}' not found`);
+      }
+      
+      const plan = bot.planCraft({ itemName, count });
+      
+      if (Object.keys(plan.missing).length > 0) {
+        throw new Error(`Cannot craft ${count} ${itemName}, missing ${formatItemCounts(plan.missing)}`);
+      }
+      
+      const success = await bot.craftItem({ itemName, count });
+      
+      if (!success) {
+        throw new Error(`Failed to craft ${itemName}`);
+      }
+      
+      return {
+        type: 'craft',
+        botName: botName,
+        itemName: itemName,
+        count: count
+      };
+    }
+  });
+  
+  // CraftPlan command
+  commandParser.registerCommand({
+    name: 'craftplan',
+    description: 'Show how a bot would craft an item and what it is missing',
+    usage: '$craftplan <botName> <itemName> [count]',
+    group: 'global',
+    execute: async ({ args }) => {
+      if (args.length < 2) {
+        throw new Error('Not enough arguments. Usage: $craftplan <botName> <itemName> [count]');
+      }
+      
+      const botName = args[0];
+      const itemName = args[1].toLowerCase();
+      const count = args.length >= 3 ? parseInt(args[2]) : 1;
+      
+      if (isNaN(count) || count <= 0) {
+        throw new Error('Invalid count. Count must be a positive number.');
+      }
+      
+      const bot = botManager.getBot(botName);
+      
+      if (!bot) {
+        throw new Error(`Bot '${botName}' not found`);
+      }
+      
+      const plan = bot.planCraft({ itemName, count });
+      const lines = plan.steps.map((step, index) =>
+        `${index + 1}. Craft ${step.count} ${step.itemName}${step.needsTable ? ' at a crafting table' : ''}`);
+      
+      if (Object.keys(plan.withdraw).length > 0) {
+        lines.unshift(`Withdraw from storage: ${formatItemCounts(plan.withdraw)}`);
+      }
+      
+      if (Object.keys(plan.missing).length > 0) {
+        lines.push(`Missing: ${formatItemCounts(plan.missing)}`);
+      } else if (lines.length === 0) {
+        lines.push(`${botName} already has ${count} ${itemName}`);
+      }
+      
+      return {
+        type: 'text',
+        data: lines.join('\n')
+      };
+    }
+  });
+  
+  // Sort command
+  commandParser.registerCommand({
+    name: 'sort',
+    description: 'Command a bot to merge its stacks, put its tools in their hotbar slots and sort the rest of its inventory',
+    usage: '$sort <botName>',
+    group: 'global',
+    execute: async ({ args }) => {
+      if (args.length < 1) {
+        throw new Error('Not enough arguments. Usage: $sort <botName>');
+      }
+      
+      const botName = args[0];
+      const bot = botManager.getBot(botName);
+      
+      if (!bot) {
+        throw new Error(`Bot '${botName}' not found`);
+      }
+      
+      const success = await bot.sortInventory();
+      
+      if (!success) {
+        throw new Error(`Failed to sort the inventory of ${botName}`);
+      }
+      
+      return {
+        type: 'sort',
+        botName: botName
+      };
+    }
+  });
+  
+  // Fetch command
+  commandParser.registerCommand({
+    name: 'fetch',
+    description: 'Have a free bot bring items from the shared chests to you, another player, a bot or a named chest',
+    usage: '$fetch <itemName> <count> [to <player|bot|chest>]',
+    group: 'global',
+    execute: async ({ args, sender, platform }) => {
+      if (args.length < 2) {
+        throw new Error('Not enough arguments. Usage: $fetch <itemName> <count> [to <player|bot|chest>]');
+      }
+      
+      if (!dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      const itemName = args[0].toLowerCase();
+      const count = parseInt(args[1]);
+      
+      if (isNaN(count) || count <= 0) {
+        throw new Error('Invalid count. Count must be a positive number.');
+      }
+      
+      let recipientName = sender;
+      
+      if (args.length >= 4 && args[2].toLowerCase() === 'to') {
+        recipientName = args[3];
+      } else if (platform === 'discord') {
+        throw new Error('Say who the items are for from Discord. Usage: $fetch <itemName> <count> to <player|bot|chest>');
+      }
+      
+      const recipient = resolveRecipient(recipientName);
+      
+      // Free bots in the recipient's world, each taking the items from the chests of its own world
+      const candidates = botManager.listBots()
+        .filter(bot => bot.active && bot.dataInterface && !bot.isBusy() && bot.username !== recipient.name)
+        .filter(bot => !recipient.world || bot.dataInterface.getWorld() === recipient.world)
+        .map(bot => {
+          const chests = bot.dataInterface.findChestsWithItem(itemName);
+          return { bot, chests, stored: chests.reduce((sum, chest) => sum + chest.count, 0) };
+        });
+      
+      if (candidates.length === 0) {
+        throw new Error('No free bot to fetch the items');
+      }
+      
+      const stocked = candidates.filter(candidate => candidate.stored >= count);
+      
+      if (stocked.length === 0) {
+        throw new Error(`Only ${Math.max(...candidates.map(candidate => candidate.stored))} ${itemName} in storage`);
+      }
+      
+      // The bot closest to a chest with the item goes
+      const distanceToItems = ({ bot, chests }) => Math.min(...chests.map(chest => bot.bot.entity.position.distanceTo(chest.position)));
+      const { bot } = stocked.sort((a, b) => distanceToItems(a) - distanceToItems(b))[0];
+      
+      const taskId = await bot.fetchItems({ itemName, count, recipient });
+      
+      if (!taskId) {
+        throw new Error(`Failed to start fetching ${itemName}`);
+      }
+      
+      return {
+        type: 'fetch',
+        botName: bot.username,
+        itemName: itemName,
+        count: count,
+        recipient: recipient.name,
+        taskId: taskId
+      };
+    }
+  });
+  
+  // Kit command
+  commandParser.registerCommand({
+    name: 'kit',
+    description: 'Give a bot a kit and have it top the kit up from the shared chests now',
+    usage: '$kit <botName> <kitName>',
+    group: 'global',
+    execute: async ({ args }) => {
+      if (args.length < 2) {
+        throw new Error('Not enough arguments. Usage: $kit <botName> <kitName>');
+      }
+      
+      const botName = args[0];
+      const kitName = args[1].toLowerCase();
+      const bot = botManager.getBot(botName);
+      
+      if (!bot) {
+        throw new Error(`Bot '${botName}' not found`);
+      }
+      
+      if (!botConfig.getKit(kitName)) {
+        throw new Error(`Unknown kit '${kitName}'`);
+      }
+      
+      const missing = await bot.applyKit(kitName);
+      
+      if (!missing) {
+        throw new Error(`Failed to apply kit ${kitName}`);
+      }
+      
+      return {
+        type: 'text',
+        data: Object.keys(missing).length > 0
+          ? `${botName} took the ${kitName} kit, still missing ${formatItemCounts(missing)}`
+          : `${botName} has the full ${kitName} kit`
+      };
+    }
+  });
+  
+  // LogLevel command
+  commandParser.registerCommand({
+    name: 'loglevel',
+    description: 'Show or change how much a bot logs: debug, info, warn or error',
+    usage: '$loglevel <botName> [level]',
+    group: 'management',
+    execute: async ({ args }) => {
+      if (args.length < 1) {
+        throw new Error('Not enough arguments. Usage: $loglevel <botName> [level]');
+      }
+      
+      const botName = args[0];
+      const bot = botManager.getBot(botName);
+      
+      if (!bot) {
+        throw new Error(`Bot '${botName}' not found`);
+      }
+      
+      if (args.length >= 2) {
+        bot.setLogLevel(args[1].toLowerCase());
+      }
+      
+      return {
+        type: 'text',
+        data: `${botName} logs at level ${bot.log.getLevel()}`
+      };
+    }
+  });
+  
   // Login command
   commandParser.registerCommand({
     name: 'login',
-    description: 'Create and connect a bot',
-    usage: '$login <botName> <botType>',
+    description: 'Create and connect a bot, logging in with its account profile, to a named server or an address',
+    usage: '$login <botName> <botType> [server|host] [port] [version]',
     group: 'management',
     execute: async ({ args }) => {
       if (args.length < 2) {
-        throw new Error('Not enough arguments. Usage: $login <botName> <botType>');
+        throw new Error('Not enough arguments. Usage: $login <botName> <botType> [server|host] [port] [version]');
       }
       
       const botName = args[0];
-      let botType = args[1].toLowerCase();
-      const serverIP = mainConfig.server.host; // Use config value
-      const port = mainConfig.server.port; // Use config value
-      
-      // Support shorthand bot types
-      switch (botType) {
-        case 'p':
-        case 'protector':
-          botType = 'protector';
-          break;
-        case 'm':
-        case 'miner':
-          botType = 'miner';
-          break;
-        case 'b':
-        case 'builder':
-          botType = 'builder';
-          break;
-        default:
-          throw new Error(`Unknown bot type: ${botType}. Valid types: protector/p, miner/m, builder/b`);
-      }
+      const botType = resolveBotType(args[1]);
+      const server = parseServerArgs(args.slice(2));
       
       const bot = await botManager.createBot({
         username: botName,
         type: botType,
-        server: {
-          host: serverIP,
-          port: port,
-          version: mainConfig.server.version // Always use version from config
-        }
+        server
       });
       
       if (!bot) {
@@ -326,7 +691,9 @@ function createGlobalCommands({ botManager, commandParser }) {
       return {
         type: 'login',
         botName: botName,
-        botType: botType
+        botType: botType,
+        server: server.name,
+        auth: bot.account.auth
       };
     }
   });
@@ -334,36 +701,17 @@ function createGlobalCommands({ botManager, commandParser }) {
   // LoginMultiple command
   commandParser.registerCommand({
     name: 'loginMultiple',
-    description: 'Create and connect multiple bots defined in a file',
-    usage: '$loginMultiple <fileName> <botType>',
+    description: 'Create and connect multiple bots defined in a file, to a named server or an address',
+    usage: '$loginMultiple <fileName> <botType> [server|host] [port] [version]',
     group: 'management',
     execute: async ({ args }) => {
       if (args.length < 2) {
-        throw new Error('Not enough arguments. Usage: $loginMultiple <fileName> <botType>');
+        throw new Error('Not enough arguments. Usage: $loginMultiple <fileName> <botType> [server|host] [port] [version]');
       }
       
       const fileName = args[0];
-      let botType = args[1].toLowerCase();
-      const serverIP = mainConfig.server.host; // Use config value
-      const port = mainConfig.server.port; // Use config value
-      
-      // Support shorthand bot types
-      switch (botType) {
-        case 'p':
-        case 'protector':
-          botType = 'protector';
-          break;
-        case 'm':
-        case 'miner':
-          botType = 'miner';
-          break;
-        case 'b':
-        case 'builder':
-          botType = 'builder';
-          break;
-        default:
-          throw new Error(`Unknown bot type: ${botType}. Valid types: protector/p, miner/m, builder/b`);
-      }
+      const botType = resolveBotType(args[1]);
+      const server = parseServerArgs(args.slice(2));
       
       const fs = require('fs-extra');
       
@@ -381,11 +729,7 @@ function createGlobalCommands({ botManager, commandParser }) {
           const bot = await botManager.createBot({
             username: botName,
             type: botType,
-            server: {
-              host: serverIP,
-              port: port,
-              version: mainConfig.server.version // Always use version from config
-            }
+            server
           });
           
           if (bot) {
@@ -397,7 +741,8 @@ function createGlobalCommands({ botManager, commandParser }) {
           type: 'login-multiple',
           count: createdBots.length,
           bots: createdBots,
-          botType: botType
+          botType: botType,
+          server: server.name
         };
       } catch (error) {
         throw new Error(`Failed to read bot names file: ${error.message}`);
@@ -405,6 +750,58 @@ function createGlobalCommands({ botManager, commandParser }) {
     }
   });
   
+  // Servers command
+  commandParser.registerCommand({
+    name: 'servers',
+    description: 'List the server profiles and the bots connected to each server',
+    usage: '$servers',
+    group: 'management',
+    execute: async () => {
+      const profiles = getServerProfiles();
+      const servers = botManager.listServers();
+      
+      // Profiles nobody is on are listed too, so their names can be looked up
+      for (const profile of Object.values(profiles)) {
+        if (!servers.some(server => server.name === profile.name)) {
+          servers.push({ ...profile, bots: [] });
+        }
+      }
+      
+      const lines = servers.map(server => {
+        const bots = server.bots.length > 0 ? server.bots.join(', ') : 'no bots';
+        return `${server.name} (${server.host}:${server.port}, ${server.version}): ${bots}`;
+      });
+      
+      return {
+        type: 'text',
+        data: lines.join('\n')
+      };
+    }
+  });
+  
+  // World command
+  commandParser.registerCommand({
+    name: 'world',
+    description: 'Show or switch the world that commands without a bot, such as setstorage and setfield, record to',
+    usage: '$world [server|host] [dimension]',
+    group: 'management',
+    execute: async ({ args }) => {
+      if (!dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      if (args.length >= 1) {
+        const server = resolveServer(args[0]);
+        dataInterface.setWorld(getWorldKey(server, args[1] || 'overworld'));
+      }
+      
+      return {
+        type: 'text',
+        data: `Commands record to ${dataInterface.getWorld()}`
+      };
+    }
+  });
+  
   // Register refresh commands command
   commandParser.registerCommand({
     name: 'refreshcommands',
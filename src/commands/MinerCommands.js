@@ -0,0 +1,210 @@
+/**
+ * MinerCommands - Implementation of MinerBot-specific commands
+ *
+ * This file contains the implementation of commands specific to the MinerBot.
+ */
+
+/**
+ * Create MinerBot commands
+ * @param {Object} dependencies - System dependencies
+ * @param {BotManager} dependencies.botManager - Bot manager instance
+ * @param {CommandParser} dependencies.commandParser - Command parser instance
+ */
+function createMinerCommands({ botManager, commandParser }) {
+  /**
+   * Look up a bot by name and make sure it is a miner
+   * @param {string} botName - Bot name
+   * @returns {MinerBot} - The miner bot
+   */
+  const getMinerBot = (botName) => {
+    const bot = botManager.getBot(botName);
+    
+    if (!bot) {
+      throw new Error(`Bot '${botName}' not found`);
+    }
+    
+    if (bot.type !== 'miner') {
+      throw new Error(`Bot '${botName}' is not a miner bot`);
+    }
+    
+    return bot;
+  };
+  
+  // Mine command
+  commandParser.registerCommand({
+    name: 'mine',
+    description: 'Command a miner bot to mine a block type until it has the target amount',
+    usage: '$mine <botName> <blockName> <amount>',
+    group: 'miner',
+    execute: async ({ args }) => {
+      if (args.length < 3) {
+        throw new Error('Not enough arguments. Usage: $mine <botName> <blockName> <amount>');
+      }
+      
+      const botName = args[0];
+      const blockName = args[1].toLowerCase();
+      const amount = parseInt(args[2]);
+      
+      if (isNaN(amount) || amount <= 0) {
+        throw new Error('Invalid amount. Amount must be a positive number.');
+      }
+      
+      const bot = getMinerBot(botName);
+      
+      const success = await bot.mine({ blockName, amount });
+      
+      if (!success) {
+        throw new Error(`Failed to start mining ${blockName}`);
+      }
+      
+      return {
+        type: 'mine',
+        botName: botName,
+        blockName: blockName,
+        amount: amount
+      };
+    }
+  });
+  
+  // MinePattern command
+  commandParser.registerCommand({
+    name: 'minepattern',
+    description: 'Command a miner bot to dig tunnels following a mining pattern',
+    usage: '$minepattern <botName> <pattern> [north/south/east/west] [length]',
+    group: 'miner',
+    execute: async ({ args }) => {
+      if (args.length < 2) {
+        throw new Error('Not enough arguments. Usage: $minepattern <botName> <pattern> [north/south/east/west] [length]');
+      }
+      
+      const botName = args[0];
+      const patternName = args[1].toLowerCase();
+      const direction = args.length >= 3 ? args[2].toLowerCase() : undefined;
+      const length = args.length >= 4 ? parseInt(args[3]) : 32;
+      
+      if (isNaN(length) || length <= 0) {
+        throw new Error('Invalid length. Length must be a positive number.');
+      }
+      
+      const bot = getMinerBot(botName);
+      
+      const success = await bot.startMiningPattern({ patternName, direction, length });
+      
+      if (!success) {
+        throw new Error(`Failed to start ${patternName} mining`);
+      }
+      
+      return {
+        type: 'mine-pattern',
+        botName: botName,
+        pattern: patternName,
+        direction: direction,
+        length: length
+      };
+    }
+  });
+  
+  // MineArea command
+  commandParser.registerCommand({
+    name: 'minearea',
+    description: 'Command a miner bot to mine every block in a 3D area, top layer first',
+    usage: '$minearea <botName> <x1> <y1> <z1> <x2> <y2> <z2>',
+    group: 'miner',
+    execute: async ({ args }) => {
+      if (args.length < 7) {
+        throw new Error('Not enough arguments. Usage: $minearea <botName> <x1> <y1> <z1> <x2> <y2> <z2>');
+      }
+      
+      const botName = args[0];
+      
+      // Parse coordinates
+      const x1 = parseInt(args[1]);
+      const y1 = parseInt(args[2]);
+      const z1 = parseInt(args[3]);
+      const x2 = parseInt(args[4]);
+      const y2 = parseInt(args[5]);
+      const z2 = parseInt(args[6]);
+      
+      // Validate coordinates
+      if (isNaN(x1) || isNaN(y1) || isNaN(z1) || isNaN(x2) || isNaN(y2) || isNaN(z2)) {
+        throw new Error('Invalid coordinates. All coordinates must be numbers.');
+      }
+      
+      const bot = getMinerBot(botName);
+      
+      const success = await bot.mineArea({
+        corner1: { x: x1, y: y1, z: z1 },
+        corner2: { x: x2, y: y2, z: z2 }
+      });
+      
+      if (!success) {
+        throw new Error('Failed to start mining the area');
+      }
+      
+      return {
+        type: 'mine-area',
+        botName: botName,
+        corner1: { x: x1, y: y1, z: z1 },
+        corner2: { x: x2, y: y2, z: z2 }
+      };
+    }
+  });
+  
+  // Store command
+  commandParser.registerCommand({
+    name: 'store',
+    description: 'Command a miner bot to store an item in the chest that already holds it',
+    usage: '$store <botName> <itemName>',
+    group: 'miner',
+    execute: async ({ args }) => {
+      if (args.length < 2) {
+        throw new Error('Not enough arguments. Usage: $store <botName> <itemName>');
+      }
+      
+      const botName = args[0];
+      const itemName = args[1].toLowerCase();
+      
+      const bot = getMinerBot(botName);
+      
+      const stored = await bot.storeItem({ itemName });
+      
+      if (stored === 0) {
+        throw new Error(`Failed to store ${itemName}`);
+      }
+      
+      return {
+        type: 'store',
+        botName: botName,
+        itemName: itemName,
+        count: stored
+      };
+    }
+  });
+  
+  // StopMining command
+  commandParser.registerCommand({
+    name: 'stopmining',
+    description: 'Stop the current mining job of a miner bot',
+    usage: '$stopmining <botName>',
+    group: 'miner',
+    execute: async ({ args }) => {
+      if (args.length < 1) {
+        throw new Error('Not enough arguments. Usage: $stopmining <botName>');
+      }
+      
+      const botName = args[0];
+      const bot = getMinerBot(botName);
+      
+      if (!bot.stopMining()) {
+        throw new Error(`Bot '${botName}' is not mining`);
+      }
+      
+      return {
+        type: 'stop-mining',
+        botName: botName
+      };
+    }
+  });
+}
+
+module.exports = createMinerCommands;
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * SmeltingCommands - Implementation of smelting commands
+ *
+ * This file contains the implementation of the commands that let any bot
+ * work the furnaces recorded in the shared data.
+ */
+
+/**
+ * Create smelting commands
+ * @param {Object} dependencies - System dependencies
+ * @param {BotManager} dependencies.botManager - Bot manager instance
+ * @param {CommandParser} dependencies.commandParser - Command parser instance
+ * @param {BotDataInterface} [dependencies.dataInterface] - Shared data interface for system commands
+ */
+function createSmeltingCommands({ botManager, commandParser, dataInterface }) {
+  /**
+   * Look up a bot by name
+   * @param {string} botName - Bot name
+   * @returns {BaseBot} - The bot
+   */
+  const getBot = (botName) => {
+    const bot = botManager.getBot(botName);
+    
+    if (!bot) {
+      throw new Error(`Bot '${botName}' not found`);
+    }
+    
+    return bot;
+  };
+  
+  /**
+   * Describe a furnace slot for listing
+   * @param {Object|null} slot - Slot contents
+   * @returns {string} - Slot description
+   */
+  const formatSlot = (slot) => slot ? `${slot.count} ${slot.name}` : 'empty';
+  
+  // FindFurnaces command
+  commandParser.registerCommand({
+    name: 'findfurnaces',
+    description: 'Command a bot to record the furnaces, blast furnaces and smokers around it',
+    usage: '$findfurnaces <botName> [radius]',
+    group: 'smelting',
+    execute: async ({ args }) => {
+      if (args.length < 1) {
+        throw new Error('Not enough arguments. Usage: $findfurnaces <botName> [radius]');
+      }
+      
+      const botName = args[0];
+      const radius = args.length >= 2 ? parseInt(args[1]) : 32;
+      
+      if (isNaN(radius) || radius <= 0) {
+        throw new Error('Invalid radius. Radius must be a positive number.');
+      }
+      
+      const bot = getBot(botName);
+      const found = bot.findFurnaces(radius);
+      
+      return {
+        type: 'find-furnaces',
+        botName: botName,
+        found: found
+      };
+    }
+  });
+  
+  // Furnaces command
+  commandParser.registerCommand({
+    name: 'furnaces',
+    description: 'List the known furnaces and what is in them',
+    usage: '$furnaces',
+    group: 'smelting',
+    execute: async () => {
+      if (!dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      const furnaces = dataInterface.getFurnaces();
+      
+      return {
+        type: 'text',
+        data: furnaces.length > 0
+          ? furnaces.map(furnace => `${furnace.type} at (${furnace.position.x}, ${furnace.position.y}, ${furnace.position.z}): input ${formatSlot(furnace.input)}, fuel ${formatSlot(furnace.fuel)}, output ${formatSlot(furnace.output)}`).join('\n')
+          : 'No furnaces recorded'
+      };
+    }
+  });
+  
+  // Smelt command
+  commandParser.registerCommand({
+    name: 'smelt',
+    description: 'Command a bot to smelt items in the known furnaces and store the results',
+    usage: '$smelt <botName> <itemName> <count>',
+    group: 'smelting',
+    execute: async ({ args }) => {
+      if (args.length < 3) {
+        throw new Error('Not enough arguments. Usage: $smelt <botName> <itemName> <count>');
+      }
+      
+      const botName = args[0];
+      const itemName = args[1].toLowerCase();
+      const count = parseInt(args[2]);
+      
+      if (isNaN(count) || count <= 0) {
+        throw new Error('Invalid count. Count must be a positive number.');
+      }
+      
+      const bot = getBot(botName);
+      
+      if (!bot.getFurnaceTypesFor(itemName)) {
+        throw new Error(`${itemName} can't be smelted`);
+      }
+      
+      const success = await bot.startSmelting({ itemName, count });
+      
+      if (!success) {
+        throw new Error(`Failed to start smelting ${itemName}`);
+      }
+      
+      return {
+        type: 'smelt',
+        botName: botName,
+        itemName: itemName,
+        count: count
+      };
+    }
+  });
+  
+  // StopSmelting command
+  commandParser.registerCommand({
+    name: 'stopsmelting',
+    description: 'Stop the current smelting job of a bot',
+    usage: '$stopsmelting <botName>',
+    group: 'smelting',
+    execute: async ({ args }) => {
+      if (args.length < 1) {
+        throw new Error('Not enough arguments. Usage: $stopsmelting <botName>');
+      }
+      
+      const botName = args[0];
+      const bot = getBot(botName);
+      
+      if (!bot.stopSmelting()) {
+        throw new Error(`Bot '${botName}' is not smelting`);
+      }
+      
+      return {
+        type: 'stop-smelting',
+        botName: botName
+      };
+    }
+  });
+}
+
+module.exports = createSmeltingCommands;
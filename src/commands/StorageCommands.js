@@ -0,0 +1,215 @@
+/**
+ * StorageCommands - Implementation of storage system commands
+ *
+ * This file contains the implementation of the command that sets up the
+ * chest sorting system, runs it on a bot and reports what is stored.
+ */
+
+// Item types listed in a storage report, most plentiful first
+const MAX_REPORT_ITEMS = 30;
+
+/**
+ * Create storage commands
+ * @param {Object} dependencies - System dependencies
+ * @param {BotManager} dependencies.botManager - Bot manager instance
+ * @param {CommandParser} dependencies.commandParser - Command parser instance
+ * @param {BotDataInterface} [dependencies.dataInterface] - Shared data interface for system commands
+ */
+function createStorageCommands({ botManager, commandParser, dataInterface }) {
+  const usage = '$storage <input|assign|overflow|remove|chests|report|start|stop> ...';
+  
+  /**
+   * Look up a bot by name
+   * @param {string} botName - Bot name
+   * @returns {BaseBot} - The bot
+   */
+  const getBot = (botName) => {
+    const bot = botManager.getBot(botName);
+    
+    if (!bot) {
+      throw new Error(`Bot '${botName}' not found`);
+    }
+    
+    return bot;
+  };
+  
+  /**
+   * Parse chest coordinates from command arguments
+   * @param {Array<string>} args - Arguments starting with x, y and z
+   * @param {string} subUsage - Usage to show when they are missing
+   * @returns {Object} - Chest position
+   */
+  const parsePosition = (args, subUsage) => {
+    if (args.length < 3) {
+      throw new Error(`Not enough arguments. Usage: ${subUsage}`);
+    }
+    
+    const x = parseInt(args[0]);
+    const y = parseInt(args[1]);
+    const z = parseInt(args[2]);
+    
+    if (isNaN(x) || isNaN(y) || isNaN(z)) {
+      throw new Error('Invalid coordinates. All coordinates must be numbers.');
+    }
+    
+    return { x, y, z };
+  };
+  
+  /**
+   * Sum the items in every recorded chest
+   * @returns {string} - Report text
+   */
+  const buildReport = () => {
+    const chests = dataInterface.getChests();
+    const totals = {};
+    let usedSlots = 0;
+    let totalSlots = 0;
+    
+    for (const chest of chests) {
+      usedSlots += chest.items.length;
+      totalSlots += chest.size || 27;
+      
+      for (const item of chest.items) {
+        totals[item.name] = (totals[item.name] || 0) + item.count;
+      }
+    }
+    
+    const items = Object.entries(totals).sort((a, b) => b[1] - a[1]);
+    const lines = [
+      `${chests.length} chests, ${usedSlots} of ${totalSlots} slots used, ${items.length} item types`
+    ];
+    
+    for (const [name, count] of items.slice(0, MAX_REPORT_ITEMS)) {
+      lines.push(`${name}: ${count}`);
+    }
+    
+    if (items.length > MAX_REPORT_ITEMS) {
+      lines.push(`...and ${items.length - MAX_REPORT_ITEMS} more`);
+    }
+    
+    return lines.join('\n');
+  };
+  
+  // Storage command
+  commandParser.registerCommand({
+    name: 'storage',
+    description: 'Set up the chest sorting system, run it on a bot or report what is stored',
+    usage,
+    group: 'storage',
+    execute: async ({ args }) => {
+      if (args.length < 1) {
+        throw new Error(`Not enough arguments. Usage: ${usage}`);
+      }
+      
+      if (!dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      const subcommand = args[0].toLowerCase();
+      const rest = args.slice(1);
+      
+      switch (subcommand) {
+        case 'input':
+        case 'overflow': {
+          const position = parsePosition(rest, `$storage ${subcommand} <x> <y> <z>`);
+          dataInterface.reportStorageChest({ position, role: subcommand });
+          
+          return {
+            type: 'storage-chest',
+            role: subcommand,
+            coordinates: position
+          };
+        }
+        
+        case 'assign': {
+          const subUsage = '$storage assign <x> <y> <z> <itemOrCategory...>';
+          const position = parsePosition(rest, subUsage);
+          const accepts = rest.slice(3).map(name => name.toLowerCase());
+          
+          if (accepts.length === 0) {
+            throw new Error(`Not enough arguments. Usage: ${subUsage}`);
+          }
+          
+          dataInterface.reportStorageChest({ position, role: 'sorted', accepts });
+          
+          return {
+            type: 'storage-chest',
+            role: 'sorted',
+            coordinates: position,
+            accepts: accepts
+          };
+        }
+        
+        case 'remove': {
+          const position = parsePosition(rest, '$storage remove <x> <y> <z>');
+          
+          if (!dataInterface.removeStorageChest(position)) {
+            throw new Error(`No storage chest at ${position.x}, ${position.y}, ${position.z}`);
+          }
+          
+          return {
+            type: 'storage-chest-removed',
+            coordinates: position
+          };
+        }
+        
+        case 'chests': {
+          const chests = dataInterface.getStorageChests();
+          
+          return {
+            type: 'text',
+            data: chests.length > 0
+              ? chests.map(chest => `${chest.role} chest at (${chest.position.x}, ${chest.position.y}, ${chest.position.z})${chest.role === 'sorted' ? `: ${chest.accepts.join(', ')}` : ''}`).join('\n')
+              : 'No storage chests set'
+          };
+        }
+        
+        case 'report':
+          return {
+            type: 'text',
+            data: buildReport()
+          };
+        
+        case 'start': {
+          if (rest.length < 1) {
+            throw new Error('Not enough arguments. Usage: $storage start <botName>');
+          }
+          
+          const botName = rest[0];
+          const success = await getBot(botName).startStorageSorting();
+          
+          if (!success) {
+            throw new Error('Failed to start storage sorting');
+          }
+          
+          return {
+            type: 'storage-start',
+            botName: botName
+          };
+        }
+        
+        case 'stop': {
+          if (rest.length < 1) {
+            throw new Error('Not enough arguments. Usage: $storage stop <botName>');
+          }
+          
+          const botName = rest[0];
+          
+          if (!getBot(botName).stopStorageSorting()) {
+            throw new Error(`Bot '${botName}' is not sorting storage`);
+          }
+          
+          return {
+            type: 'storage-stop',
+            botName: botName
+          };
+        }
+        
+        default:
+          throw new Error(`Unknown storage command '${subcommand}'. Usage: ${usage}`);
+      }
+    }
+  });
+}
+
+module.exports = createStorageCommands;
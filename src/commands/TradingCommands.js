@@ -0,0 +1,184 @@
+/**
+ * TradingCommands - Implementation of villager trading commands
+ *
+ * This file contains the implementation of the commands that record the
+ * offers of villagers, list the best of them and run trades on a bot.
+ */
+
+// Offers listed by the trades command, grouped by what they give and cheapest first
+const MAX_LISTED_OFFERS = 30;
+
+/**
+ * Create trading commands
+ * @param {Object} dependencies - System dependencies
+ * @param {BotManager} dependencies.botManager - Bot manager instance
+ * @param {CommandParser} dependencies.commandParser - Command parser instance
+ * @param {BotDataInterface} [dependencies.dataInterface] - Shared data interface for system commands
+ */
+function createTradingCommands({ botManager, commandParser, dataInterface }) {
+  /**
+   * Look up a bot by name
+   * @param {string} botName - Bot name
+   * @returns {BaseBot} - The bot
+   */
+  const getBot = (botName) => {
+    const bot = botManager.getBot(botName);
+    
+    if (!bot) {
+      throw new Error(`Bot '${botName}' not found`);
+    }
+    
+    return bot;
+  };
+  
+  /**
+   * Describe an offer for listing
+   * @param {Object} villager - Villager record
+   * @param {Object} offer - Villager offer
+   * @returns {string} - Offer description
+   */
+  const formatOffer = (villager, offer) => {
+    const inputs = [offer.input, offer.secondInput].filter(Boolean)
+      .map(input => `${input.count} ${input.name}`).join(' + ');
+    const position = `(${villager.position.x}, ${villager.position.y}, ${villager.position.z})`;
+    
+    return `${inputs} -> ${offer.output.count} ${offer.output.name} at ${position} [${offer.uses}/${offer.maxUses}]`;
+  };
+  
+  // FindVillagers command
+  commandParser.registerCommand({
+    name: 'findvillagers',
+    description: 'Command a bot to visit the villagers around it and record their offers',
+    usage: '$findvillagers <botName> [radius]',
+    group: 'trading',
+    execute: async ({ args }) => {
+      if (args.length < 1) {
+        throw new Error('Not enough arguments. Usage: $findvillagers <botName> [radius]');
+      }
+      
+      const botName = args[0];
+      const radius = args.length >= 2 ? parseInt(args[1]) : 32;
+      
+      if (isNaN(radius) || radius <= 0) {
+        throw new Error('Invalid radius. Radius must be a positive number.');
+      }
+      
+      const bot = getBot(botName);
+      const found = await bot.findVillagers(radius);
+      
+      return {
+        type: 'find-villagers',
+        botName: botName,
+        found: found
+      };
+    }
+  });
+  
+  // Trades command
+  commandParser.registerCommand({
+    name: 'trades',
+    description: 'List the best known villager offers, optionally only those giving or taking an item',
+    usage: '$trades [itemName]',
+    group: 'trading',
+    execute: async ({ args }) => {
+      if (!dataInterface) {
+        throw new Error('Shared data system is not available');
+      }
+      
+      const itemName = args.length >= 1 ? args[0].toLowerCase() : null;
+      const price = offer => offer.input.count / offer.output.count;
+      
+      const offers = dataInterface.getVillagers()
+        .flatMap(villager => villager.offers
+          .filter(offer => offer.input && offer.output && !offer.disabled)
+          .filter(offer => !itemName || [offer.input, offer.secondInput, offer.output]
+            .some(item => item && item.name === itemName))
+          .map(offer => ({ villager, offer })))
+        .sort((a, b) => a.offer.output.name.localeCompare(b.offer.output.name) || price(a.offer) - price(b.offer));
+      
+      if (offers.length === 0) {
+        return {
+          type: 'text',
+          data: itemName ? `No known villager trades ${itemName}` : 'No villager offers recorded'
+        };
+      }
+      
+      const lines = offers.slice(0, MAX_LISTED_OFFERS).map(({ villager, offer }) => formatOffer(villager, offer));
+      
+      if (offers.length > MAX_LISTED_OFFERS) {
+        lines.push(`...and ${offers.length - MAX_LISTED_OFFERS} more`);
+      }
+      
+      return {
+        type: 'text',
+        data: lines.join('\n')
+      };
+    }
+  });
+  
+  // Trade command
+  commandParser.registerCommand({
+    name: 'trade',
+    description: 'Command a bot to run a trade, or the configured trades, until the items or offers run out',
+    usage: '$trade <botName> [inputItem outputItem [limit]]',
+    group: 'trading',
+    execute: async ({ args }) => {
+      if (args.length < 1 || args.length === 2) {
+        throw new Error('Not enough arguments. Usage: $trade <botName> [inputItem outputItem [limit]]');
+      }
+      
+      const botName = args[0];
+      let trades;
+      
+      if (args.length >= 3) {
+        const limit = args.length >= 4 ? parseInt(args[3]) : undefined;
+        
+        if (limit !== undefined && (isNaN(limit) || limit <= 0)) {
+          throw new Error('Invalid limit. Limit must be a positive number.');
+        }
+        
+        trades = [{ input: args[1].toLowerCase(), output: args[2].toLowerCase(), limit }];
+      }
+      
+      const bot = getBot(botName);
+      const success = await bot.startTrading(trades);
+      
+      if (!success) {
+        throw new Error('Failed to start trading');
+      }
+      
+      return {
+        type: 'trade',
+        botName: botName,
+        trades: trades || 'configured'
+      };
+    }
+  });
+  
+  // StopTrading command
+  commandParser.registerCommand({
+    name: 'stoptrading',
+    description: 'Stop the current trading job of a bot',
+    usage: '$stoptrading <botName>',
+    group: 'trading',
+    execute: async ({ args }) => {
+      if (args.length < 1) {
+        throw new Error('Not enough arguments. Usage: $stoptrading <botName>');
+      }
+      
+      const botName = args[0];
+      const bot = getBot(botName);
+      
+      if (!bot.stopTrading()) {
+        throw new Error(`Bot '${botName}' is not trading`);
+      }
+      
+      return {
+        type: 'stop-trading',
+        botName: botName
+      };
+    }
+  });
+}
+
+module.exports = createTradingCommands;
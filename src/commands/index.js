@@ -8,11 +8,19 @@ const CommandParser = require('./CommandParser');
 const BotManager = require('./BotManager');
 const createGlobalCommands = require('./GlobalCommands');
 const createProtectorCommands = require('./ProtectorCommands');
-const { createProtectorBot, createMinerBot, createBuilderBot } = require('../bots/specialized');
+const createMinerCommands = require('./MinerCommands');
+const createBuilderCommands = require('./BuilderCommands');
+const createFarmerCommands = require('./FarmerCommands');
+const createSmeltingCommands = require('./SmeltingCommands');
+const createStorageCommands = require('./StorageCommands');
+const createTradingCommands = require('./TradingCommands');
+const { createProtectorBot, createMinerBot, createBuilderBot, createFarmerBot } = require('../bots/specialized');
 
 /**
  * Create and initialize the command system
  * @param {Object} options - Initialization options
+ * @param {string} [options.prefix] - Command prefix
+ * @param {Function} [options.createBotDataInterface] - Creates a shared data interface for a bot
  * @returns {Object} - Command system components
  */
 function createCommandSystem(options = {}) {
@@ -21,18 +29,28 @@ function createCommandSystem(options = {}) {
     prefix: options.prefix
   });
   
+  // Shared data access for commands that aren't tied to one bot
+  const dataInterface = options.createBotDataInterface
+    ? options.createBotDataInterface('system', 'system')
+    : null;
+  
   // Create bot manager
-  const botManager = new BotManager();
+  const botManager = new BotManager({
+    createBotDataInterface: options.createBotDataInterface,
+    dataInterface
+  });
   
   // Register bot factories
   botManager.registerBotFactory('protector', createProtectorBot);
   botManager.registerBotFactory('miner', createMinerBot);
   botManager.registerBotFactory('builder', createBuilderBot);
+  botManager.registerBotFactory('farmer', createFarmerBot);
   
   // Register commands
   createGlobalCommands({
     botManager,
-    commandParser
+    commandParser,
+    dataInterface
   });
   
   createProtectorCommands({
@@ -40,6 +58,40 @@ function createCommandSystem(options = {}) {
     commandParser
   });
   
+  createMinerCommands({
+    botManager,
+    commandParser
+  });
+  
+  createBuilderCommands({
+    botManager,
+    commandParser
+  });
+  
+  createFarmerCommands({
+    botManager,
+    commandParser,
+    dataInterface
+  });
+  
+  createSmeltingCommands({
+    botManager,
+    commandParser,
+    dataInterface
+  });
+  
+  createStorageCommands({
+    botManager,
+    commandParser,
+    dataInterface
+  });
+  
+  createTradingCommands({
+    botManager,
+    commandParser,
+    dataInterface
+  });
+  
   // Command handler function for external use
   const handleCommand = async ({ message, platform, sender, context }) => {
     return await commandParser.executeCommand({
@@ -313,6 +313,26 @@ class DiscordBot {
     return await this.sendEmbed(embed);
   }
   
+  /**
+   * Send a direct message to the owner, falling back to the configured channel
+   * @param {string} message - Message to send
+   * @returns {Promise<boolean>} - Whether send was successful
+   */
+  async sendToOwner(message) {
+    if (!this.client) {
+      return false;
+    }
+    
+    try {
+      const owner = await this.client.users.fetch(mainConfig.owner.discordId);
+      await owner.send(message);
+      return true;
+    } catch (error) {
+      console.error('Failed to message the owner, sending to the channel instead:', error.message);
+      return await this.sendMessage(message);
+    }
+  }
+  
   /**
    * Handler for Discord ready event
    * @private
@@ -427,6 +447,31 @@ class DiscordBot {
       this.sendError(data.username, `Bot was kicked: ${data.reason}`);
     });
     
+    // Microsoft login waiting for the owner
+    this.botManager.on('botAuthCode', (data) => {
+      this.sendToOwner(`Bot ${data.username} needs a Microsoft login: go to ${data.url} and enter the code **${data.code}** (expires in ${Math.round(data.expiresIn / 60)} minutes)`);
+    });
+    
+    // Bot reconnecting
+    this.botManager.on('botReconnecting', (data) => {
+      this.sendMessage(`Bot ${data.username} reconnecting in ${Math.round(data.delay / 1000)}s (attempt ${data.attempt})`);
+    });
+    
+    // Bot reconnected
+    this.botManager.on('botReconnected', (data) => {
+      this.sendSuccess(data.username, `Reconnected after ${data.attempts} attempts`);
+    });
+    
+    // Bot gave up reconnecting
+    this.botManager.on('botDisconnected', (data) => {
+      this.sendError(data.username, `Bot disconnected and won't reconnect: ${data.reason}`);
+    });
+    
+    // Fleet restored after a restart
+    this.botManager.on('fleetRestored', (data) => {
+      this.sendSuccess('System', `Restored ${data.restored} of ${data.total} bots from the saved fleet`);
+    });
+    
     // Bot death
     this.botManager.on('botDeath', (data) => {
       const position = data.position;
@@ -11,16 +11,34 @@ class BotDataInterface {
    * @param {DataStore} options.dataStore - Reference to the data store
    * @param {string} options.botName - Name of the bot using this interface
    * @param {string} options.botType - Type of the bot using this interface
+   * @param {string} [options.world] - World records are read and written in (the data store's default world)
    */
-  constructor({ dataStore, botName, botType }) {
+  constructor({ dataStore, botName, botType, world = null }) {
     this.dataStore = dataStore;
     this.botName = botName;
     this.botType = botType;
+    this.world = world;
     
     // Set up event listeners
     this._setupEventListeners();
   }
   
+  /**
+   * Switch the world records are read and written in, as the bot changes server or dimension
+   * @param {string|null} world - World key, or null for the data store's default world
+   */
+  setWorld(world) {
+    this.world = world;
+  }
+  
+  /**
+   * Get the world records are read and written in
+   * @returns {string} - World key
+   */
+  getWorld() {
+    return this.world || this.dataStore.defaultWorld;
+  }
+  
   /**
    * Report inventory change
    * @param {Object} options - Inventory change data
@@ -47,17 +65,20 @@ class BotDataInterface {
    * Report chest contents
    * @param {Object} options - Chest data
    * @param {Object} options.position - Chest position
-   * @param {Array} options.items - Items in the chest
+   * @param {Array} options.items - Items in the chest, one entry per stack
    * @param {string} [options.name] - Optional chest name/identifier
+   * @param {number} [options.size] - Number of slots in the chest
    * @returns {boolean} - Whether operation was successful
    */
-  reportChestContents({ position, items, name }) {
+  reportChestContents({ position, items, name, size }) {
     try {
       this.dataStore.recordChestContents({
         position,
         items,
         name,
-        reporter: this.botName
+        size,
+        reporter: this.botName,
+        world: this.world
       });
       
       return true;
@@ -67,6 +88,226 @@ class BotDataInterface {
     }
   }
   
+  /**
+   * Get every chest with recorded contents
+   * @returns {Array} - Chests with their items
+   */
+  getChests() {
+    try {
+      return this.dataStore.getChests(this.world);
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to get chests:`, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Report the role of a chest in the storage system
+   * @param {Object} options - Storage chest data
+   * @param {Object} options.position - Chest position
+   * @param {string} options.role - 'input', 'sorted' or 'overflow'
+   * @param {Array<string>} [options.accepts] - Item names and categories a sorted chest takes
+   * @returns {boolean} - Whether operation was successful
+   */
+  reportStorageChest({ position, role, accepts }) {
+    try {
+      return this.dataStore.recordStorageChest({
+        position,
+        role,
+        accepts,
+        world: this.world
+      });
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to report storage chest:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get the chests of the storage system
+   * @param {string} [role] - Only return chests with this role
+   * @returns {Array} - Storage chests with their roles
+   */
+  getStorageChests(role) {
+    try {
+      return this.dataStore.getStorageChests(role, this.world);
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to get storage chests:`, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Remove a chest from the storage system
+   * @param {Object} position - Chest position
+   * @returns {boolean} - Whether a chest was removed
+   */
+  removeStorageChest(position) {
+    try {
+      return this.dataStore.removeStorageChest(position, this.world);
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to remove storage chest:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Report furnace contents
+   * @param {Object} options - Furnace data
+   * @param {Object} options.position - Furnace position
+   * @param {string} options.type - Furnace block type
+   * @param {Object|null} options.input - Item being smelted
+   * @param {Object|null} options.fuel - Fuel in the furnace
+   * @param {Object|null} options.output - Smelted items waiting to be taken
+   * @returns {boolean} - Whether operation was successful
+   */
+  reportFurnaceContents({ position, type, input, fuel, output }) {
+    try {
+      return this.dataStore.recordFurnaceContents({
+        position,
+        type,
+        input,
+        fuel,
+        output,
+        world: this.world
+      });
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to report furnace contents:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get the known furnaces
+   * @param {string} [type] - Only return furnaces of this block type
+   * @returns {Array} - Furnaces with their contents
+   */
+  getFurnaces(type) {
+    try {
+      return this.dataStore.getFurnaces(type, this.world);
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to get furnaces:`, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Forget a furnace that no longer exists
+   * @param {Object} position - Furnace position
+   * @returns {boolean} - Whether a furnace was removed
+   */
+  removeFurnace(position) {
+    try {
+      return this.dataStore.removeFurnace(position, this.world);
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to remove furnace:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Report a villager and its trade offers
+   * @param {Object} options - Villager data
+   * @param {string} options.uuid - Villager entity UUID
+   * @param {Object} options.position - Where the villager was seen
+   * @param {number} [options.profession] - Profession ID from the villager data
+   * @param {number} [options.level] - Trading level
+   * @param {Array} options.offers - Trade offers, in trade window order
+   * @returns {boolean} - Whether operation was successful
+   */
+  reportVillager({ uuid, position, profession, level, offers }) {
+    try {
+      return this.dataStore.recordVillager({
+        uuid,
+        position,
+        profession,
+        level,
+        offers,
+        world: this.world
+      });
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to report villager:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get the known villagers
+   * @returns {Array} - Villagers with their offers
+   */
+  getVillagers() {
+    try {
+      return this.dataStore.getVillagers(this.world);
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to get villagers:`, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Forget a villager that is gone
+   * @param {string} uuid - Villager entity UUID
+   * @returns {boolean} - Whether a villager was removed
+   */
+  removeVillager(uuid) {
+    try {
+      return this.dataStore.removeVillager(uuid, this.world);
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to remove villager:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Report a bot of the fleet, to log it back in after a restart
+   * @param {Object} options - Bot data
+   * @param {string} options.username - Bot username
+   * @param {string} options.type - Bot type
+   * @param {Object} options.server - Server the bot connects to
+   * @param {Object|null} [options.assignment] - Task the bot is working on
+   * @returns {boolean} - Whether operation was successful
+   */
+  reportFleetBot({ username, type, server, assignment }) {
+    try {
+      return this.dataStore.recordFleetBot({
+        username,
+        type,
+        server,
+        assignment
+      });
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to report fleet bot:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get the bots of the fleet
+   * @returns {Array} - Bots with their servers and assignments
+   */
+  getFleet() {
+    try {
+      return this.dataStore.getFleet();
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to get fleet:`, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Take a bot out of the fleet
+   * @param {string} username - Bot username
+   * @returns {boolean} - Whether a bot was removed
+   */
+  removeFleetBot(username) {
+    try {
+      return this.dataStore.removeFleetBot(username);
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to remove fleet bot:`, error);
+      return false;
+    }
+  }
+  
   /**
    * Find chests containing specific items
    * @param {string} itemName - Item to search for
@@ -74,13 +315,26 @@ class BotDataInterface {
    */
   findChestsWithItem(itemName) {
     try {
-      return this.dataStore.findChestsWithItem(itemName);
+      return this.dataStore.findChestsWithItem(itemName, this.world);
     } catch (error) {
       console.error(`[${this.botName}] Failed to find chests with item:`, error);
       return [];
     }
   }
   
+  /**
+   * Find chests that have free slots
+   * @returns {Array} - Chests with their number of free slots
+   */
+  findChestsWithSpace() {
+    try {
+      return this.dataStore.findChestsWithSpace(this.world);
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to find chests with space:`, error);
+      return [];
+    }
+  }
+  
   /**
    * Report an important position
    * @param {Object} options - Position data
@@ -95,7 +349,8 @@ class BotDataInterface {
         name,
         position,
         category,
-        reporter: this.botName
+        reporter: this.botName,
+        world: this.world
       });
       
       return true;
@@ -113,29 +368,141 @@ class BotDataInterface {
    */
   getPosition(name, category) {
     try {
-      return this.dataStore.getPosition(name, category);
+      return this.dataStore.getPosition(name, category, this.world);
     } catch (error) {
       console.error(`[${this.botName}] Failed to get position:`, error);
       return null;
     }
   }
   
+  /**
+   * Report a named region
+   * @param {Object} options - Region data
+   * @param {string} options.name - Region name
+   * @param {Object} options.corner1 - First corner of the region
+   * @param {Object} options.corner2 - Opposite corner of the region
+   * @param {string} [options.category] - Region category
+   * @param {Object} [options.data] - Additional region data
+   * @returns {boolean} - Whether operation was successful
+   */
+  reportRegion({ name, corner1, corner2, category, data = {} }) {
+    try {
+      return this.dataStore.recordRegion({
+        name,
+        corner1,
+        corner2,
+        category,
+        data: {
+          ...data,
+          reporter: this.botName
+        },
+        world: this.world
+      });
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to report region:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get a saved region
+   * @param {string} name - Region name
+   * @param {string} [category] - Region category
+   * @returns {Object|null} - Region with min and max corners or null if not found
+   */
+  getRegion(name, category) {
+    try {
+      return this.dataStore.getRegion(name, category, this.world);
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to get region:`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Get all saved regions in a category
+   * @param {string} [category] - Region category
+   * @returns {Array} - Regions with their names
+   */
+  getRegions(category) {
+    try {
+      return this.dataStore.getRegions(category, this.world);
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to get regions:`, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Remove a saved region
+   * @param {string} name - Region name
+   * @param {string} [category] - Region category
+   * @returns {boolean} - Whether a region was removed
+   */
+  removeRegion(name, category) {
+    try {
+      return this.dataStore.removeRegion(name, category, this.world);
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to remove region:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Report the number of animals counted in a pen
+   * @param {Object} options - Population data
+   * @param {string} options.pen - Pen name
+   * @param {string} options.animal - Animal kept in the pen
+   * @param {number} options.count - Number of animals counted
+   * @returns {boolean} - Whether operation was successful
+   */
+  reportPopulation({ pen, animal, count }) {
+    try {
+      return this.dataStore.recordPopulation({
+        pen,
+        animal,
+        count,
+        reporter: this.botName,
+        world: this.world
+      });
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to report population:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get the recorded animal counts of a pen
+   * @param {string} pen - Pen name
+   * @param {number} [limit] - Only return the most recent counts
+   * @returns {Array} - Counts from oldest to newest
+   */
+  getPopulationHistory(pen, limit) {
+    try {
+      return this.dataStore.getPopulationHistory(pen, limit, this.world);
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to get population history:`, error);
+      return [];
+    }
+  }
+  
   /**
    * Start a task and record it in the shared data
    * @param {Object} options - Task data
    * @param {string} options.taskId - Task identifier
    * @param {string} [options.description] - Task description
    * @param {Object} [options.data] - Additional task data
+   * @param {string} [options.status='in_progress'] - Initial status ('available' posts it for other bots to claim)
    * @returns {boolean} - Whether operation was successful
    */
-  startTask({ taskId, description, data = {} }) {
+  startTask({ taskId, description, data = {}, status = 'in_progress' }) {
     try {
       // Generate a unique task ID if not provided
       const id = taskId || `${this.botName}-${Date.now()}`;
       
       this.dataStore.recordTask({
         taskId: id,
-        status: 'in_progress',
+        status,
         data: {
           bot: this.botName,
           botType: this.botType,
@@ -152,6 +519,54 @@ class BotDataInterface {
     }
   }
   
+  /**
+   * Get a recorded task
+   * @param {string} taskId - Task identifier
+   * @returns {Object|null} - Task data or null if not found
+   */
+  getTask(taskId) {
+    try {
+      return this.dataStore.getData('tasks', taskId) || null;
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to get task:`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Update the progress data of a task without changing its status
+   * @param {Object} options - Task data
+   * @param {string} options.taskId - Task identifier
+   * @param {Object} options.data - Task data to merge in
+   * @returns {boolean} - Whether operation was successful
+   */
+  updateTask({ taskId, data }) {
+    try {
+      const task = this.dataStore.getData('tasks', taskId);
+      
+      if (!task) {
+        console.warn(`[${this.botName}] Tried to update unknown task: ${taskId}`);
+        return false;
+      }
+      
+      const { status, lastUpdated, ...taskData } = task;
+      
+      this.dataStore.recordTask({
+        taskId,
+        status,
+        data: {
+          ...taskData,
+          ...data
+        }
+      });
+      
+      return true;
+    } catch (error) {
+      console.error(`[${this.botName}] Failed to update task:`, error);
+      return false;
+    }
+  }
+  
   /**
    * Complete a task
    * @param {Object} options - Task data
@@ -169,12 +584,15 @@ class BotDataInterface {
         return false;
       }
       
+      // Drop the old status so it doesn't override the new one
+      const { status, lastUpdated, ...taskData } = task;
+      
       // Update task status
       this.dataStore.recordTask({
         taskId,
         status: 'completed',
         data: {
-          ...task,
+          ...taskData,
           completionTime: Date.now(),
           results
         }
@@ -204,12 +622,15 @@ class BotDataInterface {
         return false;
       }
       
+      // Drop the old status so it doesn't override the new one
+      const { status, lastUpdated, ...taskData } = task;
+      
       // Update task status
       this.dataStore.recordTask({
         taskId,
         status: 'failed',
         data: {
-          ...task,
+          ...taskData,
           failureTime: Date.now(),
           failureReason: reason
         }
@@ -234,7 +655,7 @@ class BotDataInterface {
       return Object.entries(allTasks)
         .filter(([_, task]) => 
           task.status === 'available' && 
-          task.data.type === taskType
+          task.type === taskType
         )
         .map(([id, task]) => ({
           id,
@@ -266,12 +687,14 @@ class BotDataInterface {
         return false;
       }
       
+      const { status, lastUpdated, ...taskData } = task;
+      
       // Update task status
       this.dataStore.recordTask({
         taskId,
         status: 'in_progress',
         data: {
-          ...task.data,
+          ...taskData,
           assignedTo: this.botName,
           claimTime: Date.now()
         }
@@ -310,26 +733,39 @@ class BotDataInterface {
    * @private
    */
   _setupEventListeners() {
-    // Listen for resource changes
-    this.dataStore.on('resourceChanged', (data) => {
-      if (data.source !== this.botName) {
-        // Another bot updated a resource
-        this._handleResourceChange(data);
+    // Kept so dispose can remove them again
+    this.listeners = {
+      resourceChanged: (data) => {
+        if (data.source !== this.botName) {
+          // Another bot updated a resource
+          this._handleResourceChange(data);
+        }
+      },
+      chestUpdated: (data) => {
+        if (data.reporter !== this.botName) {
+          // Another bot updated a chest
+          this._handleChestUpdate(data);
+        }
+      },
+      taskUpdated: (data) => {
+        this._handleTaskUpdate(data);
       }
-    });
+    };
     
-    // Listen for chest updates
-    this.dataStore.on('chestUpdated', (data) => {
-      if (data.reporter !== this.botName) {
-        // Another bot updated a chest
-        this._handleChestUpdate(data);
-      }
-    });
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.dataStore.on(event, listener);
+    }
+  }
+  
+  /**
+   * Stop listening for data changes, once the bot using this interface is gone
+   */
+  dispose() {
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.dataStore.removeListener(event, listener);
+    }
     
-    // Listen for task updates
-    this.dataStore.on('taskUpdated', (data) => {
-      this._handleTaskUpdate(data);
-    });
+    this.listeners = {};
   }
   
   /**
@@ -8,24 +8,42 @@
 const fs = require('fs-extra');
 const path = require('path');
 const EventEmitter = require('events');
+const { resolveServer, getWorldKey } = require('./serverConfig');
+
+// Number of population counts kept per pen
+const MAX_POPULATION_HISTORY = 500;
+
+// Categories kept apart for each world, as their records only make sense in the world they were made in
+const WORLD_CATEGORIES = ['positions', 'chests', 'storageChests', 'furnaces', 'villagers', 'regions', 'populations'];
 
 class DataStore extends EventEmitter {
   /**
    * Create a new DataStore
    * @param {Object} options - Configuration options
    * @param {string} [options.storageDir='./data'] - Directory for data storage
+   * @param {string} [options.defaultWorld] - World of records not given one (the default server's overworld)
    */
   constructor(options = {}) {
     super();
     
+    // Every bot's data interface listens here, and fleets are often larger than the default limit of 10
+    this.setMaxListeners(0);
+    
     this.storageDir = options.storageDir || './data';
+    this.defaultWorld = options.defaultWorld || getWorldKey(resolveServer());
     this.data = {
       resources: {}, // Resource inventory
       world: {},     // World state information
       tasks: {},     // Task completion status
       players: {},   // Player information
       positions: {}, // Important positions
-      chests: {}     // Chest contents
+      chests: {},    // Chest contents
+      storageChests: {}, // Roles of the chests in the storage system
+      furnaces: {},  // Furnace, blast furnace and smoker contents
+      villagers: {}, // Villager positions and trade offers
+      fleet: {},     // Bots to log back in after a restart
+      regions: {},   // Named areas (fields, pens...)
+      populations: {} // Animal counts per pen over time
     };
     
     this.dirty = false;
@@ -154,17 +172,21 @@ class DataStore extends EventEmitter {
    * Record the contents of a chest at a specific location
    * @param {Object} options - Chest data
    * @param {Object} options.position - Chest position
-   * @param {Array} options.items - Items in the chest
+   * @param {Array} options.items - Items in the chest, one entry per stack
    * @param {string} [options.name] - Optional chest name/identifier
+   * @param {number} [options.size] - Number of slots in the chest
+   * @param {string} [options.world] - World the chest is in
    * @returns {boolean} - Whether operation was successful
    */
-  recordChestContents({ position, items, name }) {
+  recordChestContents({ position, items, name, size, world }) {
     const posKey = `${position.x},${position.y},${position.z}`;
+    const chests = this._getWorldData('chests', world);
     
-    this.data.chests[posKey] = {
+    chests[posKey] = {
       position,
       items,
       name: name || posKey,
+      size: size || chests[posKey]?.size || 27,
       lastUpdated: Date.now()
     };
     
@@ -173,6 +195,7 @@ class DataStore extends EventEmitter {
     // Emit chest updated event
     this.emit('chestUpdated', { 
       position,
+      world: world || this.defaultWorld,
       name: name || posKey,
       itemCount: items.length
     });
@@ -180,13 +203,271 @@ class DataStore extends EventEmitter {
     return true;
   }
   
+  /**
+   * Get every chest with recorded contents
+   * @param {string} [world] - World the chests are in
+   * @returns {Array} - Chests with their items
+   */
+  getChests(world) {
+    return Object.values(this._getWorldData('chests', world));
+  }
+  
+  /**
+   * Record the role of a chest in the storage system
+   * @param {Object} options - Storage chest data
+   * @param {Object} options.position - Chest position
+   * @param {string} options.role - 'input', 'sorted' or 'overflow'
+   * @param {Array<string>} [options.accepts] - Item names and categories a sorted chest takes
+   * @param {string} [options.world] - World the chest is in
+   * @returns {boolean} - Whether operation was successful
+   */
+  recordStorageChest({ position, role, accepts = [], world }) {
+    const posKey = `${position.x},${position.y},${position.z}`;
+    const storageChests = this._getWorldData('storageChests', world);
+    
+    // There is only one input chest in each world
+    if (role === 'input') {
+      for (const [key, chest] of Object.entries(storageChests)) {
+        if (chest.role === 'input') {
+          delete storageChests[key];
+        }
+      }
+    }
+    
+    storageChests[posKey] = {
+      position,
+      role,
+      accepts,
+      lastUpdated: Date.now()
+    };
+    
+    this.dirty = true;
+    
+    // Emit storage chest recorded event
+    this.emit('storageChestRecorded', { position, role, accepts, world: world || this.defaultWorld });
+    
+    return true;
+  }
+  
+  /**
+   * Get the chests of the storage system
+   * @param {string} [role] - Only return chests with this role
+   * @param {string} [world] - World the chests are in
+   * @returns {Array} - Storage chests with their roles
+   */
+  getStorageChests(role, world) {
+    return Object.values(this._getWorldData('storageChests', world))
+      .filter(chest => !role || chest.role === role);
+  }
+  
+  /**
+   * Remove a chest from the storage system
+   * @param {Object} position - Chest position
+   * @param {string} [world] - World the chest is in
+   * @returns {boolean} - Whether a chest was removed
+   */
+  removeStorageChest(position, world) {
+    const posKey = `${position.x},${position.y},${position.z}`;
+    const storageChests = this._getWorldData('storageChests', world);
+    
+    if (!storageChests[posKey]) {
+      return false;
+    }
+    
+    delete storageChests[posKey];
+    this.dirty = true;
+    
+    return true;
+  }
+  
+  /**
+   * Record the contents of a furnace, blast furnace or smoker
+   * @param {Object} options - Furnace data
+   * @param {Object} options.position - Furnace position
+   * @param {string} options.type - Furnace block type
+   * @param {Object|null} options.input - Item being smelted
+   * @param {Object|null} options.fuel - Fuel in the furnace
+   * @param {Object|null} options.output - Smelted items waiting to be taken
+   * @param {string} [options.world] - World the furnace is in
+   * @returns {boolean} - Whether operation was successful
+   */
+  recordFurnaceContents({ position, type, input, fuel, output, world }) {
+    const posKey = `${position.x},${position.y},${position.z}`;
+    
+    this._getWorldData('furnaces', world)[posKey] = {
+      position,
+      type,
+      input,
+      fuel,
+      output,
+      lastUpdated: Date.now()
+    };
+    
+    this.dirty = true;
+    
+    // Emit furnace updated event
+    this.emit('furnaceUpdated', {
+      position,
+      world: world || this.defaultWorld,
+      type,
+      input,
+      output
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Get the known furnaces
+   * @param {string} [type] - Only return furnaces of this block type
+   * @param {string} [world] - World the furnaces are in
+   * @returns {Array} - Furnaces with their contents
+   */
+  getFurnaces(type, world) {
+    return Object.values(this._getWorldData('furnaces', world))
+      .filter(furnace => !type || furnace.type === type);
+  }
+  
+  /**
+   * Forget a furnace that no longer exists
+   * @param {Object} position - Furnace position
+   * @param {string} [world] - World the furnace is in
+   * @returns {boolean} - Whether a furnace was removed
+   */
+  removeFurnace(position, world) {
+    const posKey = `${position.x},${position.y},${position.z}`;
+    const furnaces = this._getWorldData('furnaces', world);
+    
+    if (!furnaces[posKey]) {
+      return false;
+    }
+    
+    delete furnaces[posKey];
+    this.dirty = true;
+    
+    return true;
+  }
+  
+  /**
+   * Record a villager and its trade offers
+   * @param {Object} options - Villager data
+   * @param {string} options.uuid - Villager entity UUID
+   * @param {Object} options.position - Where the villager was seen
+   * @param {number} [options.profession] - Profession ID from the villager data
+   * @param {number} [options.level] - Trading level
+   * @param {Array} options.offers - Trade offers, in trade window order
+   * @param {string} [options.world] - World the villager is in
+   * @returns {boolean} - Whether operation was successful
+   */
+  recordVillager({ uuid, position, profession, level, offers, world }) {
+    this._getWorldData('villagers', world)[uuid] = {
+      uuid,
+      position,
+      profession,
+      level,
+      offers,
+      lastUpdated: Date.now()
+    };
+    
+    this.dirty = true;
+    
+    // Emit villager updated event
+    this.emit('villagerUpdated', {
+      uuid,
+      position,
+      world: world || this.defaultWorld,
+      offerCount: offers.length
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Get the known villagers
+   * @param {string} [world] - World the villagers are in
+   * @returns {Array} - Villagers with their offers
+   */
+  getVillagers(world) {
+    return Object.values(this._getWorldData('villagers', world));
+  }
+  
+  /**
+   * Forget a villager that is gone
+   * @param {string} uuid - Villager entity UUID
+   * @param {string} [world] - World the villager is in
+   * @returns {boolean} - Whether a villager was removed
+   */
+  removeVillager(uuid, world) {
+    const villagers = this._getWorldData('villagers', world);
+    
+    if (!villagers[uuid]) {
+      return false;
+    }
+    
+    delete villagers[uuid];
+    this.dirty = true;
+    
+    return true;
+  }
+  
+  /**
+   * Record a bot of the fleet so it can be logged back in after a restart
+   * @param {Object} options - Bot data
+   * @param {string} options.username - Bot username
+   * @param {string} options.type - Bot type
+   * @param {Object} options.server - Server the bot connects to
+   * @param {Object|null} [options.assignment] - Task the bot is working on
+   * @returns {boolean} - Whether operation was successful
+   */
+  recordFleetBot({ username, type, server, assignment = null }) {
+    this.data.fleet[username] = {
+      username,
+      type,
+      server,
+      assignment,
+      lastUpdated: Date.now()
+    };
+    
+    this.dirty = true;
+    
+    // Emit fleet updated event
+    this.emit('fleetUpdated', { username, type });
+    
+    return true;
+  }
+  
+  /**
+   * Get the bots of the fleet
+   * @returns {Array} - Bots with their servers and assignments
+   */
+  getFleet() {
+    return Object.values(this.data.fleet);
+  }
+  
+  /**
+   * Take a bot out of the fleet, so it isn't logged back in after a restart
+   * @param {string} username - Bot username
+   * @returns {boolean} - Whether a bot was removed
+   */
+  removeFleetBot(username) {
+    if (!this.data.fleet[username]) {
+      return false;
+    }
+    
+    delete this.data.fleet[username];
+    this.dirty = true;
+    
+    return true;
+  }
+  
   /**
    * Find chests containing a specific item
    * @param {string} itemName - Item name to search for
+   * @param {string} [world] - World the chests are in
    * @returns {Array} - Array of chests containing the item
    */
-  findChestsWithItem(itemName) {
-    return Object.values(this.data.chests)
+  findChestsWithItem(itemName, world) {
+    return this.getChests(world)
       .filter(chest => chest.items.some(item => item.name === itemName))
       .map(chest => ({
         position: chest.position,
@@ -197,20 +478,38 @@ class DataStore extends EventEmitter {
       }));
   }
   
+  /**
+   * Find chests that have free slots
+   * @param {string} [world] - World the chests are in
+   * @returns {Array} - Array of chests with their number of free slots
+   */
+  findChestsWithSpace(world) {
+    return this.getChests(world)
+      .map(chest => ({
+        position: chest.position,
+        name: chest.name,
+        freeSlots: (chest.size || 27) - chest.items.length
+      }))
+      .filter(chest => chest.freeSlots > 0);
+  }
+  
   /**
    * Record an important position
    * @param {Object} options - Position data
    * @param {string} options.name - Position name
    * @param {Object} options.position - Coordinates
    * @param {string} [options.category] - Position category
+   * @param {string} [options.world] - World the position is in
    * @returns {boolean} - Whether operation was successful
    */
-  recordPosition({ name, position, category = 'general' }) {
-    if (!this.data.positions[category]) {
-      this.data.positions[category] = {};
+  recordPosition({ name, position, category = 'general', world }) {
+    const positions = this._getWorldData('positions', world);
+    
+    if (!positions[category]) {
+      positions[category] = {};
     }
     
-    this.data.positions[category][name] = {
+    positions[category][name] = {
       ...position,
       lastUpdated: Date.now()
     };
@@ -221,6 +520,7 @@ class DataStore extends EventEmitter {
     this.emit('positionRecorded', { 
       name,
       category,
+      world: world || this.defaultWorld,
       position
     });
     
@@ -231,17 +531,160 @@ class DataStore extends EventEmitter {
    * Get a recorded position
    * @param {string} name - Position name
    * @param {string} [category] - Position category
+   * @param {string} [world] - World the position is in
    * @returns {Object|null} - Position coordinates or null if not found
    */
-  getPosition(name, category = 'general') {
-    if (!this.data.positions[category] || !this.data.positions[category][name]) {
+  getPosition(name, category = 'general', world) {
+    const positions = this._getWorldData('positions', world);
+    
+    if (!positions[category] || !positions[category][name]) {
       return null;
     }
     
-    const { lastUpdated, ...position } = this.data.positions[category][name];
+    const { lastUpdated, ...position } = positions[category][name];
     return position;
   }
   
+  /**
+   * Record a named region
+   * @param {Object} options - Region data
+   * @param {string} options.name - Region name
+   * @param {Object} options.corner1 - First corner of the region
+   * @param {Object} options.corner2 - Opposite corner of the region
+   * @param {string} [options.category] - Region category
+   * @param {Object} [options.data] - Additional region data
+   * @param {string} [options.world] - World the region is in
+   * @returns {boolean} - Whether operation was successful
+   */
+  recordRegion({ name, corner1, corner2, category = 'general', data = {}, world }) {
+    const regions = this._getWorldData('regions', world);
+    
+    if (!regions[category]) {
+      regions[category] = {};
+    }
+    
+    // Stored as min/max corners so lookups don't need to sort them
+    regions[category][name] = {
+      ...data,
+      min: {
+        x: Math.min(corner1.x, corner2.x),
+        y: Math.min(corner1.y, corner2.y),
+        z: Math.min(corner1.z, corner2.z)
+      },
+      max: {
+        x: Math.max(corner1.x, corner2.x),
+        y: Math.max(corner1.y, corner2.y),
+        z: Math.max(corner1.z, corner2.z)
+      },
+      lastUpdated: Date.now()
+    };
+    
+    this.dirty = true;
+    
+    // Emit region recorded event
+    this.emit('regionRecorded', {
+      name,
+      category,
+      world: world || this.defaultWorld,
+      region: regions[category][name]
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Get a recorded region
+   * @param {string} name - Region name
+   * @param {string} [category] - Region category
+   * @param {string} [world] - World the region is in
+   * @returns {Object|null} - Region with min and max corners or null if not found
+   */
+  getRegion(name, category = 'general', world) {
+    const regions = this._getWorldData('regions', world);
+    
+    if (!regions[category] || !regions[category][name]) {
+      return null;
+    }
+    
+    return { name, ...regions[category][name] };
+  }
+  
+  /**
+   * Get all recorded regions in a category
+   * @param {string} [category] - Region category
+   * @param {string} [world] - World the regions are in
+   * @returns {Array} - Regions with their names
+   */
+  getRegions(category = 'general', world) {
+    return Object.entries(this._getWorldData('regions', world)[category] || {})
+      .map(([name, region]) => ({ name, ...region }));
+  }
+  
+  /**
+   * Remove a recorded region
+   * @param {string} name - Region name
+   * @param {string} [category] - Region category
+   * @param {string} [world] - World the region is in
+   * @returns {boolean} - Whether a region was removed
+   */
+  removeRegion(name, category = 'general', world) {
+    const regions = this._getWorldData('regions', world);
+    
+    if (!regions[category] || !regions[category][name]) {
+      return false;
+    }
+    
+    delete regions[category][name];
+    this.dirty = true;
+    
+    return true;
+  }
+  
+  /**
+   * Record an animal count for a pen
+   * @param {Object} options - Population data
+   * @param {string} options.pen - Pen name
+   * @param {string} options.animal - Animal kept in the pen
+   * @param {number} options.count - Number of animals counted
+   * @param {string} [options.reporter] - Bot that counted them
+   * @param {string} [options.world] - World the pen is in
+   * @returns {boolean} - Whether operation was successful
+   */
+  recordPopulation({ pen, animal, count, reporter, world }) {
+    const populations = this._getWorldData('populations', world);
+    
+    if (!populations[pen]) {
+      populations[pen] = [];
+    }
+    
+    const history = populations[pen];
+    history.push({ animal, count, reporter, time: Date.now() });
+    
+    // Keep the history bounded, dropping the oldest counts first
+    if (history.length > MAX_POPULATION_HISTORY) {
+      history.splice(0, history.length - MAX_POPULATION_HISTORY);
+    }
+    
+    this.dirty = true;
+    
+    // Emit population recorded event
+    this.emit('populationRecorded', { pen, animal, count, world: world || this.defaultWorld });
+    
+    return true;
+  }
+  
+  /**
+   * Get the recorded animal counts of a pen
+   * @param {string} pen - Pen name
+   * @param {number} [limit] - Only return the most recent counts
+   * @param {string} [world] - World the pen is in
+   * @returns {Array} - Counts from oldest to newest
+   */
+  getPopulationHistory(pen, limit, world) {
+    const history = this._getWorldData('populations', world)[pen] || [];
+    return limit ? history.slice(-limit) : [...history];
+  }
+  
   /**
    * Record information about a task
    * @param {Object} options - Task data
@@ -284,6 +727,23 @@ class DataStore extends EventEmitter {
     }
   }
   
+  /**
+   * Get the records of a category kept for a world
+   * @private
+   * @param {string} category - Data category
+   * @param {string} [world] - World key, the default world if not given
+   * @returns {Object} - Records of the world
+   */
+  _getWorldData(category, world) {
+    const worldKey = world || this.defaultWorld;
+    
+    if (!this.data[category][worldKey]) {
+      this.data[category][worldKey] = {};
+    }
+    
+    return this.data[category][worldKey];
+  }
+  
   /**
    * Ensure the storage directory exists
    * @private
@@ -312,7 +772,12 @@ class DataStore extends EventEmitter {
         
         if (await fs.pathExists(filePath)) {
           const data = await fs.readJson(filePath);
-          this.data[category] = data;
+          
+          // Records saved before worlds were kept apart are keyed by position or name, not world
+          const unscoped = WORLD_CATEGORIES.includes(category)
+            && Object.keys(data).some(key => !key.includes('/'));
+          
+          this.data[category] = unscoped ? { [this.defaultWorld]: data } : data;
         }
       }
     } catch (error) {
@@ -0,0 +1,373 @@
+/**
+ * Logger - Named, levelled loggers with pluggable sinks
+ *
+ * Every bot gets a logger named after it, which writes to the console and to
+ * its own rotating file under data/logs. Sinks are objects with a
+ * write(entry) method, so other destinations can be added with addSink.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const mainConfig = require('../../config');
+
+// Log levels, from most to least verbose
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+// Logging settings, overridden by `logging` in the config
+const DEFAULT_LOGGING = {
+  level: 'info',
+  format: 'text',               // Log file lines: 'text' or 'json'
+  console: true,
+  file: true,
+  directory: path.join(__dirname, '../../data/logs'),
+  maxFileSize: 5 * 1024 * 1024, // Bytes a log file grows to before it is rotated
+  maxFiles: 5                   // Files kept per logger, counting the current one
+};
+
+// Loggers by name, so a bot that is logged in again keeps writing to the same file
+const loggers = new Map();
+
+/**
+ * Turn a log entry into a line
+ * @param {Object} entry - Log entry
+ * @param {string} format - 'text' or 'json'
+ * @returns {string} - Formatted line, without a line break
+ */
+function formatEntry(entry, format) {
+  if (format === 'json') {
+    return JSON.stringify(entry);
+  }
+  
+  const { time, level, name, message, ...details } = entry;
+  const extra = Object.keys(details).length > 0 ? ` ${JSON.stringify(details)}` : '';
+  
+  return `${time} ${level.toUpperCase().padEnd(5)} [${name}] ${message}${extra}`;
+}
+
+/**
+ * Sink writing log entries to the console
+ */
+class ConsoleSink {
+  /**
+   * Create a new ConsoleSink
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.format='text'] - 'text' or 'json'
+   */
+  constructor({ format = 'text' } = {}) {
+    this.format = format;
+  }
+  
+  /**
+   * Write a log entry
+   * @param {Object} entry - Log entry
+   */
+  write(entry) {
+    const line = formatEntry(entry, this.format);
+    
+    if (entry.level === 'error') {
+      console.error(line);
+    } else if (entry.level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+/**
+ * Sink appending log entries to a file, which is rotated once it grows too large
+ * The file is opened synchronously, so it can be renamed on rotation while the old stream is still flushing
+ */
+class RotatingFileSink {
+  /**
+   * Create a new RotatingFileSink
+   * @param {Object} options - Configuration options
+   * @param {string} options.filePath - Log file path
+   * @param {string} [options.format='text'] - 'text' or 'json'
+   * @param {number} [options.maxFileSize] - Bytes the file grows to before it is rotated
+   * @param {number} [options.maxFiles] - Files kept, counting the current one
+   */
+  constructor({ filePath, format = 'text', maxFileSize = DEFAULT_LOGGING.maxFileSize, maxFiles = DEFAULT_LOGGING.maxFiles }) {
+    this.filePath = filePath;
+    this.format = format;
+    this.maxFileSize = maxFileSize;
+    this.maxFiles = maxFiles;
+    
+    fs.ensureDirSync(path.dirname(filePath));
+    this._open();
+  }
+  
+  /**
+   * Write a log entry
+   * @param {Object} entry - Log entry
+   */
+  write(entry) {
+    const line = `${formatEntry(entry, this.format)}\n`;
+    const bytes = Buffer.byteLength(line);
+    
+    if (this.size > 0 && this.size + bytes > this.maxFileSize) {
+      this._rotate();
+    }
+    
+    // Logging after close opens the file again
+    if (!this.stream) {
+      this._open();
+    }
+    
+    this.stream.write(line);
+    this.size += bytes;
+  }
+  
+  /**
+   * Flush what is still buffered and close the file
+   * @returns {Promise<void>} - Resolves once every buffered line is written
+   */
+  close() {
+    const stream = this.stream;
+    
+    if (!stream) {
+      return Promise.resolve();
+    }
+    
+    this.stream = null;
+    
+    return new Promise(resolve => {
+      stream.once('error', resolve);
+      stream.end(resolve);
+    });
+  }
+  
+  /**
+   * Open the log file for appending
+   * @private
+   */
+  _open() {
+    const fd = fs.openSync(this.filePath, 'a');
+    
+    this.size = fs.fstatSync(fd).size;
+    this.stream = fs.createWriteStream(null, { fd, flags: 'a' });
+    this.stream.on('error', (error) => {
+      console.error(`Failed to write to log file ${this.filePath}:`, error);
+    });
+  }
+  
+  /**
+   * Move the current file aside as bot.1.log, shifting older files up and dropping the oldest
+   * @private
+   */
+  _rotate() {
+    // Lines still buffered end up in the renamed file, which the old stream keeps open
+    this.close();
+    
+    const extension = path.extname(this.filePath);
+    const base = this.filePath.slice(0, this.filePath.length - extension.length);
+    
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      const from = index === 1 ? this.filePath : `${base}.${index - 1}${extension}`;
+      
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${base}.${index}${extension}`);
+      }
+    }
+    
+    // Only left behind when no older files are kept
+    fs.removeSync(this.filePath);
+    this._open();
+  }
+}
+
+class Logger {
+  /**
+   * Create a new Logger
+   * @param {Object} options - Configuration options
+   * @param {string} options.name - Logger name, shown on every line
+   * @param {string} [options.level='info'] - Least severe level written
+   * @param {Array<Object>} [options.sinks] - Sinks entries are written to
+   */
+  constructor({ name, level = 'info', sinks = [] }) {
+    this.name = name;
+    this.sinks = [...sinks];
+    this.setLevel(level);
+  }
+  
+  /**
+   * Change the least severe level written
+   * @param {string} level - 'debug', 'info', 'warn' or 'error'
+   */
+  setLevel(level) {
+    if (!LOG_LEVELS[level]) {
+      throw new Error(`Unknown log level ${level}. Valid levels: ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+    
+    this.level = level;
+  }
+  
+  /**
+   * Get the least severe level written
+   * @returns {string} - Log level
+   */
+  getLevel() {
+    return this.level;
+  }
+  
+  /**
+   * Add a sink entries are written to
+   * @param {Object} sink - Object with a write(entry) method, and optionally close()
+   */
+  addSink(sink) {
+    this.sinks.push(sink);
+  }
+  
+  /**
+   * Stop writing entries to a sink
+   * @param {Object} sink - Sink to remove
+   * @returns {boolean} - Whether the sink was removed
+   */
+  removeSink(sink) {
+    const index = this.sinks.indexOf(sink);
+    
+    if (index === -1) {
+      return false;
+    }
+    
+    this.sinks.splice(index, 1);
+    return true;
+  }
+  
+  /**
+   * Log a debug message
+   * @param {string} message - Message
+   * @param {Object|Error} [details] - Structured details added to the entry
+   */
+  debug(message, details) {
+    this._write('debug', message, details);
+  }
+  
+  /**
+   * Log an info message
+   * @param {string} message - Message
+   * @param {Object|Error} [details] - Structured details added to the entry
+   */
+  info(message, details) {
+    this._write('info', message, details);
+  }
+  
+  /**
+   * Log a warning
+   * @param {string} message - Message
+   * @param {Object|Error} [details] - Structured details added to the entry
+   */
+  warn(message, details) {
+    this._write('warn', message, details);
+  }
+  
+  /**
+   * Log an error
+   * @param {string} message - Message
+   * @param {Object|Error} [details] - Structured details added to the entry
+   */
+  error(message, details) {
+    this._write('error', message, details);
+  }
+  
+  /**
+   * Close the sinks that hold a file or connection open
+   * @returns {Promise<void>} - Resolves once every sink has flushed what it buffered
+   */
+  async close() {
+    await Promise.all(this.sinks
+      .filter(sink => typeof sink.close === 'function')
+      .map(sink => sink.close()));
+  }
+  
+  /**
+   * Write an entry to every sink, if its level is written
+   * @private
+   * @param {string} level - Log level
+   * @param {string} message - Message
+   * @param {Object|Error} [details] - Structured details added to the entry
+   */
+  _write(level, message, details = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[this.level]) {
+      return;
+    }
+    
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      name: this.name,
+      message: String(message),
+      ...(details instanceof Error ? { error: details.message, stack: details.stack } : details)
+    };
+    
+    for (const sink of this.sinks) {
+      try {
+        sink.write(entry);
+      } catch (error) {
+        // A broken sink mustn't stop the others, or the bot
+        console.error(`[${this.name}] Failed to write log entry:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Get the logger with a name, creating it from the `logging` config the first time
+ * @param {string} name - Logger name, such as a bot name
+ * @returns {Logger} - Logger
+ */
+function getLogger(name) {
+  if (loggers.has(name)) {
+    return loggers.get(name);
+  }
+  
+  const settings = { ...DEFAULT_LOGGING, ...(mainConfig.logging || {}) };
+  const sinks = [];
+  
+  if (settings.console) {
+    sinks.push(new ConsoleSink());
+  }
+  
+  if (settings.file) {
+    sinks.push(new RotatingFileSink({
+      filePath: path.join(path.resolve(settings.directory), `${name}.log`),
+      format: settings.format,
+      maxFileSize: settings.maxFileSize,
+      maxFiles: settings.maxFiles
+    }));
+  }
+  
+  const logger = new Logger({
+    name,
+    level: (settings.bots && settings.bots[name]) || settings.level,
+    sinks
+  });
+  
+  loggers.set(name, logger);
+  return logger;
+}
+
+/**
+ * Close every logger and forget it
+ * @returns {Promise<void>} - Resolves once every log line is written, so the process can exit
+ */
+async function closeLoggers() {
+  const closing = Array.from(loggers.values()).map(logger => logger.close());
+  
+  loggers.clear();
+  await Promise.all(closing);
+}
+
+module.exports = {
+  LOG_LEVELS,
+  Logger,
+  ConsoleSink,
+  RotatingFileSink,
+  getLogger,
+  closeLoggers
+};
@@ -3,8 +3,15 @@
  * Manages user permissions and access levels
  */
 
+const path = require('path');
 const mainConfig = require('../../config');
 
+// Account auth types mineflayer can log in with
+const AUTH_TYPES = ['microsoft', 'offline'];
+
+// Where Microsoft tokens are cached, unless set in the config
+const DEFAULT_PROFILES_FOLDER = path.join(__dirname, '../../data/auth');
+
 // Permission levels
 const PERMISSION_LEVELS = {
   OWNER: 3,     // Full control over all systems
@@ -32,18 +39,60 @@ const commandPermissions = {
   stop: PERMISSION_LEVELS.TRUSTED,
   goto: PERMISSION_LEVELS.TRUSTED,
   come: PERMISSION_LEVELS.TRUSTED,
+  setstorage: PERMISSION_LEVELS.ADMIN,
+  craft: PERMISSION_LEVELS.TRUSTED,
+  craftplan: PERMISSION_LEVELS.TRUSTED,
+  sort: PERMISSION_LEVELS.TRUSTED,
+  fetch: PERMISSION_LEVELS.TRUSTED,
+  kit: PERMISSION_LEVELS.TRUSTED,
   
   // Bot management
   login: PERMISSION_LEVELS.ADMIN,
   loginMultiple: PERMISSION_LEVELS.ADMIN,
+  servers: PERMISSION_LEVELS.TRUSTED,
+  world: PERMISSION_LEVELS.ADMIN,
+  loglevel: PERMISSION_LEVELS.ADMIN,
   
   // MinerBot commands
   mine: PERMISSION_LEVELS.TRUSTED,
   store: PERMISSION_LEVELS.TRUSTED,
   minearea: PERMISSION_LEVELS.TRUSTED,
+  minepattern: PERMISSION_LEVELS.TRUSTED,
+  stopmining: PERMISSION_LEVELS.TRUSTED,
   
   // BuilderBot commands
   build: PERMISSION_LEVELS.TRUSTED,
+  stopbuilding: PERMISSION_LEVELS.TRUSTED,
+  verify: PERMISSION_LEVELS.TRUSTED,
+  capture: PERMISSION_LEVELS.TRUSTED,
+  
+  // FarmerBot commands
+  farm: PERMISSION_LEVELS.TRUSTED,
+  stopfarming: PERMISSION_LEVELS.TRUSTED,
+  setfield: PERMISSION_LEVELS.TRUSTED,
+  fields: PERMISSION_LEVELS.TRUSTED,
+  tend: PERMISSION_LEVELS.TRUSTED,
+  setpen: PERMISSION_LEVELS.TRUSTED,
+  pens: PERMISSION_LEVELS.TRUSTED,
+  expandfarm: PERMISSION_LEVELS.TRUSTED,
+  lumberjack: PERMISSION_LEVELS.TRUSTED,
+  settreefarm: PERMISSION_LEVELS.TRUSTED,
+  treefarms: PERMISSION_LEVELS.TRUSTED,
+  
+  // Smelting commands
+  smelt: PERMISSION_LEVELS.TRUSTED,
+  stopsmelting: PERMISSION_LEVELS.TRUSTED,
+  findfurnaces: PERMISSION_LEVELS.TRUSTED,
+  furnaces: PERMISSION_LEVELS.TRUSTED,
+  
+  // Storage commands
+  storage: PERMISSION_LEVELS.TRUSTED,
+  
+  // Trading commands
+  findvillagers: PERMISSION_LEVELS.TRUSTED,
+  trades: PERMISSION_LEVELS.TRUSTED,
+  trade: PERMISSION_LEVELS.TRUSTED,
+  stoptrading: PERMISSION_LEVELS.TRUSTED,
   
   // ProtectorBot commands
   guard: PERMISSION_LEVELS.TRUSTED,
@@ -81,6 +130,29 @@ function addAuthorizedUser(platform, userId, level) {
   authorizedUsers[platform][userId] = level;
 }
 
+/**
+ * Look up the account a bot logs in with
+ * Bots without a profile use an offline account named after the bot
+ * @param {string} botName - Bot name
+ * @returns {Object} - Account profile with auth type, account username and token cache folder
+ */
+function getAccountProfile(botName) {
+  const accounts = mainConfig.accounts || {};
+  const profile = (accounts.profiles && accounts.profiles[botName]) || {};
+  const auth = profile.auth || accounts.defaultAuth || 'offline';
+  
+  if (!AUTH_TYPES.includes(auth)) {
+    throw new Error(`Unknown auth type ${auth} for ${botName}. Valid types: ${AUTH_TYPES.join(', ')}`);
+  }
+  
+  return {
+    auth,
+    // Microsoft accounts are identified by their email, and the tokens are cached under it
+    username: profile.username || botName,
+    profilesFolder: path.resolve(accounts.profilesFolder || DEFAULT_PROFILES_FOLDER)
+  };
+}
+
 // Initialize with default authorized users
 const authorizedUsers = { ...defaultAuthorizedUsers };
 
@@ -89,5 +161,6 @@ module.exports = {
   authorizedUsers,
   commandPermissions,
   hasPermission,
-  addAuthorizedUser
+  addAuthorizedUser,
+  getAccountProfile
 }; 
\ No newline at end of file
@@ -13,11 +13,17 @@ const botTemplates = {
     inventory: {
       keepItems: ['diamond_pickaxe', 'iron_pickaxe', 'stone_pickaxe', 'torch', 'bread', 'cooked_beef'],
       priorityItems: ['diamond', 'emerald', 'gold_ore', 'iron_ore'],
+      hotbar: ['pickaxe', 'shovel', 'sword', 'torch', 'bread'], // Hotbar slots in order, by item name or tool kind
+      kit: 'miner', // Kit topped up from the shared chests
     },
     behavior: {
       miningDepth: 11, // Y-level for diamond mining
       returnThreshold: 0.8, // Return to storage when inventory is 80% full
       torchInterval: 8, // Place torch every X blocks
+      protectedBlocks: [ // Blocks the miner must never break
+        'bedrock', 'chest', 'trapped_chest', 'barrel', 'ender_chest', 'shulker_box',
+        'furnace', 'blast_furnace', 'smoker', 'crafting_table', 'spawner', 'end_portal_frame'
+      ],
     }
   },
   
@@ -25,6 +31,8 @@ const botTemplates = {
     inventory: {
       keepItems: ['diamond_pickaxe', 'stone', 'dirt', 'wood'],
       priorityItems: ['redstone', 'quartz', 'stone_bricks'],
+      hotbar: ['pickaxe', 'axe', 'shovel'],
+      kit: 'builder',
     },
     behavior: {
       checkMaterials: true,
@@ -33,10 +41,39 @@ const botTemplates = {
     }
   },
   
+  farmer: {
+    inventory: {
+      keepItems: ['diamond_hoe', 'iron_hoe', 'stone_hoe', 'diamond_axe', 'iron_axe', 'stone_axe', 'shears', 'bread', 'cooked_beef'],
+      priorityItems: ['wheat', 'carrot', 'potato', 'beetroot', 'nether_wart'],
+      hotbar: ['hoe', 'axe', 'shears', 'water_bucket', 'sword'],
+      kit: 'farmer',
+    },
+    behavior: {
+      seedReserve: 64, // Seeds of each crop kept for replanting
+      harvestInterval: 60, // Seconds to wait between harvest passes
+      tendInterval: 120, // Seconds to wait between visits to the pens
+      treeFarmInterval: 300, // Seconds to wait between tree farm passes
+      saplingReserve: 16, // Saplings of each type kept for replanting
+      returnThreshold: 0.8, // Store the harvest when inventory is 80% full
+    },
+    animals: {
+      targetPopulation: 8, // Animals bred up to in each pen
+      maxPopulation: 12, // Animals above this are culled
+    },
+    expansion: {
+      fence: 'oak_fence', // Fence put around new fields
+      fenceGate: 'oak_fence_gate', // Gate left in the fence
+      light: 'torch', // Light placed beside water and on fence posts
+      lightSpacing: 8, // Fence posts between lights
+    }
+  },
+  
   protector: {
     inventory: {
       keepItems: ['diamond_sword', 'shield', 'bow', 'arrow', 'golden_apple', 'totem_of_undying'],
       priorityItems: ['arrow', 'golden_apple'],
+      hotbar: ['sword', 'axe', 'bow', 'golden_apple'],
+      kit: 'protector',
     },
     behavior: {
       attackPriority: ['hostile', 'neutral', 'passive'],
@@ -52,6 +89,24 @@ const botTemplates = {
   }
 };
 
+// Equipment kits: how many of each item or tool kind a bot carries
+const kits = {
+  miner: { pickaxe: 2, shovel: 1, torch: 64, bread: 16 },
+  builder: { pickaxe: 1, axe: 1, shovel: 1, bread: 16 },
+  farmer: { hoe: 1, axe: 1, shears: 1, bread: 16 },
+  protector: { sword: 1, shield: 1, bow: 1, arrow: 64, golden_apple: 4, cooked_beef: 16 }
+};
+
+/**
+ * Look up a kit, including kits added in the main config
+ * @param {string} kitName - Kit name
+ * @returns {Object|null} - Item counts by item name or tool kind, or null if there is no such kit
+ */
+function getKit(kitName) {
+  const allKits = { ...kits, ...(mainConfig.kits || {}) };
+  return allKits[kitName] || null;
+}
+
 // Function to load bot-specific configurations
 function loadBotConfig(botType) {
   if (!botTemplates[botType]) {
@@ -75,5 +130,7 @@ function loadBotConfig(botType) {
 
 module.exports = {
   botTemplates,
+  kits,
+  getKit,
   loadBotConfig
 }; 
\ No newline at end of file
@@ -8,6 +8,7 @@ const DataStore = require('./DataStore');
 const BotDataInterface = require('./BotDataInterface');
 const authConfig = require('./authConfig');
 const botConfig = require('./botConfig');
+const serverConfig = require('./serverConfig');
 
 /**
  * Create and initialize the shared data system
@@ -42,7 +43,8 @@ async function createSharedDataSystem(options = {}) {
     dataStore,
     createBotDataInterface,
     authConfig,
-    botConfig
+    botConfig,
+    serverConfig
   };
 }
 
@@ -0,0 +1,103 @@
+/**
+ * Server configuration
+ * Resolves the servers bots connect to and the worlds shared data is kept under
+ */
+
+const mainConfig = require('../../config');
+
+// Port Minecraft servers listen on unless told otherwise
+const DEFAULT_PORT = 25565;
+
+// Name of the server set by `server` in the config
+const DEFAULT_SERVER_NAME = 'default';
+
+/**
+ * Get every named server profile, including the default server
+ * @returns {Object} - Server profiles by name
+ */
+function getServerProfiles() {
+  const profiles = {
+    [DEFAULT_SERVER_NAME]: { ...mainConfig.server, name: DEFAULT_SERVER_NAME }
+  };
+  
+  for (const [name, profile] of Object.entries(mainConfig.servers || {})) {
+    profiles[name] = {
+      // Profiles only need the settings that differ from the default server
+      version: mainConfig.server.version,
+      port: DEFAULT_PORT,
+      ...profile,
+      name
+    };
+  }
+  
+  return profiles;
+}
+
+/**
+ * Work out the server to connect to from a profile name or an address
+ * @param {string} [target] - Server profile name or host, the default server if not given
+ * @param {number} [port] - Port, overriding the one of the profile
+ * @param {string} [version] - Minecraft version, overriding the one of the profile
+ * @returns {Object} - Server with its name, host, port and version
+ */
+function resolveServer(target, port, version) {
+  const profiles = getServerProfiles();
+  const profile = profiles[target || DEFAULT_SERVER_NAME];
+  
+  if (profile) {
+    return {
+      ...profile,
+      port: port || profile.port,
+      version: version || profile.version
+    };
+  }
+  
+  const serverPort = port || DEFAULT_PORT;
+  
+  // The address of a server with a profile gets its profile, so its bots are listed under one name
+  const known = Object.values(profiles).find(profile => profile.host === target && profile.port === serverPort);
+  
+  if (known) {
+    return { ...known, version: version || known.version };
+  }
+  
+  // Anything else is taken as the address of a server without a profile
+  return {
+    name: `${target}:${serverPort}`,
+    host: target,
+    port: serverPort,
+    version: version || mainConfig.server.version
+  };
+}
+
+/**
+ * Check whether a bot's server matches a server profile name or address
+ * @param {Object} server - Server a bot is connected to
+ * @param {string} filter - Server profile name, host or host:port
+ * @returns {boolean} - Whether the server matches
+ */
+function matchesServer(server, filter) {
+  const value = filter.toLowerCase();
+  
+  return [server.name, server.host, `${server.host}:${server.port}`]
+    .some(candidate => candidate && String(candidate).toLowerCase() === value);
+}
+
+/**
+ * Get the key shared data of a world is kept under
+ * Worlds are told apart by address rather than profile name, so renaming a profile keeps its data
+ * @param {Object} server - Server with host and port
+ * @param {string} [dimension='overworld'] - Dimension name
+ * @returns {string} - World key, such as localhost:25565/overworld
+ */
+function getWorldKey(server, dimension = 'overworld') {
+  return `${server.host}:${server.port || DEFAULT_PORT}/${dimension.replace(/^minecraft:/, '')}`;
+}
+
+module.exports = {
+  DEFAULT_SERVER_NAME,
+  getServerProfiles,
+  resolveServer,
+  matchesServer,
+  getWorldKey
+};